@@ -0,0 +1,277 @@
+//! http client --> fetch() + timeout + retries + JSON parsing + interceptors
+//? works in the browser (<script src="./http-client.js"> gives window.httpClient) and in node (require)
+
+//~ usage
+//? const api = httpClient.createClient({ baseURL: "https://fakestoreapi.com", timeout: 5000, retries: 2 });
+//? api.get("/products").then((products) => {}).catch((err) => console.log(err.name, err.message));
+//? let product = await api.post("/products", { title: "abc", price: 20 });
+//? api.post("/carts", cart, { retryMethods: ["POST"] }) --> retry a POST too (only GET, HEAD, OPTIONS, DELETE by default)
+//? node --test http-client.test.js --> tests against local servers (fake store, failures), no network needed
+
+//! why --> fetch().then().catch(() => {}) hides every failure
+//? fetch() rejects only for network errors, a 404/500 response is still "resolved"
+//? here every failure is an error with a name: HttpError, TimeoutError, NetworkError, ParseError
+
+(function (root) {
+  //~ errors
+  //? config -> the request which failed, attempt -> which try it was (1 = first try)
+  class ClientError extends Error {
+    constructor(message, config, attempt, options) {
+      super(message, options);
+      this.name = "ClientError";
+      this.config = config;
+      this.attempt = attempt;
+    }
+  }
+
+  //? response came, but the status is not 2xx
+  class HttpError extends ClientError {
+    constructor(response, body, config, attempt) {
+      super(
+        `${config.method} ${config.url} failed with status ${response.status}`,
+        config,
+        attempt,
+      );
+      this.name = "HttpError";
+      this.status = response.status;
+      this.body = body;
+    }
+  }
+
+  class TimeoutError extends ClientError {
+    constructor(config, attempt) {
+      super(
+        `${config.method} ${config.url} timed out after ${config.timeout}ms`,
+        config,
+        attempt,
+      );
+      this.name = "TimeoutError";
+    }
+  }
+
+  //? no response at all (server down, no internet, DNS ...)
+  class NetworkError extends ClientError {
+    constructor(cause, config, attempt) {
+      super(
+        `${config.method} ${config.url} could not be sent: ${cause.message}`,
+        config,
+        attempt,
+        { cause },
+      );
+      this.name = "NetworkError";
+    }
+  }
+
+  //? response body is not valid JSON
+  class ParseError extends ClientError {
+    constructor(cause, text, config, attempt) {
+      super(
+        `${config.method} ${config.url} returned invalid JSON: ${cause.message}`,
+        config,
+        attempt,
+        { cause },
+      );
+      this.name = "ParseError";
+      this.text = text;
+    }
+  }
+
+  //? the caller aborted the request with its own signal (never retried)
+  class AbortError extends ClientError {
+    constructor(config, attempt) {
+      super(`${config.method} ${config.url} was aborted`, config, attempt);
+      this.name = "AbortError";
+    }
+  }
+
+  const DEFAULTS = {
+    baseURL: "",
+    timeout: 10000, //? per try, in ms (0 -> no timeout)
+    retries: 2, //? extra tries after the first one
+    retryDelay: 300, //? 300ms, 600ms, 1200ms ... (doubles every time)
+    //? a POST, PUT or PATCH which failed with 5xx may have been saved already, retrying could save it twice
+    retryMethods: ["GET", "HEAD", "OPTIONS", "DELETE"],
+    headers: {},
+  };
+
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  //? 5xx, network errors and timeouts can work on the next try. 4xx will fail again
+  function isRetryable(err) {
+    if (!err.config?.retryMethods.includes(err.config.method)) return false;
+    if (err instanceof HttpError) return err.status >= 500;
+    return err instanceof NetworkError || err instanceof TimeoutError;
+  }
+
+  function joinURL(baseURL, url) {
+    if (/^https?:\/\//.test(url) || !baseURL) return url;
+    return `${baseURL.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+  }
+
+  function createClient(options = {}) {
+    const defaults = { ...DEFAULTS, ...options };
+    const fetchFn = options.fetch || root.fetch.bind(root);
+    const interceptors = { request: [], response: [] };
+
+    //~ one try: fetch with a timeout, then parse the body
+    async function attemptOnce(config, attempt) {
+      //? an "abort" event which already happened never fires again
+      if (config.signal?.aborted) throw new AbortError(config, attempt);
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer =
+        config.timeout > 0
+          ? setTimeout(() => {
+              timedOut = true;
+              controller.abort();
+            }, config.timeout)
+          : null;
+      const onAbort = () => controller.abort();
+      config.signal?.addEventListener("abort", onAbort, { once: true });
+
+      try {
+        let response;
+        try {
+          response = await fetchFn(config.url, {
+            method: config.method,
+            headers: config.headers,
+            body: config.body,
+            signal: controller.signal,
+          });
+        } catch (err) {
+          if (timedOut) throw new TimeoutError(config, attempt);
+          if (config.signal?.aborted) throw new AbortError(config, attempt);
+          throw new NetworkError(err, config, attempt);
+        }
+
+        let text;
+        try {
+          text = await response.text();
+        } catch (err) {
+          if (timedOut) throw new TimeoutError(config, attempt);
+          if (config.signal?.aborted) throw new AbortError(config, attempt);
+          throw new NetworkError(err, config, attempt);
+        }
+
+        const type = response.headers.get("content-type") || "";
+        const isJSON = text !== "" && type.includes("json");
+
+        //? the status comes first: a 502/503 page of a proxy (HTML sent as "application/json") is still an
+        //? HttpError with its status (5xx is retried), not a ParseError --> its body stays the text
+        if (!response.ok) {
+          let body = text;
+          if (isJSON) {
+            try {
+              body = JSON.parse(text);
+            } catch {}
+          }
+          throw new HttpError(response, body, config, attempt);
+        }
+
+        let data = text;
+        if (isJSON) {
+          try {
+            data = JSON.parse(text);
+          } catch (err) {
+            throw new ParseError(err, text, config, attempt);
+          }
+        }
+        return { config, response, data };
+      } finally {
+        clearTimeout(timer);
+        config.signal?.removeEventListener("abort", onAbort);
+      }
+    }
+
+    //~ request({ method, url, body, headers, timeout, retries, signal }) --> promise of the parsed body
+    async function request(requestOptions) {
+      let config = {
+        ...defaults,
+        ...requestOptions,
+        method: (requestOptions.method || "GET").toUpperCase(),
+        headers: { ...defaults.headers, ...requestOptions.headers },
+      };
+      config.retryMethods = config.retryMethods.map((m) => m.toUpperCase());
+      config.url = joinURL(config.baseURL, config.url);
+
+      //? plain objects and arrays are sent as JSON
+      if (
+        Array.isArray(config.body) ||
+        (config.body !== null &&
+          typeof config.body === "object" &&
+          Object.getPrototypeOf(config.body) === Object.prototype)
+      ) {
+        config.body = JSON.stringify(config.body);
+        config.headers["content-type"] ??= "application/json";
+      }
+      config.headers.accept ??= "application/json";
+
+      for (const interceptor of interceptors.request) {
+        config = (await interceptor(config)) || config;
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          let result = await attemptOnce(config, attempt);
+          for (const interceptor of interceptors.response) {
+            result = (await interceptor(result)) || result;
+          }
+          return result.data;
+        } catch (err) {
+          if (!isRetryable(err) || attempt > config.retries) throw err;
+          const delay = config.retryDelay * 2 ** (attempt - 1);
+          try {
+            await sleep(delay, config.signal);
+          } catch {
+            throw new AbortError(config, attempt);
+          }
+        }
+      }
+    }
+
+    const client = {
+      defaults,
+      //? interceptors.request.use((config) => config)
+      //? interceptors.response.use(({ config, response, data }) => ({ config, response, data }))
+      interceptors: {
+        request: { use: (fn) => interceptors.request.push(fn) },
+        response: { use: (fn) => interceptors.response.push(fn) },
+      },
+      request,
+      get: (url, opts) => request({ ...opts, method: "GET", url }),
+      delete: (url, opts) => request({ ...opts, method: "DELETE", url }),
+      post: (url, body, opts) =>
+        request({ ...opts, method: "POST", url, body }),
+      put: (url, body, opts) => request({ ...opts, method: "PUT", url, body }),
+      patch: (url, body, opts) =>
+        request({ ...opts, method: "PATCH", url, body }),
+    };
+    return client;
+  }
+
+  const httpClient = {
+    createClient,
+    ClientError,
+    HttpError,
+    TimeoutError,
+    NetworkError,
+    ParseError,
+    AbortError,
+  };
+
+  if (typeof module === "object" && module.exports) module.exports = httpClient;
+  else root.httpClient = httpClient;
+})(globalThis);
@@ -0,0 +1,180 @@
+//! http-client tests --> node --test http-client.test.js
+//? no network: the product API is the local fake store (../NodeJS/Modules/Built In Modules/http/fake-store.js),
+//? failures come from a small server whose handler every test replaces
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { createClient, ...errors } = require("./http-client.js");
+const {
+  createFakeStore,
+} = require("../NodeJS/Modules/Built In Modules/http/fake-store.js");
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`),
+    ),
+  );
+}
+
+//~ products from the fake store
+test("get() returns the parsed products of the fake store", async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "http-client-test-"));
+  const store = await createFakeStore({ dataDir, reset: true });
+  const baseURL = await listen(store.server);
+  t.after(() => {
+    store.server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  const api = createClient({ baseURL, retries: 0 });
+
+  const products = await api.get("/products?limit=3");
+  assert.equal(products.length, 3);
+  assert.equal(typeof products[0].title, "string");
+
+  const error = await api.get("/products/9999").catch((err) => err);
+  assert.ok(error instanceof errors.HttpError);
+  assert.equal(error.status, 404);
+});
+
+//~ failures
+let handler;
+let hits;
+let baseURL;
+const server = http.createServer((req, res) => {
+  hits++;
+  handler(req, res);
+});
+
+test.before(async () => {
+  baseURL = await listen(server);
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  hits = 0;
+});
+
+const json = (res, status, body) => {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+test("GET is retried after 5xx until it works", async () => {
+  handler = (req, res) =>
+    hits < 3 ? json(res, 503, { error: "busy" }) : json(res, 200, { ok: 1 });
+  const api = createClient({ baseURL, retries: 2, retryDelay: 1 });
+  assert.deepEqual(await api.get("/x"), { ok: 1 });
+  assert.equal(hits, 3);
+});
+
+test("4xx is not retried", async () => {
+  handler = (req, res) => json(res, 400, { error: "bad" });
+  const api = createClient({ baseURL, retries: 2, retryDelay: 1 });
+  const error = await api.get("/x").catch((err) => err);
+  assert.ok(error instanceof errors.HttpError);
+  assert.deepEqual(error.body, { error: "bad" });
+  assert.equal(hits, 1);
+});
+
+test("POST is not retried unless its method is in retryMethods", async () => {
+  handler = (req, res) => json(res, 500, {});
+  const api = createClient({ baseURL, retries: 2, retryDelay: 1 });
+  await assert.rejects(api.post("/x", { a: 1 }), errors.HttpError);
+  assert.equal(hits, 1);
+
+  hits = 0;
+  await assert.rejects(
+    api.post("/x", { a: 1 }, { retryMethods: ["post"] }),
+    errors.HttpError,
+  );
+  assert.equal(hits, 3);
+});
+
+test("a slow response is a TimeoutError", async () => {
+  handler = (req, res) => setTimeout(() => json(res, 200, {}), 500);
+  const api = createClient({ baseURL, timeout: 50, retries: 0 });
+  const error = await api.get("/x").catch((err) => err);
+  assert.ok(error instanceof errors.TimeoutError);
+  assert.equal(error.attempt, 1);
+});
+
+test("invalid JSON is a ParseError with the text", async () => {
+  handler = (req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end("{not json");
+  };
+  const error = await createClient({ baseURL })
+    .get("/x")
+    .catch((err) => err);
+  assert.ok(error instanceof errors.ParseError);
+  assert.equal(error.text, "{not json");
+});
+
+test("a 5xx with a body which is not JSON is an HttpError, retried", async () => {
+  const page = "<html><body>502 Bad Gateway</body></html>";
+  handler = (req, res) => {
+    if (hits === 3) return json(res, 200, { ok: 1 });
+    res.writeHead(502, { "content-type": "application/json" });
+    res.end(page);
+  };
+  const api = createClient({ baseURL, retries: 2, retryDelay: 1 });
+  assert.deepEqual(await api.get("/x"), { ok: 1 });
+  assert.equal(hits, 3);
+
+  hits = 0;
+  const error = await api.get("/x", { retries: 0 }).catch((err) => err);
+  assert.ok(error instanceof errors.HttpError);
+  assert.equal(error.status, 502);
+  assert.equal(error.body, page);
+});
+
+test("a closed port is a NetworkError", async () => {
+  const closed = http.createServer();
+  const url = await listen(closed);
+  await new Promise((resolve) => closed.close(resolve));
+  const api = createClient({ baseURL: url, retries: 1, retryDelay: 1 });
+  const error = await api.get("/x").catch((err) => err);
+  assert.ok(error instanceof errors.NetworkError);
+  assert.equal(error.attempt, 2);
+});
+
+test("an already aborted signal does not send the request", async () => {
+  handler = (req, res) => json(res, 200, {});
+  const api = createClient({ baseURL });
+  await assert.rejects(
+    api.get("/x", { signal: AbortSignal.abort() }),
+    errors.AbortError,
+  );
+  assert.equal(hits, 0);
+});
+
+test("aborting during the retry delay stops the retries", async () => {
+  handler = (req, res) => json(res, 503, {});
+  const controller = new AbortController();
+  const api = createClient({ baseURL, retries: 5, retryDelay: 1000 });
+  const request = api.get("/x", { signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(request, errors.AbortError);
+  assert.equal(hits, 1);
+});
+
+test("interceptors change the request and the result", async () => {
+  handler = (req, res) => json(res, 200, { token: req.headers.authorization });
+  const api = createClient({ baseURL });
+  api.interceptors.request.use((config) => ({
+    ...config,
+    headers: { ...config.headers, authorization: "Bearer abc" },
+  }));
+  api.interceptors.response.use((result) => ({
+    ...result,
+    data: { ...result.data, intercepted: true },
+  }));
+  assert.deepEqual(await api.get("/x"), {
+    token: "Bearer abc",
+    intercepted: true,
+  });
+});
@@ -8,6 +8,7 @@
 //! top to bottom
 //! one task at a time
 //! synchronous execution --> blocking execution
+//? the same loop on a worker thread (main thread stays free): node worker-pool-demo.js (NodeJS/Modules/Built In Modules/worker_threads)
 
 // console.log("3");
 
@@ -30,6 +31,7 @@
 // for (let i = 0; i < 100000000; i++) {}
 
 //? loupe.js
+//? node event-loop-trace.js script.js (NodeJS/Modules/Built In Modules/async_hooks) --> same order as a timeline (phase, delay, blocked time)
 
 // console.log("3");
 
@@ -70,24 +72,46 @@
 //     console.log("finally");
 //   });
 
-let apiCall = fetch("https://fakestoreapi.com/products");
-console.log("apiCall: ", apiCall);
-
-apiCall
-  .then((data) => {
-    console.log(data); //? response object
-    //? object --> json
-    let jsonData = data.json();
-    // console.log("jsonData: ", jsonData);
-    jsonData
-      .then((payload) => {
-        console.log(payload);
-      })
-      .catch(() => {})
-      .finally(() => {});
+// let apiCall = fetch("https://fakestoreapi.com/products");
+// console.log("apiCall: ", apiCall);
+
+// apiCall
+//   .then((data) => {
+//     console.log(data); //? response object
+//     //? object --> json
+//     let jsonData = data.json();
+//     // console.log("jsonData: ", jsonData);
+//     jsonData
+//       .then((payload) => {
+//         console.log(payload);
+//       })
+//       .catch(() => {})
+//       .finally(() => {});
+//   })
+//   .catch(() => {})
+//   .finally(() => {});
+
+//! .catch(() => {}) hides the error, a 404/500 response does not even go to catch (fetch rejects only for network errors)
+//? http-client.js --> timeout, retries (5xx, network errors), JSON parsing and an error with a name for every failure
+
+//? browser --> window.httpClient (index.html loads http-client.js first), node --> require()
+let { createClient } = globalThis.httpClient || require("./http-client.js");
+
+//? offline --> run "node fake-store.js" (NodeJS/Modules/Built In Modules/http) and use baseURL "http://localhost:3000"
+let api = createClient({
+  baseURL: "https://fakestoreapi.com",
+  timeout: 5000,
+  retries: 2,
+});
+
+api
+  .get("/products")
+  .then((payload) => {
+    console.log(payload);
   })
-  .catch(() => {})
-  .finally(() => {});
+  .catch((error) => {
+    console.log(error.name, error.message); //? HttpError, TimeoutError, NetworkError, ParseError
+  });
 
 // ? async and await are both used together (both are keywords)
 // ? async is used in function declaration
@@ -0,0 +1,292 @@
+//! event loop trace --> records in which order (and in which phase) the code of a script runs
+//? same experiments as Javascript/index.js (setTimeout races, blocking for loops, promises), but recorded instead of eyeballed
+//? every async resource (timer, promise, immediate, fs request ...) is followed with async_hooks
+
+//~ usage
+//? node event-loop-trace.js ../../../../Javascript/index.js        --> timeline as a table
+//? node event-loop-trace.js --json script.js                      --> timeline as JSON
+//? const { traceScript } = require("./event-loop-trace.js");
+//? const report = await traceScript("./script.js");  --> runs the script in a child process, resolves with the JSON
+//? report.events.filter((e) => e.kind === "log").map((e) => e.text) --> order of the console.log calls
+//? node --test event-loop-trace.test.js --> the orderings of Javascript/index.js checked as regression tests
+
+//! phases (in order of one loop iteration)
+//? main        -> the script itself (synchronous code)
+//? microtask   -> process.nextTick() and promise callbacks (then/catch/await), run after every callback
+//? timers      -> setTimeout / setInterval
+//? poll        -> I/O callbacks (fs, network)
+//? check       -> setImmediate
+//? close       -> "close" events
+
+//~ the script is loaded with require(), so it should be a CommonJS file (no import/export)
+
+const fs = require("node:fs");
+const path = require("node:path");
+const util = require("node:util");
+const asyncHooks = require("node:async_hooks");
+const { execFile } = require("node:child_process");
+const { performance, monitorEventLoopDelay } = require("node:perf_hooks");
+
+const PHASES = {
+  Timeout: "timers",
+  Immediate: "check",
+  PROMISE: "microtask",
+  TickObject: "microtask",
+  Microtask: "microtask",
+};
+
+function phaseOf(type) {
+  if (!type) return "main";
+  return PHASES[type] || (/CLOSE/i.test(type) ? "close" : "poll");
+}
+
+//? readable name of the callback which ran
+function describe(resource) {
+  switch (resource.type) {
+    case "Timeout":
+      return resource.repeat
+        ? `setInterval callback (${resource.requested}ms)`
+        : `setTimeout callback (${resource.requested}ms)`;
+    case "Immediate":
+      return "setImmediate callback";
+    case "TickObject":
+      return "process.nextTick callback";
+    case "PROMISE":
+      return "promise callback (then/catch/await)";
+    default:
+      return `I/O callback (${resource.type})`;
+  }
+}
+
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+//! ====================== tracer ======================
+function createTracer() {
+  const resources = new Map(); //? asyncId --> { type, scheduledAt, requested, repeat }
+  const events = [];
+  const callbacks = []; //? { phase, type, duration } of every callback (for blocking time)
+  const stack = []; //? callbacks running right now: [{ id, start }]
+  const loopDelay = monitorEventLoopDelay({ resolution: 1 });
+  let origin = 0;
+  let internal = false; //? true while the tracer itself runs (its own resources are not recorded)
+  let seq = 0;
+  let mainDuration = 0;
+  const originalLog = console.log;
+
+  const now = () => performance.now() - origin;
+
+  function push(event) {
+    events.push({ seq: ++seq, t: round(now()), ...event });
+  }
+
+  const hook = asyncHooks.createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      if (internal) return;
+      const entry = { type, scheduledAt: now() };
+      if (type === "Timeout") {
+        entry.requested = resource._idleTimeout;
+        entry.repeat =
+          resource._repeat !== null && resource._repeat !== undefined;
+      }
+      resources.set(asyncId, entry);
+    },
+    before(asyncId) {
+      const resource = resources.get(asyncId);
+      if (!resource) return;
+      const t = now();
+      stack.push({ id: asyncId, start: t });
+      const event = {
+        kind: "callback",
+        phase: phaseOf(resource.type),
+        type: resource.type,
+        name: describe(resource),
+        delay: round(t - resource.scheduledAt),
+      };
+      //? how late the timer was (0 -> exactly on time)
+      if (resource.type === "Timeout") {
+        event.late = round(
+          Math.max(0, t - resource.scheduledAt - resource.requested),
+        );
+      }
+      push(event);
+    },
+    after(asyncId) {
+      const resource = resources.get(asyncId);
+      if (!resource || stack.length === 0) return;
+      const { start } = stack.pop();
+      const t = now();
+      callbacks.push({
+        phase: phaseOf(resource.type),
+        type: resource.type,
+        duration: t - start,
+      });
+      if (resource.type === "Timeout" && resource.repeat)
+        resource.scheduledAt = t;
+    },
+    destroy(asyncId) {
+      resources.delete(asyncId);
+    },
+    promiseResolve() {},
+  });
+
+  //? console.log is replaced while tracing: the text is recorded, then written with fs.writeSync
+  //? (a normal stdout write would create async resources of its own)
+  function tracedLog(...args) {
+    internal = true;
+    try {
+      const text = util.format(...args);
+      const current = stack.length
+        ? resources.get(stack[stack.length - 1].id)
+        : null;
+      push({
+        kind: "log",
+        phase: phaseOf(current?.type),
+        type: current?.type || null,
+        text,
+      });
+      if (!tracer.quiet) fs.writeSync(1, `${text}\n`);
+    } finally {
+      internal = false;
+    }
+  }
+
+  const tracer = {
+    quiet: false,
+    start() {
+      origin = performance.now();
+      console.log = tracedLog;
+      loopDelay.enable();
+      hook.enable();
+    },
+    //? marks the end of the synchronous part of the script
+    mainDone() {
+      mainDuration = now();
+    },
+    stop() {
+      hook.disable();
+      loopDelay.disable();
+      console.log = originalLog;
+      const longest = callbacks.reduce(
+        (max, cb) => (cb.duration > max.duration ? cb : max),
+        {
+          phase: "main",
+          type: null,
+          duration: mainDuration,
+        },
+      );
+      return {
+        events,
+        blocking: {
+          main: round(mainDuration),
+          longest: {
+            phase: longest.phase,
+            type: longest.type,
+            duration: round(longest.duration),
+          },
+          //? sum of the time spent in callbacks longer than 10ms
+          total: round(
+            callbacks
+              .filter((cb) => cb.duration > 10)
+              .reduce(
+                (sum, cb) => sum + cb.duration,
+                mainDuration > 10 ? mainDuration : 0,
+              ),
+          ),
+          //? the histogram only samples once the loop runs, it misses the main script (the loop is blocked
+          //? for all of it) --> the main script counts as one delay of its own duration
+          loopDelayMax: round(Math.max(loopDelay.max / 1e6, mainDuration)),
+        },
+        duration: round(now()),
+      };
+    },
+  };
+  return tracer;
+}
+
+//! ====================== report ======================
+function formatTimeline(report, { callbacks = true } = {}) {
+  const rows = report.events
+    .filter((event) => callbacks || event.kind === "log")
+    .map((event) => {
+      const phase = event.late
+        ? `${event.phase} (+${event.late}ms late)`
+        : event.phase;
+      const text =
+        event.kind === "log"
+          ? `log ${JSON.stringify(event.text)}`
+          : `--> ${event.name}`;
+      return [String(event.seq), event.t.toFixed(2), phase, text];
+    });
+  const header = ["#", "time (ms)", "phase", "event"];
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((row) => row[i].length)),
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, i) =>
+        i < 2 ? cell.padStart(widths[i]) : cell.padEnd(widths[i]),
+      )
+      .join("  ");
+  const { blocking } = report;
+  return [
+    line(header).trimEnd(),
+    ...rows.map((row) => line(row).trimEnd()),
+    "",
+    `blocked: main script ${blocking.main}ms, longest callback ${blocking.longest.duration}ms (${blocking.longest.phase})` +
+      `, total ${blocking.total}ms, event loop delay max ${blocking.loopDelayMax}ms`,
+  ].join("\n");
+}
+
+//~ runs the script in a child process (a clean event loop) and resolves with the report
+function traceScript(file, { timeout = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [__filename, "--json", "--quiet", path.resolve(file)],
+      { timeout, maxBuffer: 64 * 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (err)
+          return reject(
+            new Error(`trace of ${file} failed: ${stderr || err.message}`),
+          );
+        resolve(JSON.parse(stdout));
+      },
+    );
+  });
+}
+
+//! ====================== CLI ======================
+function main(argv) {
+  const json = argv.includes("--json");
+  const quiet = argv.includes("--quiet");
+  const file = argv.find((arg) => !arg.startsWith("--"));
+  if (!file) {
+    console.log("usage: node event-loop-trace.js [--json] [--quiet] script.js");
+    process.exitCode = 1;
+    return;
+  }
+
+  const tracer = createTracer();
+  tracer.quiet = quiet || json;
+
+  //? "beforeExit" --> nothing is left in the event loop, the script is completely done
+  process.once("beforeExit", () => {
+    const report = tracer.stop();
+    if (json) fs.writeSync(1, `${JSON.stringify(report, null, 2)}\n`);
+    else fs.writeSync(1, `\n${formatTimeline(report)}\n`);
+  });
+
+  tracer.start();
+  require(path.resolve(file));
+  tracer.mainDone();
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = {
+  createTracer,
+  traceScript,
+  formatTimeline,
+};
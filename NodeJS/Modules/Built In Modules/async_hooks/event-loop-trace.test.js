@@ -0,0 +1,135 @@
+//! event-loop-trace tests --> node --test event-loop-trace.test.js
+//? the scripts are the experiments of Javascript/index.js with shorter times (ms instead of seconds)
+//? the blocking for loops wait for the clock instead of counting, so they take the same time on every machine
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { traceScript } = require("./event-loop-trace.js");
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-loop-trace-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const BLOCK =
+  "const block = (ms) => { const t = Date.now(); while (Date.now() - t < ms) {} };";
+
+async function trace(name, code) {
+  const file = path.join(dir, `${name}.js`);
+  fs.writeFileSync(file, `${BLOCK}\n${code}`);
+  const report = await traceScript(file);
+  const logs = report.events.filter((event) => event.kind === "log");
+  return { report, logs, texts: logs.map((event) => event.text) };
+}
+
+const phaseOf = (logs, text) => logs.find((event) => event.text === text).phase;
+
+//~ top to bottom, one task at a time
+test("synchronous logs come first, timers after them by delay", async () => {
+  const { logs, texts } = await trace(
+    "timers",
+    `console.log("3");
+setTimeout(() => console.log("st1"), 40);
+setTimeout(() => console.log("st1 4secs"), 40);
+console.log("1");
+setTimeout(() => console.log("st2"), 20);
+console.log("2");`,
+  );
+  assert.deepEqual(texts, ["3", "1", "2", "st2", "st1", "st1 4secs"]);
+  assert.equal(phaseOf(logs, "2"), "main");
+  assert.equal(phaseOf(logs, "st2"), "timers");
+});
+
+test("a blocking loop of the main script makes the timers late", async () => {
+  const { report, texts } = await trace(
+    "blocking-main",
+    `console.log("3");
+setTimeout(() => console.log("st2"), 20);
+console.log("1");
+block(200);
+console.log("2");`,
+  );
+  assert.deepEqual(texts, ["3", "1", "2", "st2"]);
+  const timer = report.events.find((event) => event.type === "Timeout");
+  assert.ok(timer.late >= 150, `timer late ${timer.late}ms`);
+  assert.ok(report.blocking.main >= 190, `main ${report.blocking.main}ms`);
+  assert.equal(report.blocking.longest.phase, "main");
+  assert.ok(
+    report.blocking.loopDelayMax >= report.blocking.main,
+    `loop delay ${report.blocking.loopDelayMax}ms < main ${report.blocking.main}ms`,
+  );
+});
+
+test("a blocking loop inside a timer is the longest callback", async () => {
+  const { report, texts } = await trace(
+    "blocking-timer",
+    `console.log("3");
+setTimeout(() => {
+  block(200);
+  console.log("end");
+}, 20);
+console.log("1");
+console.log("2");`,
+  );
+  assert.deepEqual(texts, ["3", "1", "2", "end"]);
+  assert.equal(report.blocking.longest.phase, "timers");
+  assert.ok(report.blocking.longest.duration >= 190);
+  assert.ok(report.blocking.loopDelayMax >= 150);
+});
+
+//~ promises and the microtask queue
+test("then/catch/finally of a rejected promise run as microtasks, in order", async () => {
+  const { logs, texts } = await trace(
+    "promise",
+    `let p1 = new Promise((resolve, reject) => {
+  let a = 20;
+  if (a == 21) resolve({ name: "abc", age: "20" });
+  else reject("Not Found");
+});
+p1.then((data) => {
+  console.log("data: ", data);
+  console.log("fulfilled");
+})
+  .catch((error) => {
+    console.log("error: ", error);
+    console.log("rejected");
+  })
+  .finally(() => console.log("finally"));
+console.log("sync");`,
+  );
+  assert.deepEqual(texts, ["sync", "error:  Not Found", "rejected", "finally"]);
+  assert.equal(phaseOf(logs, "rejected"), "microtask");
+});
+
+test("nextTick before promises before timers, setImmediate first after I/O", async () => {
+  const { logs, texts } = await trace(
+    "phases",
+    `setTimeout(() => console.log("timeout"), 0);
+Promise.resolve().then(() => console.log("promise"));
+process.nextTick(() => console.log("nextTick"));
+require("node:fs").readFile(__filename, () => {
+  console.log("readFile");
+  setTimeout(() => console.log("timeout after I/O"), 0);
+  setImmediate(() => console.log("immediate after I/O"));
+});
+console.log("sync");`,
+  );
+  assert.deepEqual(texts.slice(0, 4), [
+    "sync",
+    "nextTick",
+    "promise",
+    "timeout",
+  ]);
+  assert.deepEqual(texts.slice(-3), [
+    "readFile",
+    "immediate after I/O",
+    "timeout after I/O",
+  ]);
+  assert.equal(phaseOf(logs, "nextTick"), "microtask");
+  assert.equal(phaseOf(logs, "readFile"), "poll");
+  assert.equal(phaseOf(logs, "immediate after I/O"), "check");
+});
@@ -0,0 +1,297 @@
+//! typed emitter --> EventEmitter (node:events) where the event names are declared and every payload is checked
+//? emit("data", chunk) / on("data", () => {}) work the same as in streams.js
+//? but emit("dta") or emit("data", 42) throws, instead of silently calling nobody / the wrong listener
+
+//~ usage
+//? const file = new TypedEmitter({ events: { "file:open": "number", "file:data": "buffer", "file:close": "any" } });
+//? file.on("file:*", (eventName, ...args) => {});  --> every event of the "file" namespace
+//? file.on("*", (eventName, ...args) => {});       --> every event
+//? const [fd] = await once(file, "file:open", { timeout: 1000 });
+//? for await (const [chunk] of on(file, "file:data", { signal })) {}
+//? node --test typed-emitter.test.js --> tests with the read/write streams of streams.js
+
+//~ payload checks (one per declared event)
+//? "string" | "number" | "boolean" | "object" | "function" | "buffer" | "error" --> type of the first argument
+//? "any"                  --> no check
+//? (...args) => boolean   --> own check, false (or a thrown error) means invalid payload
+
+//~ error event
+//? "error" is always declared and its payload must be an Error
+//? emit("error") without an "error" listener throws (wildcard listeners do not count)
+
+const events = require("node:events");
+
+class UnknownEventError extends Error {
+  constructor(eventName, known) {
+    super(
+      `"${String(eventName)}" is not a declared event (declared: ${known.join(", ")})`,
+    );
+    this.name = "UnknownEventError";
+    this.code = "ERR_UNKNOWN_EVENT";
+    this.eventName = eventName;
+  }
+}
+
+class EventPayloadError extends TypeError {
+  constructor(eventName, args, reason) {
+    super(`invalid payload for "${String(eventName)}": ${reason}`);
+    this.name = "EventPayloadError";
+    this.code = "ERR_EVENT_PAYLOAD";
+    this.eventName = eventName;
+    this.args = args;
+  }
+}
+
+class EventTimeoutError extends Error {
+  constructor(eventName, timeout) {
+    super(`"${String(eventName)}" was not emitted within ${timeout}ms`);
+    this.name = "EventTimeoutError";
+    this.code = "ERR_EVENT_TIMEOUT";
+    this.eventName = eventName;
+  }
+}
+
+const CHECKS = {
+  any: () => true,
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  boolean: (value) => typeof value === "boolean",
+  function: (value) => typeof value === "function",
+  object: (value) => value !== null && typeof value === "object",
+  buffer: (value) => Buffer.isBuffer(value) || value instanceof Uint8Array,
+  error: (value) => value instanceof Error,
+};
+
+function toValidator(eventName, spec) {
+  if (typeof spec === "function") return spec;
+  const check = CHECKS[spec];
+  if (!check) {
+    throw new TypeError(`unknown payload type "${spec}" for "${eventName}"`);
+  }
+  const validator = (value) => check(value);
+  validator.expected = spec;
+  return validator;
+}
+
+//? "a:b:c" --> ["a:b:*", "a:*", "*"] (most specific first)
+function patternsOf(eventName) {
+  if (typeof eventName !== "string") return ["*"];
+  const parts = eventName.split(":");
+  const patterns = [];
+  for (let i = parts.length - 1; i > 0; i--) {
+    patterns.push(`${parts.slice(0, i).join(":")}:*`);
+  }
+  patterns.push("*");
+  return patterns;
+}
+
+const isPattern = (eventName) =>
+  typeof eventName === "string" &&
+  (eventName === "*" || eventName.endsWith(":*"));
+
+//! ====================== TypedEmitter ======================
+//? options.events       -> { eventName: payload check }
+//? options.maxListeners -> listeners per event before node prints MaxListenersExceededWarning (default 10)
+class TypedEmitter extends events.EventEmitter {
+  constructor({ events: declared = {}, maxListeners = 10, ...options } = {}) {
+    super(options);
+    this.validators = new Map([["error", toValidator("error", "error")]]);
+    for (const [eventName, spec] of Object.entries(declared)) {
+      if (isPattern(eventName)) {
+        throw new TypeError(
+          `"${eventName}" is a pattern, it cannot be declared`,
+        );
+      }
+      this.validators.set(eventName, toValidator(eventName, spec));
+    }
+    this.setMaxListeners(maxListeners);
+  }
+
+  get declaredEvents() {
+    return [...this.validators.keys()];
+  }
+
+  //? a listener can be added for a declared event or a pattern which matches at least one declared event
+  assertListenable(eventName) {
+    if (this.validators.has(eventName)) return;
+    if (isPattern(eventName)) {
+      const prefix = eventName.slice(0, -1);
+      if (
+        eventName === "*" ||
+        this.declaredEvents.some((name) => name.startsWith(prefix))
+      ) {
+        return;
+      }
+    }
+    throw new UnknownEventError(eventName, this.declaredEvents);
+  }
+
+  validate(eventName, args) {
+    const validator = this.validators.get(eventName);
+    if (!validator) throw new UnknownEventError(eventName, this.declaredEvents);
+    let valid;
+    try {
+      valid = validator(...args);
+    } catch (err) {
+      throw new EventPayloadError(eventName, args, err.message);
+    }
+    if (valid === false) {
+      const reason = validator.expected
+        ? `expected ${validator.expected}, got ${args.length ? typeof args[0] : "nothing"}`
+        : "rejected by the payload check";
+      throw new EventPayloadError(eventName, args, reason);
+    }
+  }
+
+  //~ exact listeners first, then "namespace:*" listeners, then "*" listeners
+  emit(eventName, ...args) {
+    //? emitted by EventEmitter itself when a listener is added/removed (only when someone listens to them)
+    if (eventName === "newListener" || eventName === "removeListener") {
+      return super.emit(eventName, ...args);
+    }
+    this.validate(eventName, args);
+    //? node would throw too, but the wildcard listeners must not see an unhandled error first
+    if (eventName === "error" && this.listenerCount("error") === 0) {
+      throw args[0];
+    }
+    let handled = super.emit(eventName, ...args);
+    for (const pattern of patternsOf(eventName)) {
+      if (this.listenerCount(pattern) > 0) {
+        super.emit(pattern, eventName, ...args);
+        handled = true;
+      }
+    }
+    return handled;
+  }
+}
+
+//? every method which adds a listener checks the event name first
+//? ("newListener" / "removeListener" are events of EventEmitter itself, they are always allowed)
+for (const method of [
+  "on",
+  "addListener",
+  "once",
+  "prependListener",
+  "prependOnceListener",
+]) {
+  TypedEmitter.prototype[method] = function (eventName, listener) {
+    if (eventName !== "newListener" && eventName !== "removeListener") {
+      this.assertListenable(eventName);
+    }
+    return events.EventEmitter.prototype[method].call(
+      this,
+      eventName,
+      listener,
+    );
+  };
+}
+
+//! ====================== promise / async iterator helpers ======================
+//? same as events.once / events.on of node, plus the event name check and a timeout
+
+//~ once(emitter, "eventName", { signal, timeout }) --> promise of the arguments array
+//? rejects when "error" is emitted first, the signal aborts or the timeout passes
+function once(emitter, eventName, { signal, timeout } = {}) {
+  if (emitter instanceof TypedEmitter) emitter.assertListenable(eventName);
+  if (!(timeout > 0)) return events.once(emitter, eventName, { signal });
+
+  //? AbortSignal.timeout() does not keep the process alive, a normal timer does
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const combined = signal
+    ? AbortSignal.any([signal, controller.signal])
+    : controller.signal;
+  return events
+    .once(emitter, eventName, { signal: combined })
+    .catch((err) => {
+      if (controller.signal.aborted && !signal?.aborted) {
+        throw new EventTimeoutError(eventName, timeout);
+      }
+      throw err;
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+//~ for await (const args of on(emitter, "eventName", { signal })) {}
+//? args -> the arguments array of every emit, the loop ends with an AbortError when the signal aborts
+//? an "error" event ends the loop by throwing the error
+function on(emitter, eventName, { signal } = {}) {
+  if (emitter instanceof TypedEmitter) emitter.assertListenable(eventName);
+  return events.on(emitter, eventName, { signal });
+}
+
+//! ====================== streams ======================
+//? the events of fs.createReadStream / fs.createWriteStream (streams.js), declared with their payloads
+
+const READ_STREAM_EVENTS = {
+  open: "number",
+  ready: "any",
+  data: (chunk) => typeof chunk === "string" || Buffer.isBuffer(chunk),
+  end: "any",
+  close: "any",
+  pause: "any",
+  resume: "any",
+};
+
+const WRITE_STREAM_EVENTS = {
+  open: "number",
+  ready: "any",
+  drain: "any",
+  finish: "any",
+  close: "any",
+  pipe: "object",
+  unpipe: "object",
+};
+
+//~ fromStream(fs.createReadStream("./index.html"), "read") --> TypedEmitter with "stream:data", "stream:end" ...
+//? every event of the stream is emitted again with the "stream:" namespace (so "stream:*" gets all of them)
+//? a "data" listener switches a read stream to flowing mode, so "data" is only listened to while the emitter
+//? has a listener for it ("stream:data", "stream:*" or "*"), until then pause() and backpressure work as usual
+function fromStream(stream, kind = "read", { namespace = "stream" } = {}) {
+  const declared = kind === "read" ? READ_STREAM_EVENTS : WRITE_STREAM_EVENTS;
+  const emitter = new TypedEmitter({
+    events: Object.fromEntries(
+      Object.entries(declared).map(([name, spec]) => [
+        `${namespace}:${name}`,
+        spec,
+      ]),
+    ),
+  });
+  for (const name of Object.keys(declared)) {
+    if (name === "data") continue;
+    stream.on(name, (...args) => emitter.emit(`${namespace}:${name}`, ...args));
+  }
+  stream.on("error", (err) => emitter.emit("error", err));
+
+  if (declared.data) {
+    const dataEvent = `${namespace}:data`;
+    const dataListeners = [dataEvent, ...patternsOf(dataEvent)];
+    const forward = (chunk) => emitter.emit(dataEvent, chunk);
+    let forwarding = false;
+    //? "newListener" comes before the listener is added, "removeListener" after it was removed
+    emitter.on("newListener", (eventName) => {
+      if (forwarding || !dataListeners.includes(eventName)) return;
+      forwarding = true;
+      stream.on("data", forward);
+    });
+    emitter.on("removeListener", (eventName) => {
+      if (!forwarding || !dataListeners.includes(eventName)) return;
+      if (dataListeners.some((name) => emitter.listenerCount(name) > 0)) return;
+      forwarding = false;
+      stream.off("data", forward);
+    });
+  }
+  return emitter;
+}
+
+module.exports = {
+  TypedEmitter,
+  UnknownEventError,
+  EventPayloadError,
+  EventTimeoutError,
+  once,
+  on,
+  fromStream,
+  READ_STREAM_EVENTS,
+  WRITE_STREAM_EVENTS,
+};
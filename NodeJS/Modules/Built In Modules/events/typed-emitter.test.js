@@ -0,0 +1,206 @@
+//! typed-emitter tests --> node --test typed-emitter.test.js
+//? the read and write streams are the ones of streams.js (createReadStream with highWaterMark 5, createWriteStream)
+//? the file read is ../fs/fixtures/index.html
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  TypedEmitter,
+  UnknownEventError,
+  EventPayloadError,
+  EventTimeoutError,
+  once,
+  on,
+  fromStream,
+} = require("./typed-emitter.js");
+
+const HTML = path.join(__dirname, "..", "fs", "fixtures", "index.html");
+const html = fs.readFileSync(HTML, "utf-8");
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "typed-emitter-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+//~ read stream
+test("stream:data gives the chunks of the read stream, then stream:end", async () => {
+  const readStream = fs.createReadStream(HTML, {
+    encoding: "utf-8",
+    highWaterMark: 5,
+  });
+  const file = fromStream(readStream, "read");
+  const chunks = [];
+  file.on("stream:data", (chunk) => chunks.push(chunk));
+  await once(file, "stream:end", { timeout: 5000 });
+  assert.equal(chunks.join(""), html);
+  assert.ok(chunks.every((chunk) => chunk.length <= 5));
+});
+
+test("stream:* and * see every event in order, with the event name", async () => {
+  const file = fromStream(fs.createReadStream(HTML), "read");
+  const names = [];
+  const all = [];
+  file.on("stream:*", (eventName) => names.push(eventName));
+  file.on("*", (eventName) => all.push(eventName));
+  await once(file, "stream:close");
+  assert.ok(names.indexOf("stream:open") < names.indexOf("stream:data"));
+  assert.ok(names.indexOf("stream:end") < names.indexOf("stream:close"));
+  assert.deepEqual(all, names);
+});
+
+test("without a data listener the read stream is not switched to flowing mode", async () => {
+  const readStream = fs.createReadStream(HTML, { highWaterMark: 5 });
+  const file = fromStream(readStream, "read");
+  file.on("stream:end", () => {});
+  await once(file, "stream:ready");
+  assert.equal(readStream.readableFlowing, null);
+
+  //? the stream can still be read by hand (read() + "readable"), fromStream does not take the chunks
+  const chunks = [];
+  readStream.on("readable", () => {
+    let chunk;
+    while ((chunk = readStream.read()) !== null) chunks.push(chunk);
+  });
+  await once(file, "stream:end");
+  assert.equal(Buffer.concat(chunks).toString(), html);
+});
+
+test("pause() stops stream:data until resume()", async () => {
+  const readStream = fs.createReadStream(HTML, { highWaterMark: 5 });
+  const file = fromStream(readStream, "read");
+  let count = 0;
+  file.on("stream:data", () => {
+    count++;
+    if (count === 1) readStream.pause();
+  });
+  await once(file, "stream:pause");
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(count, 1);
+  readStream.resume();
+  await once(file, "stream:end");
+  assert.ok(count > 1);
+});
+
+test("removing the last data listener stops forwarding", async () => {
+  const readStream = fs.createReadStream(HTML, { highWaterMark: 5 });
+  const file = fromStream(readStream, "read");
+  const listener = () => {};
+  file.on("stream:data", listener);
+  assert.equal(readStream.listenerCount("data"), 1);
+  file.on("*", listener);
+  file.off("stream:data", listener);
+  assert.equal(readStream.listenerCount("data"), 1);
+  file.off("*", listener);
+  assert.equal(readStream.listenerCount("data"), 0);
+  readStream.destroy();
+});
+
+test("a missing file is an error event", async () => {
+  const file = fromStream(
+    fs.createReadStream(path.join(dir, "missing.html")),
+    "read",
+  );
+  await assert.rejects(once(file, "stream:end"), { code: "ENOENT" });
+});
+
+test("for await ... of on() gets every chunk and stops with the signal", async () => {
+  const readStream = fs.createReadStream(HTML, {
+    encoding: "utf-8",
+    highWaterMark: 5,
+  });
+  const file = fromStream(readStream, "read");
+  const controller = new AbortController();
+  file.once("stream:end", () => controller.abort());
+  let text = "";
+  await assert.rejects(
+    async () => {
+      for await (const [chunk] of on(file, "stream:data", {
+        signal: controller.signal,
+      })) {
+        text += chunk;
+      }
+    },
+    { name: "AbortError" },
+  );
+  assert.equal(text, html);
+});
+
+//~ write stream
+test("write stream: stream:drain after a full buffer, stream:finish and stream:close", async () => {
+  const dest = path.join(dir, "demo.txt");
+  const writeStream = fs.createWriteStream(dest, { highWaterMark: 5 });
+  const file = fromStream(writeStream, "write");
+  const names = [];
+  file.on("stream:*", (eventName) => names.push(eventName));
+
+  assert.equal(writeStream.write("hi this is write stream"), false);
+  await once(file, "stream:drain", { timeout: 5000 });
+  writeStream.end("hi this is write stream 2");
+  await once(file, "stream:close");
+
+  assert.deepEqual(
+    names.filter((name) => name !== "stream:ready"),
+    ["stream:open", "stream:drain", "stream:finish", "stream:close"],
+  );
+  assert.equal(
+    fs.readFileSync(dest, "utf-8"),
+    "hi this is write streamhi this is write stream 2",
+  );
+});
+
+test("pipe() from the read stream gives stream:pipe and the same file", async () => {
+  const dest = path.join(dir, "copy.html");
+  const writeStream = fs.createWriteStream(dest);
+  const file = fromStream(writeStream, "write");
+  const piped = once(file, "stream:pipe");
+  fs.createReadStream(HTML).pipe(writeStream);
+  await piped;
+  await once(file, "stream:close");
+  assert.equal(fs.readFileSync(dest, "utf-8"), html);
+});
+
+//~ declared events and payloads
+test("undeclared events and wrong payloads throw", () => {
+  const file = new TypedEmitter({
+    events: { "file:open": "number", "file:data": "buffer" },
+  });
+  assert.throws(
+    () => file.emit("file:dta", Buffer.from("x")),
+    UnknownEventError,
+  );
+  assert.throws(() => file.on("file:dta", () => {}), UnknownEventError);
+  assert.throws(() => file.emit("file:open", "3"), EventPayloadError);
+  assert.throws(() => file.on("other:*", () => {}), UnknownEventError);
+  assert.equal(file.emit("file:open", 3), false);
+});
+
+test("error without an error listener throws, even with a * listener", () => {
+  const file = new TypedEmitter({ events: { "file:open": "number" } });
+  file.on("*", () => {});
+  assert.throws(() => file.emit("error", new Error("boom")), /boom/);
+  assert.throws(() => file.emit("error", "boom"), EventPayloadError);
+});
+
+test("once() with a timeout rejects with EventTimeoutError", async () => {
+  const file = new TypedEmitter({ events: { "file:open": "number" } });
+  await assert.rejects(
+    once(file, "file:open", { timeout: 20 }),
+    EventTimeoutError,
+  );
+  assert.equal(file.listenerCount("file:open"), 0);
+});
+
+test("more listeners than maxListeners prints a warning", async () => {
+  const file = new TypedEmitter({
+    events: { "file:open": "number" },
+    maxListeners: 2,
+  });
+  const warning = once(process, "warning");
+  for (let i = 0; i < 3; i++) file.on("file:open", () => {});
+  const [err] = await warning;
+  assert.equal(err.name, "MaxListenersExceededWarning");
+});
@@ -0,0 +1,281 @@
+//! binary codec --> BufferBuilder (write), BufferReader (read) and defineRecord (schema) on top of Buffer
+//? Buffer size is fixed: buff1.write("hello") on a 2 byte buffer (buffer.js) silently keeps only "he"
+//? BufferBuilder grows by itself, BufferReader throws instead of reading outside the buffer
+
+const { Buffer } = require("node:buffer");
+
+//~ number types --> [size in bytes, name used by Buffer methods (writeUInt16LE / readUInt16LE ...)]
+//? 64 bit values are BigInt (Number cannot hold them exactly)
+const TYPES = {
+  uint8: [1, "UInt8"],
+  int8: [1, "Int8"],
+  uint16le: [2, "UInt16LE"],
+  uint16be: [2, "UInt16BE"],
+  int16le: [2, "Int16LE"],
+  int16be: [2, "Int16BE"],
+  uint32le: [4, "UInt32LE"],
+  uint32be: [4, "UInt32BE"],
+  int32le: [4, "Int32LE"],
+  int32be: [4, "Int32BE"],
+  uint64le: [8, "BigUInt64LE"],
+  uint64be: [8, "BigUInt64BE"],
+  int64le: [8, "BigInt64LE"],
+  int64be: [8, "BigInt64BE"],
+  float32le: [4, "FloatLE"],
+  float32be: [4, "FloatBE"],
+  float64le: [8, "DoubleLE"],
+  float64be: [8, "DoubleBE"],
+};
+
+function typeInfo(type) {
+  const info = TYPES[type];
+  if (!info) throw new TypeError(`unknown type "${type}"`);
+  return info;
+}
+
+//~ thrown when a read goes past the end of the buffer
+class BufferBoundsError extends RangeError {
+  constructor(offset, size, length) {
+    super(
+      `cannot read ${size} byte(s) at offset ${offset}, buffer length is ${length}`,
+    );
+    this.name = "BufferBoundsError";
+    this.offset = offset;
+    this.size = size;
+    this.length = length;
+  }
+}
+
+//! ======================== BufferBuilder ========================
+//? every write method returns the builder, so writes can be chained
+class BufferBuilder {
+  constructor(initialSize = 64) {
+    this.buffer = Buffer.alloc(initialSize);
+    this.length = 0;
+  }
+
+  //? doubles the size (copying the old data) until "size" more bytes fit
+  ensure(size) {
+    const needed = this.length + size;
+    if (needed <= this.buffer.length) return;
+    let capacity = Math.max(this.buffer.length * 2, 1);
+    while (capacity < needed) capacity *= 2;
+    const bigger = Buffer.alloc(capacity);
+    this.buffer.copy(bigger, 0, 0, this.length);
+    this.buffer = bigger;
+  }
+
+  write(type, value) {
+    const [size, name] = typeInfo(type);
+    this.ensure(size);
+    if (size === 8 && name.startsWith("Big")) value = BigInt(value);
+    this.buffer[`write${name}`](value, this.length);
+    this.length += size;
+    return this;
+  }
+
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    Buffer.from(bytes).copy(this.buffer, this.length);
+    this.length += bytes.length;
+    return this;
+  }
+
+  //? encoding -> utf-8, utf16le, latin1, ascii, base64, hex ...
+  writeString(text, encoding = "utf-8") {
+    const size = Buffer.byteLength(text, encoding);
+    this.ensure(size);
+    this.buffer.write(text, this.length, size, encoding);
+    this.length += size;
+    return this;
+  }
+
+  //~ length-prefixed field --> length (as lengthType) followed by the bytes
+  //? value -> string (written with encoding) or Buffer/Uint8Array
+  writeLengthPrefixed(
+    value,
+    { lengthType = "uint32be", encoding = "utf-8" } = {},
+  ) {
+    const bytes =
+      typeof value === "string" ? Buffer.from(value, encoding) : value;
+    const [size] = typeInfo(lengthType);
+    if (size < 8 && bytes.length >= 2 ** (size * 8)) {
+      throw new RangeError(
+        `${bytes.length} bytes do not fit in a ${lengthType} length prefix`,
+      );
+    }
+    return this.write(lengthType, bytes.length).writeBytes(bytes);
+  }
+
+  //? copy of the written part only (the rest of the capacity is not included)
+  toBuffer() {
+    return Buffer.from(this.buffer.subarray(0, this.length));
+  }
+}
+
+//! ======================== BufferReader ========================
+//? offset is the cursor, every read moves it forward
+class BufferReader {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  get remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  check(size) {
+    if (size < 0 || this.offset + size > this.buffer.length) {
+      throw new BufferBoundsError(this.offset, size, this.buffer.length);
+    }
+  }
+
+  read(type) {
+    const [size, name] = typeInfo(type);
+    this.check(size);
+    const value = this.buffer[`read${name}`](this.offset);
+    this.offset += size;
+    return value;
+  }
+
+  readBytes(size) {
+    this.check(size);
+    const bytes = Buffer.from(
+      this.buffer.subarray(this.offset, this.offset + size),
+    );
+    this.offset += size;
+    return bytes;
+  }
+
+  readString(size, encoding = "utf-8") {
+    this.check(size);
+    const text = this.buffer.toString(
+      encoding,
+      this.offset,
+      this.offset + size,
+    );
+    this.offset += size;
+    return text;
+  }
+
+  //? encoding null --> returns the bytes (Buffer) instead of a string
+  readLengthPrefixed({ lengthType = "uint32be", encoding = "utf-8" } = {}) {
+    const start = this.offset;
+    const size = Number(this.read(lengthType));
+    try {
+      return encoding === null
+        ? this.readBytes(size)
+        : this.readString(size, encoding);
+    } catch (err) {
+      this.offset = start; //? a failed read does not move the cursor
+      throw err;
+    }
+  }
+
+  skip(size) {
+    this.check(size);
+    this.offset += size;
+    return this;
+  }
+}
+
+//! ======================== schema (defineRecord) ========================
+//? fields -> [{ name, type, ...options }] in the order they are written
+//? type -> one of TYPES | "string" | "bytes" (length-prefixed) | "array" (items: another field without name)
+//?         | another record returned by defineRecord() (nested record)
+
+//& const point = defineRecord([{ name: "x", type: "int16be" }, { name: "y", type: "int16be" }]);
+//& point.decode(point.encode({ x: 1, y: -2 })) --> { x: 1, y: -2 }
+
+function fieldCodec(field) {
+  const { type } = field;
+
+  if (type && typeof type.encodeInto === "function") return type;
+
+  if (type === "string" || type === "bytes") {
+    const options = {
+      lengthType: field.lengthType || "uint16be",
+      encoding: type === "bytes" ? null : field.encoding || "utf-8",
+    };
+    return {
+      encodeInto: (builder, value) =>
+        builder.writeLengthPrefixed(value, options),
+      decodeFrom: (reader) => reader.readLengthPrefixed(options),
+    };
+  }
+
+  if (type === "array") {
+    const lengthType = field.lengthType || "uint16be";
+    const items = fieldCodec(
+      typeof field.items === "string" ? { type: field.items } : field.items,
+    );
+    return {
+      encodeInto(builder, values) {
+        builder.write(lengthType, values.length);
+        for (const value of values) items.encodeInto(builder, value);
+      },
+      decodeFrom(reader) {
+        const count = Number(reader.read(lengthType));
+        const values = [];
+        for (let i = 0; i < count; i++) values.push(items.decodeFrom(reader));
+        return values;
+      },
+    };
+  }
+
+  typeInfo(type);
+  return {
+    encodeInto: (builder, value) => builder.write(type, value),
+    decodeFrom: (reader) => reader.read(type),
+  };
+}
+
+function defineRecord(fields) {
+  const codecs = fields.map((field) => {
+    if (!field.name) throw new TypeError("every field needs a name");
+    return [field.name, fieldCodec(field)];
+  });
+
+  const record = {
+    fields,
+    encodeInto(builder, value) {
+      for (const [name, codec] of codecs) {
+        if (value[name] === undefined)
+          throw new TypeError(`field "${name}" is missing`);
+        codec.encodeInto(builder, value[name]);
+      }
+    },
+    decodeFrom(reader) {
+      const value = {};
+      for (const [name, codec] of codecs)
+        value[name] = codec.decodeFrom(reader);
+      return value;
+    },
+    encode(value) {
+      const builder = new BufferBuilder();
+      record.encodeInto(builder, value);
+      return builder.toBuffer();
+    },
+    //? the whole buffer should be one record, extra bytes at the end are an error
+    decode(buffer) {
+      const reader = new BufferReader(buffer);
+      const value = record.decodeFrom(reader);
+      if (reader.remaining !== 0) {
+        throw new RangeError(
+          `${reader.remaining} extra byte(s) after the record`,
+        );
+      }
+      return value;
+    },
+  };
+  return record;
+}
+
+module.exports = {
+  TYPES,
+  BufferBuilder,
+  BufferReader,
+  BufferBoundsError,
+  defineRecord,
+};
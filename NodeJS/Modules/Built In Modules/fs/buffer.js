@@ -11,7 +11,8 @@ console.log("buff1: ", buff1);
 console.log(buff1.toJSON());
 
 buff1.write("hello");
-console.log(buff1.toString());
+console.log(buff1.toString()); //? "he" --> only 2 bytes fit, rest is dropped without any error
+//? BufferBuilder in "./binary-codec.js" grows instead of dropping the data
 
 console.log(buff1.toJSON());
 
@@ -0,0 +1,418 @@
+//! crypto stages --> compression, checksum and encryption as Transform stages (streams.js: "encryption, file compression")
+//? every stage works with runPipeline() of transform-pipeline.js, the file goes through chunk by chunk
+
+//~ usage
+//? node crypto-stages.js compress+encrypt file.json out.bin --password secret --verify
+//? node crypto-stages.js decrypt+decompress out.bin file-again.json --password secret
+//? node crypto-stages.js brotli+sha256 file.json out.br          --> sha256 of the compressed output is printed
+//? runPipeline("file.json", "out.bin", [gzip, () => encrypt({ password: "secret" })]);
+
+//~ stages
+//? gzip / gunzip, brotli / unbrotli     -> zlib (compress / decompress are gzip / gunzip)
+//? sha256                               -> data goes through unchanged, stage.digest (and the "digest" event) at the end
+//? encrypt / decrypt                    -> AES-256-GCM, options: { key } (32 byte Buffer) or { password }
+
+//! encrypted format --> header + frames
+//? header: "NSE1" | mode (0 key, 1 password) | salt (16) | nonce prefix (8)
+//? frame : final flag (1) | length (4) | ciphertext | auth tag (16)
+//? every frame (64KB) has its own auth tag, decrypt never gives out a byte which was not checked
+//? the frame number and the final flag are authenticated too --> reordered, missing or cut off frames are errors
+
+const fs = require("node:fs");
+const crypto = require("node:crypto");
+const zlib = require("node:zlib");
+const { Transform, Writable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { runPipeline } = require("./transform-pipeline.js");
+
+const MAGIC = Buffer.from("NSE1");
+const HEADER_SIZE = MAGIC.length + 1 + 16 + 8;
+const FRAME_HEADER_SIZE = 1 + 4;
+const TAG_SIZE = 16;
+const FRAME_SIZE = 64 * 1024;
+
+class DecryptError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "DecryptError";
+    this.code = "ERR_DECRYPT";
+  }
+}
+
+//! ====================== compression ======================
+const gzip = () => zlib.createGzip();
+const gunzip = () => zlib.createGunzip();
+const brotli = () => zlib.createBrotliCompress();
+const unbrotli = () => zlib.createBrotliDecompress();
+
+//! ====================== checksum ======================
+//? algorithm -> any of crypto.getHashes() ("sha256" by default)
+function sha256({ algorithm = "sha256" } = {}) {
+  const hash = crypto.createHash(algorithm);
+  const stage = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      stage.digest = hash.digest("hex");
+      stage.emit("digest", stage.digest);
+      callback();
+    },
+  });
+  stage.digest = null;
+  return stage;
+}
+
+//! ====================== encryption ======================
+//? password --> key with scrypt (slow on purpose, guessing passwords becomes slow too)
+function deriveKey(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, (err, key) =>
+      err ? reject(err) : resolve(key),
+    );
+  });
+}
+
+function checkOptions({ key, password }) {
+  if (password !== undefined) return;
+  if (!Buffer.isBuffer(key) || key.length !== 32) {
+    throw new TypeError(
+      "encrypt/decrypt need { key } (32 byte Buffer) or { password }",
+    );
+  }
+}
+
+//? nonce = prefix (random, from the header) + frame number --> never the same nonce twice with one key
+function nonceOf(prefix, counter) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 8);
+  return nonce;
+}
+
+//? authenticated (not encrypted) data of a frame: frame number + final flag + length
+function aadOf(counter, frameHeader) {
+  const aad = Buffer.alloc(4 + FRAME_HEADER_SIZE);
+  aad.writeUInt32BE(counter, 0);
+  frameHeader.copy(aad, 4);
+  return aad;
+}
+
+function encrypt(options = {}) {
+  checkOptions(options);
+  const salt = crypto.randomBytes(16);
+  const prefix = crypto.randomBytes(8);
+  let key = options.key;
+  let pending = [];
+  let pendingSize = 0;
+  let counter = 0;
+  let headerSent = false;
+
+  function pushHeader(stream) {
+    if (headerSent) return;
+    const mode = Buffer.from([options.password !== undefined ? 1 : 0]);
+    stream.push(Buffer.concat([MAGIC, mode, salt, prefix]));
+    headerSent = true;
+  }
+
+  function sealFrame(stream, plain, final) {
+    const frameHeader = Buffer.alloc(FRAME_HEADER_SIZE);
+    frameHeader.writeUInt8(final ? 1 : 0, 0);
+    frameHeader.writeUInt32BE(plain.length, 1);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      key,
+      nonceOf(prefix, counter),
+    );
+    cipher.setAAD(aadOf(counter, frameHeader));
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+    stream.push(Buffer.concat([frameHeader, encrypted, cipher.getAuthTag()]));
+    counter++;
+  }
+
+  return new Transform({
+    async construct(callback) {
+      try {
+        if (options.password !== undefined)
+          key = await deriveKey(options.password, salt);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    transform(chunk, encoding, callback) {
+      pushHeader(this);
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      //? full frames are sent right away, the rest waits for more data (or the end)
+      //? a frame is only sent when more data follows, so the last frame can be marked as final
+      while (pendingSize > FRAME_SIZE) {
+        const data = Buffer.concat(pending);
+        sealFrame(this, data.subarray(0, FRAME_SIZE), false);
+        pending = [data.subarray(FRAME_SIZE)];
+        pendingSize = pending[0].length;
+      }
+      callback();
+    },
+    flush(callback) {
+      pushHeader(this); //? empty input --> header + one empty final frame
+      sealFrame(this, Buffer.concat(pending), true);
+      callback();
+    },
+  });
+}
+
+function decrypt(options = {}) {
+  checkOptions(options);
+  let buffered = Buffer.alloc(0);
+  let key = null;
+  let prefix = null;
+  let counter = 0;
+  let finished = false;
+
+  async function readHeader() {
+    if (!buffered.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new DecryptError("not an encrypted file (wrong header)");
+    }
+    const mode = buffered[MAGIC.length];
+    const salt = buffered.subarray(MAGIC.length + 1, MAGIC.length + 17);
+    prefix = Buffer.from(buffered.subarray(MAGIC.length + 17, HEADER_SIZE));
+    if (mode === 1) {
+      if (options.password === undefined) {
+        throw new DecryptError(
+          "the file was encrypted with a password, pass { password }",
+        );
+      }
+      key = await deriveKey(options.password, salt);
+    } else {
+      if (!options.key)
+        throw new DecryptError(
+          "the file was encrypted with a key, pass { key }",
+        );
+      key = options.key;
+    }
+    buffered = buffered.subarray(HEADER_SIZE);
+  }
+
+  //? every complete frame in the buffer is checked and decrypted
+  function openFrames(stream) {
+    while (buffered.length >= FRAME_HEADER_SIZE) {
+      if (finished) throw new DecryptError("data after the final frame");
+      const frameHeader = buffered.subarray(0, FRAME_HEADER_SIZE);
+      const final = frameHeader[0] === 1;
+      const length = frameHeader.readUInt32BE(1);
+      if (length > FRAME_SIZE) throw new DecryptError("invalid frame length");
+      const total = FRAME_HEADER_SIZE + length + TAG_SIZE;
+      if (buffered.length < total) return;
+
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        nonceOf(prefix, counter),
+      );
+      decipher.setAAD(aadOf(counter, frameHeader));
+      decipher.setAuthTag(buffered.subarray(total - TAG_SIZE, total));
+      let plain;
+      try {
+        plain = Buffer.concat([
+          decipher.update(
+            buffered.subarray(FRAME_HEADER_SIZE, total - TAG_SIZE),
+          ),
+          decipher.final(),
+        ]);
+      } catch (err) {
+        throw new DecryptError(
+          `frame ${counter} could not be authenticated (wrong key/password or changed data)`,
+          { cause: err },
+        );
+      }
+      stream.push(plain);
+      buffered = buffered.subarray(total);
+      counter++;
+      finished = final;
+    }
+  }
+
+  return new Transform({
+    async transform(chunk, encoding, callback) {
+      try {
+        buffered = Buffer.concat([buffered, chunk]);
+        if (!key) {
+          if (buffered.length < HEADER_SIZE) return callback();
+          await readHeader();
+        }
+        openFrames(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      if (!key)
+        return callback(new DecryptError("not an encrypted file (too short)"));
+      if (!finished || buffered.length > 0) {
+        return callback(
+          new DecryptError("the file is cut off (final frame is missing)"),
+        );
+      }
+      callback();
+    },
+  });
+}
+
+//! ====================== CLI ======================
+const STAGES = {
+  gzip,
+  gunzip,
+  compress: gzip,
+  decompress: gunzip,
+  brotli,
+  unbrotli,
+  sha256,
+  encrypt,
+  decrypt,
+};
+
+//? the chain which undoes a chain: "compress+encrypt" --> "decrypt+decompress"
+const INVERSE = {
+  gzip: "gunzip",
+  gunzip: "gzip",
+  compress: "decompress",
+  decompress: "compress",
+  brotli: "unbrotli",
+  unbrotli: "brotli",
+  encrypt: "decrypt",
+  decrypt: "encrypt",
+  sha256: "sha256",
+};
+
+//? "compress+encrypt" --> [gzip(), encrypt(options)]
+function buildChain(chain, options = {}) {
+  return chain.split("+").map((name) => {
+    const stage = STAGES[name];
+    if (!stage) {
+      throw new Error(
+        `unknown stage "${name}" (${Object.keys(STAGES).join(", ")})`,
+      );
+    }
+    return stage === encrypt || stage === decrypt || stage === sha256
+      ? stage(options)
+      : stage();
+  });
+}
+
+function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  return pipeline(
+    fs.createReadStream(file),
+    new Writable({
+      write(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback();
+      },
+    }),
+  ).then(() => hash.digest("hex"));
+}
+
+//~ runs the inverse chain on dest (in memory, nothing is written) and compares the sha256 with src
+async function verifyRoundTrip(src, dest, chain, options = {}) {
+  const inverse = chain
+    .split("+")
+    .reverse()
+    .map((name) => INVERSE[name])
+    .join("+");
+  const check = sha256();
+  await pipeline(
+    fs.createReadStream(dest),
+    ...buildChain(inverse, options),
+    check,
+    new Writable({ write: (chunk, encoding, callback) => callback() }),
+  );
+  const expected = await hashFile(src);
+  return {
+    ok: check.digest === expected,
+    expected,
+    actual: check.digest,
+    inverse,
+  };
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], verify: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--verify") args.verify = true;
+    else if (arg === "--password") args.password = argv[++i];
+    else if (arg === "--key") args.key = Buffer.from(argv[++i] || "", "hex");
+    else if (arg.startsWith("--")) throw new Error(`unknown option "${arg}"`);
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+async function main(argv) {
+  const { positional, verify, ...keyOptions } = parseArgs(argv);
+  const [chain, src, dest] = positional;
+  if (!chain || !src || !dest) {
+    console.log(
+      "usage: node crypto-stages.js <stage+stage...> <src> <dest> [--password text | --key hex] [--verify]",
+    );
+    process.exitCode = 1;
+    return;
+  }
+  if (keyOptions.password === undefined && process.env.STREAM_PASSWORD) {
+    keyOptions.password = process.env.STREAM_PASSWORD;
+  }
+
+  //? the output goes to a temp file first, renamed to dest when the whole chain worked
+  //? a wrong password or a tampered file leaves no empty or half decrypted dest behind
+  const stages = buildChain(chain, keyOptions);
+  const temp = `${dest}.${process.pid}.tmp`;
+  try {
+    await runPipeline(src, temp, stages);
+    fs.renameSync(temp, dest);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+  const [inSize, outSize] = [fs.statSync(src).size, fs.statSync(dest).size];
+  console.log(
+    `${chain}: ${src} (${inSize} bytes) --> ${dest} (${outSize} bytes)`,
+  );
+  for (const stage of stages) {
+    if (stage.digest) console.log(`sha256: ${stage.digest}`);
+  }
+
+  if (verify) {
+    const result = await verifyRoundTrip(src, dest, chain, keyOptions);
+    if (result.ok) {
+      console.log(`round trip ok (${result.inverse}), sha256 ${result.actual}`);
+    } else {
+      console.log(
+        `round trip FAILED: expected ${result.expected}, got ${result.actual}`,
+      );
+      process.exitCode = 1;
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(`${err.name}: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  gzip,
+  gunzip,
+  brotli,
+  unbrotli,
+  sha256,
+  encrypt,
+  decrypt,
+  DecryptError,
+  buildChain,
+  verifyRoundTrip,
+};
@@ -0,0 +1,420 @@
+//! doc store --> JSON documents in collections, saved in a folder without losing data on a crash
+//? fs.writeFileSync("./data.json", ...) first empties the file and then writes it, a crash in between
+//? (power loss, kill -9, an exception in a callback) leaves a half written or empty file
+
+//~ usage
+//? sync (like fs.writeFileSync)                  promise (like fs.promises / async-await)
+//? const store = openStoreSync("./db");          const store = await openStore("./db");
+//? const users = store.collection("users");      const users = store.collection("users");
+//? users.put("1", { name: "a", age: 20 });       await users.put("1", { name: "a", age: 20 });
+//? users.get("1")  --> { _id: "1", name: "a", age: 20 }  (undefined when missing)
+//? users.query((user) => user.age > 18)  --> array of documents
+//? users.delete("1") --> true/false       store.compact()       store.close()
+//? node doc-store.js ./db put users 1 '{"name":"a"}'   (also get, delete, list, compact)
+
+//~ files in the folder
+//? data.json     -> snapshot of every collection, replaced atomically: temp file >> fsync >> rename
+//?                  rename() swaps the file in one step, readers see the old or the new file, never half of one
+//? journal.log   -> one line per change (put/delete) added with appendFile, nothing is ever rewritten in it
+//? on open: data.json + every line of journal.log (replay) --> documents in memory
+//? compact(): memory --> new data.json, then the journal is emptied (also automatically every compactEvery changes)
+//? a crash between the two steps only replays changes already in data.json: a put/delete gives the same result twice
+
+//~ crash while appending
+//? a torn last line of the journal (the write did not finish) is skipped, that change was never confirmed
+//? appendFile does not fsync: after a power loss the last changes may be missing, but the files are never corrupt
+
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const path = require("node:path");
+
+const SNAPSHOT = "data.json";
+const JOURNAL = "journal.log";
+
+class StoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "StoreError";
+    this.code = code;
+  }
+}
+
+//! ====================== atomic write ======================
+//? the temp file is in the same folder: rename() is only atomic on the same file system
+const tempName = (file) => `${file}.${process.pid}.tmp`;
+
+function writeFileAtomicSync(file, data) {
+  const temp = tempName(file);
+  const fd = fs.openSync(temp, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd); //? data is on the disk before the rename makes it visible
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temp, file);
+  syncDirSync(path.dirname(file));
+}
+
+async function writeFileAtomic(file, data) {
+  const temp = tempName(file);
+  const handle = await fsP.open(temp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fsP.rename(temp, file);
+  await syncDir(path.dirname(file));
+}
+
+//? the rename is an entry of the folder, fsync of the folder saves it (not possible on windows --> ignored)
+function syncDirSync(dir) {
+  try {
+    const fd = fs.openSync(dir, "r");
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {}
+}
+
+async function syncDir(dir) {
+  try {
+    const handle = await fsP.open(dir, "r");
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch {}
+}
+
+//! ====================== memory state (shared by both APIs) ======================
+//? collections -> Map of collection name --> Map of id --> document
+function createState() {
+  return { collections: new Map(), changes: 0 };
+}
+
+function apply(state, entry) {
+  let docs = state.collections.get(entry.collection);
+  if (!docs) {
+    docs = new Map();
+    state.collections.set(entry.collection, docs);
+  }
+  if (entry.op === "put") docs.set(entry.id, entry.doc);
+  else if (entry.op === "delete") docs.delete(entry.id);
+}
+
+function loadSnapshot(state, text) {
+  const data = JSON.parse(text);
+  for (const [name, docs] of Object.entries(data.collections)) {
+    state.collections.set(name, new Map(Object.entries(docs)));
+  }
+}
+
+function toSnapshot(state) {
+  const collections = {};
+  for (const [name, docs] of state.collections) {
+    collections[name] = Object.fromEntries(docs);
+  }
+  return JSON.stringify({ version: 1, collections });
+}
+
+//? returns the number of replayed changes, only the last line may be broken (torn write)
+function replay(state, text, file) {
+  const lines = text.split("\n");
+  let replayed = 0;
+  lines.forEach((line, i) => {
+    if (line === "") return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      if (i === lines.length - 1) return; //? no "\n" after it --> the append never finished
+      throw new StoreError(
+        "ERR_STORE_CORRUPT",
+        `${file} line ${i + 1} is not valid JSON: ${err.message}`,
+      );
+    }
+    apply(state, entry);
+    replayed++;
+  });
+  return replayed;
+}
+
+function checkName(kind, value) {
+  if (typeof value !== "string" || value === "") {
+    throw new StoreError(
+      "ERR_STORE_INVALID",
+      `${kind} should be a non-empty string`,
+    );
+  }
+}
+
+//? documents are plain JSON objects: the copy (JSON round trip) is what is saved, later changes to the
+//? original object do not change the store
+function checkDocument(doc) {
+  if (doc === null || typeof doc !== "object" || Array.isArray(doc)) {
+    throw new StoreError(
+      "ERR_STORE_INVALID",
+      "document should be a plain object",
+    );
+  }
+  const { _id, ...rest } = JSON.parse(JSON.stringify(doc));
+  return rest;
+}
+
+const withId = (id, doc) => ({ _id: id, ...structuredClone(doc) });
+
+function getDoc(state, name, id) {
+  const doc = state.collections.get(name)?.get(String(id));
+  return doc === undefined ? undefined : withId(String(id), doc);
+}
+
+function queryDocs(state, name, predicate = () => true) {
+  const results = [];
+  for (const [id, doc] of state.collections.get(name) ?? []) {
+    const copy = withId(id, doc);
+    if (predicate(copy)) results.push(copy);
+  }
+  return results;
+}
+
+function putEntry(name, id, doc) {
+  checkName("id", String(id ?? ""));
+  return {
+    op: "put",
+    collection: name,
+    id: String(id),
+    doc: checkDocument(doc),
+  };
+}
+
+//! ====================== 1) sync API ======================
+class StoreSync {
+  constructor(dir, { compactEvery = 1000 } = {}) {
+    this.dir = dir;
+    this.compactEvery = compactEvery;
+    this.closed = false;
+    this.state = createState();
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      loadSnapshot(
+        this.state,
+        fs.readFileSync(path.join(dir, SNAPSHOT), "utf-8"),
+      );
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const journal = path.join(dir, JOURNAL);
+    let text = "";
+    try {
+      text = fs.readFileSync(journal, "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    this.state.changes = replay(this.state, text, journal);
+    //? a replayed journal is compacted right away, a torn line would be glued to the next append
+    if (text !== "") this.compact();
+  }
+
+  collection(name) {
+    checkName("collection name", name);
+    return {
+      get: (id) => getDoc(this.state, name, id),
+      query: (predicate) => queryDocs(this.state, name, predicate),
+      put: (id, doc) => {
+        this.#commit(putEntry(name, id, doc));
+      },
+      delete: (id) => {
+        if (getDoc(this.state, name, id) === undefined) return false;
+        this.#commit({ op: "delete", collection: name, id: String(id) });
+        return true;
+      },
+    };
+  }
+
+  collections() {
+    return [...this.state.collections.keys()];
+  }
+
+  //? the change is in the journal before it is in memory: a get() never returns an unsaved document
+  #commit(entry) {
+    if (this.closed)
+      throw new StoreError("ERR_STORE_CLOSED", "store is closed");
+    fs.appendFileSync(
+      path.join(this.dir, JOURNAL),
+      `${JSON.stringify(entry)}\n`,
+    );
+    apply(this.state, entry);
+    if (++this.state.changes >= this.compactEvery) this.compact();
+  }
+
+  compact() {
+    writeFileAtomicSync(path.join(this.dir, SNAPSHOT), toSnapshot(this.state));
+    fs.writeFileSync(path.join(this.dir, JOURNAL), "");
+    this.state.changes = 0;
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+//! ====================== 2) promise API ======================
+//? every write waits for the previous one (a queue), so the journal has the changes in the order they were made
+class Store {
+  constructor(dir, { compactEvery = 1000 } = {}) {
+    this.dir = dir;
+    this.compactEvery = compactEvery;
+    this.closed = false;
+    this.state = createState();
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    await fsP.mkdir(this.dir, { recursive: true });
+    try {
+      loadSnapshot(
+        this.state,
+        await fsP.readFile(path.join(this.dir, SNAPSHOT), "utf-8"),
+      );
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const journal = path.join(this.dir, JOURNAL);
+    let text = "";
+    try {
+      text = await fsP.readFile(journal, "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    this.state.changes = replay(this.state, text, journal);
+    if (text !== "") await this.compact();
+    return this;
+  }
+
+  collection(name) {
+    checkName("collection name", name);
+    return {
+      get: async (id) => getDoc(this.state, name, id),
+      query: async (predicate) => queryDocs(this.state, name, predicate),
+      put: async (id, doc) => {
+        await this.#commit(putEntry(name, id, doc));
+      },
+      delete: (id) =>
+        this.#enqueue(async () => {
+          if (getDoc(this.state, name, id) === undefined) return false;
+          await this.#write({ op: "delete", collection: name, id: String(id) });
+          return true;
+        }),
+    };
+  }
+
+  async collections() {
+    return [...this.state.collections.keys()];
+  }
+
+  //? closed is checked when the write is asked for, a write queued before close() still runs
+  #enqueue(task) {
+    if (this.closed)
+      return Promise.reject(
+        new StoreError("ERR_STORE_CLOSED", "store is closed"),
+      );
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {}); //? a failed write does not stop the next ones
+    return result;
+  }
+
+  async #write(entry) {
+    await fsP.appendFile(
+      path.join(this.dir, JOURNAL),
+      `${JSON.stringify(entry)}\n`,
+    );
+    apply(this.state, entry);
+    if (++this.state.changes >= this.compactEvery) await this.#compact();
+  }
+
+  #commit(entry) {
+    return this.#enqueue(() => this.#write(entry));
+  }
+
+  async #compact() {
+    await writeFileAtomic(
+      path.join(this.dir, SNAPSHOT),
+      toSnapshot(this.state),
+    );
+    await fsP.writeFile(path.join(this.dir, JOURNAL), "");
+    this.state.changes = 0;
+  }
+
+  compact() {
+    return this.#enqueue(() => this.#compact());
+  }
+
+  //? waits for every queued write (also the ones queued while waiting), later ones reject with ERR_STORE_CLOSED
+  async close() {
+    let pending;
+    do {
+      pending = this.queue;
+      await pending;
+    } while (pending !== this.queue);
+    this.closed = true;
+  }
+}
+
+function openStoreSync(dir, options) {
+  return new StoreSync(dir, options);
+}
+
+function openStore(dir, options) {
+  return new Store(dir, options).load();
+}
+
+//! ====================== CLI ======================
+//? node doc-store.js <dir> put <collection> <id> <json> | get <collection> <id> | delete <collection> <id>
+//? node doc-store.js <dir> list [collection] | compact
+function main([dir, command, name, id, json]) {
+  const usage =
+    "usage: node doc-store.js <dir> put|get|delete <collection> <id> [json] | list [collection] | compact";
+  if (!dir || !command) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+  const store = openStoreSync(dir);
+  if (command === "put") store.collection(name).put(id, JSON.parse(json));
+  else if (command === "get")
+    console.log(store.collection(name).get(id) ?? null);
+  else if (command === "delete") console.log(store.collection(name).delete(id));
+  else if (command === "list") {
+    for (const collection of name ? [name] : store.collections()) {
+      console.log(collection, store.collection(collection).query());
+    }
+  } else if (command === "compact") store.compact();
+  else {
+    console.log(usage);
+    process.exitCode = 1;
+  }
+  store.close();
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.log(`${err.name}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  openStoreSync,
+  openStore,
+  writeFileAtomicSync,
+  writeFileAtomic,
+  StoreError,
+};
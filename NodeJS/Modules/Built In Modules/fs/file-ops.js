@@ -0,0 +1,129 @@
+//! file-ops --> every fs CRUD operation from fs.js, exported in all 4 styles
+//? sync >> callbacks >> then/catch >> async-await (same order as fs.js)
+//? nothing runs on import, every operation has to be called
+//? createFileOps(fsModule) --> the same 4 styles on top of another fs, e.g. the in-memory one of "./memory-fs.js"
+
+const fs = require("node:fs");
+
+//~ every style throws/rejects/passes the same error object
+//? op -> name of the operation, path -> file/folder it failed on, code -> node error code (ENOENT, EEXIST...)
+//? dest -> second path of copy/rename, both are in the message (a copy to a missing folder fails because of dest)
+class FileOpError extends Error {
+  constructor(op, path, cause) {
+    const failed = cause.path ?? path;
+    const paths =
+      cause.dest === undefined
+        ? `"${failed}"`
+        : `"${failed}" -> "${cause.dest}"`;
+    super(`${op} failed for ${paths}: ${cause.message}`, { cause });
+    this.name = "FileOpError";
+    this.op = op;
+    this.path = failed;
+    if (cause.dest !== undefined) this.dest = cause.dest;
+    this.code = cause.code;
+  }
+}
+
+//~ operation name --> fs method name + default value of every parameter
+//? undefined means the parameter is required
+const OPERATIONS = {
+  create: { method: "writeFile", defaults: [undefined, ""] },
+  read: { method: "readFile", defaults: [undefined, "utf-8"] },
+  append: { method: "appendFile", defaults: [undefined, ""] },
+  copy: { method: "copyFile", defaults: [undefined, undefined] },
+  remove: { method: "unlink", defaults: [undefined] },
+  mkdir: { method: "mkdir", defaults: [undefined, { recursive: false }] },
+  rmdir: { method: "rmdir", defaults: [undefined] },
+  rename: { method: "rename", defaults: [undefined, undefined] },
+  open: { method: "open", defaults: [undefined, "r"] },
+};
+
+//? arguments after the defaults are passed as they are (copy(src, dest, mode), rename/rmdir options ...)
+function withDefaults(args, defaults) {
+  return [
+    ...defaults.map((value, i) => (args[i] === undefined ? value : args[i])),
+    ...args.slice(defaults.length),
+  ];
+}
+
+//? fsModule -> anything shaped like require("node:fs") (sync methods, callback methods and .promises)
+function createFileOps(fsModule = fs) {
+  const fsP = fsModule.promises;
+
+  //! 1) sync -> returns the value or throws
+  const sync = {};
+
+  //! 2) callbacks -> error first callback, always the last argument
+  const callback = {};
+
+  //! 3) promise -> then/catch
+  const promise = {};
+
+  //! 4) async-await
+  const asyncAwait = {};
+
+  for (const [op, { method, defaults }] of Object.entries(OPERATIONS)) {
+    sync[op] = (...args) => {
+      const params = withDefaults(args, defaults);
+      try {
+        return fsModule[`${method}Sync`](...params);
+      } catch (err) {
+        throw new FileOpError(op, params[0], err);
+      }
+    };
+
+    callback[op] = (...args) => {
+      const cb = args.pop();
+      if (typeof cb !== "function") {
+        throw new TypeError(
+          `callback.${op}() needs a callback as the last argument`,
+        );
+      }
+      const params = withDefaults(args, defaults);
+      //? wrong arguments (ERR_INVALID_ARG_TYPE) are thrown right away by fs, they go to the callback too
+      //? (on the next tick, the callback is never called before the function returns)
+      try {
+        fsModule[method](...params, (err, result) => {
+          if (err) return cb(new FileOpError(op, params[0], err));
+          cb(null, result);
+        });
+      } catch (err) {
+        process.nextTick(cb, new FileOpError(op, params[0], err));
+      }
+    };
+
+    promise[op] = (...args) => {
+      const params = withDefaults(args, defaults);
+      return new Promise((resolve) => resolve(fsP[method](...params))).catch(
+        (err) => {
+          throw new FileOpError(op, params[0], err);
+        },
+      );
+    };
+
+    asyncAwait[op] = async (...args) => {
+      const params = withDefaults(args, defaults);
+      try {
+        return await fsP[method](...params);
+      } catch (err) {
+        throw new FileOpError(op, params[0], err);
+      }
+    };
+  }
+
+  return { sync, callback, promise, asyncAwait };
+}
+
+const { sync, callback, promise, asyncAwait } = createFileOps();
+
+//? open() gives a file descriptor (number) in sync/callback style and a FileHandle in promise/async-await style
+//? close it with fs.closeSync(fd) / fs.close(fd, cb) / await handle.close()
+
+module.exports = {
+  sync,
+  callback,
+  promise,
+  asyncAwait,
+  FileOpError,
+  createFileOps,
+};
@@ -0,0 +1,16 @@
+//! ESM entry of file-ops.js
+//? import { sync, promise } from "./file-ops.mjs"
+//? import fileOps from "./file-ops.mjs"
+
+import fileOps from "./file-ops.js";
+
+export const {
+  sync,
+  callback,
+  promise,
+  asyncAwait,
+  FileOpError,
+  createFileOps,
+} = fileOps;
+
+export default fileOps;
@@ -0,0 +1,221 @@
+//! fs chains --> the writeFile >> appendFile >> appendFile examples of fs.js, written with ./promise-utils.js
+//? every example writes the same file and logs the same 3 messages, only the way of waiting changes
+//? node fs-chains.js            --> runs every example 20 times in a temp folder and compares the runs
+//? node fs-chains.js --runs 100
+
+//~ ordered examples (the check fails when one of them changes its order or its file)
+//? nested callbacks, nested then, async-await (fs.js) and series, parallel({ concurrency: 1 }), callbackify
+//~ unordered examples (only shown, nothing waits for the previous step)
+//? 3 fs.writeFile/fs.appendFile calls and 3 fsP calls side by side, the file can end up in any order
+
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  promisify,
+  callbackify,
+  series,
+  parallel,
+} = require("./promise-utils.js");
+
+const STEPS = [
+  ["new data", "file created"],
+  ["this is added data 1", "file updated 1"],
+  ["this is added data 2", "file updated 2"],
+];
+const EXPECTED_FILE = STEPS.map(([data]) => data).join("");
+const EXPECTED_LOG = STEPS.map(([, message]) => message);
+
+//? the first step creates the file, the others append to it
+const promiseStep = ([data], i, file) =>
+  i === 0 ? fsP.writeFile(file, data) : fsP.appendFile(file, data);
+
+//! ====================== fs.js as it is ======================
+//? every example --> (file, log) => promise resolved when all 3 steps are done
+const EXAMPLES = {
+  //? fs.js "callbacks" section, 3 levels deep
+  nestedCallbacks: {
+    ordered: true,
+    run: (file, log) =>
+      new Promise((resolve, reject) => {
+        fs.writeFile(file, STEPS[0][0], (err) => {
+          if (err) return reject(err);
+          log(STEPS[0][1]);
+          fs.appendFile(file, STEPS[1][0], (err) => {
+            if (err) return reject(err);
+            log(STEPS[1][1]);
+            fs.appendFile(file, STEPS[2][0], (err) => {
+              if (err) return reject(err);
+              log(STEPS[2][1]);
+              resolve();
+            });
+          });
+        });
+      }),
+  },
+
+  //? fs.js: the same 3 calls without nesting
+  unorderedCallbacks: {
+    ordered: false,
+    run: (file, log) =>
+      new Promise((resolve, reject) => {
+        let done = 0;
+        STEPS.forEach(([data, message], i) => {
+          const method = i === 0 ? fs.writeFile : fs.appendFile;
+          method(file, data, (err) => {
+            if (err) return reject(err);
+            log(message);
+            if (++done === STEPS.length) resolve();
+          });
+        });
+      }),
+  },
+
+  //? fs.js "promise: then/catch" section, then inside then
+  nestedThen: {
+    ordered: true,
+    run: (file, log) =>
+      fsP.writeFile(file, STEPS[0][0]).then(() => {
+        log(STEPS[0][1]);
+        return fsP.appendFile(file, STEPS[1][0]).then(() => {
+          log(STEPS[1][1]);
+          return fsP.appendFile(file, STEPS[2][0]).then(() => {
+            log(STEPS[2][1]);
+          });
+        });
+      }),
+  },
+
+  //? fs.js: write, update and update2 started side by side
+  unorderedPromises: {
+    ordered: false,
+    run: (file, log) =>
+      Promise.all(
+        STEPS.map((step, i) =>
+          promiseStep(step, i, file).then(() => log(step[1])),
+        ),
+      ),
+  },
+
+  //? fs.js fsOP()
+  asyncAwait: {
+    ordered: true,
+    run: async (file, log) => {
+      await fsP.writeFile(file, STEPS[0][0]);
+      log(STEPS[0][1]);
+      await fsP.appendFile(file, STEPS[1][0]);
+      log(STEPS[1][1]);
+      await fsP.appendFile(file, STEPS[2][0]);
+      log(STEPS[2][1]);
+    },
+  },
+
+  //! ====================== with promise-utils.js ======================
+  series: {
+    ordered: true,
+    run: (file, log) =>
+      series(
+        STEPS.map(
+          (step, i) => () =>
+            promiseStep(step, i, file).then(() => log(step[1])),
+        ),
+      ),
+  },
+
+  //? concurrency 1 --> the next step starts when the previous one finished
+  parallelOneAtATime: {
+    ordered: true,
+    run: (file, log) =>
+      parallel(
+        STEPS.map(
+          (step, i) => () =>
+            promiseStep(step, i, file).then(() => log(step[1])),
+        ),
+        { concurrency: 1 },
+      ),
+  },
+
+  //? callback fs functions turned into promises, the chain turned back into one callback
+  promisifyCallbackify: {
+    ordered: true,
+    run: (file, log) => {
+      const writeFile = promisify(fs.writeFile);
+      const appendFile = promisify(fs.appendFile);
+      const chain = callbackify(() =>
+        series(
+          STEPS.map(([data, message], i) => async () => {
+            await (i === 0 ? writeFile : appendFile)(file, data);
+            log(message);
+          }),
+        ),
+      );
+      return new Promise((resolve, reject) =>
+        chain((err) => (err ? reject(err) : resolve())),
+      );
+    },
+  },
+};
+
+//! ====================== check ======================
+//? one run --> "log order | file contents", the same text in every run means the order is deterministic
+async function runOnce(example, dir) {
+  const file = path.join(dir, "demo.txt");
+  const log = [];
+  await example.run(file, (message) => log.push(message));
+  const contents = await fsP.readFile(file, "utf-8");
+  await fsP.rm(file, { force: true });
+  return { log, contents };
+}
+
+async function check({ runs = 20 } = {}) {
+  const dir = await fsP.mkdtemp(path.join(os.tmpdir(), "fs-chains-"));
+  const report = [];
+  try {
+    for (const [name, example] of Object.entries(EXAMPLES)) {
+      const outcomes = new Map();
+      for (let i = 0; i < runs; i++) {
+        const { log, contents } = await runOnce(example, dir);
+        const key = `${log.join(" > ")} | ${contents}`;
+        outcomes.set(key, (outcomes.get(key) ?? 0) + 1);
+      }
+      const expected = `${EXPECTED_LOG.join(" > ")} | ${EXPECTED_FILE}`;
+      const ok =
+        !example.ordered || (outcomes.size === 1 && outcomes.has(expected));
+      report.push({ name, ordered: example.ordered, ok, outcomes });
+    }
+  } finally {
+    await fsP.rm(dir, { recursive: true, force: true });
+  }
+  return report;
+}
+
+async function main(argv) {
+  const runsIndex = argv.indexOf("--runs");
+  const runs = runsIndex === -1 ? 20 : Number(argv[runsIndex + 1]);
+  if (!(runs >= 1)) throw new Error("--runs should be a number >= 1");
+  const report = await check({ runs });
+  for (const { name, ordered, ok, outcomes } of report) {
+    const label = ordered ? (ok ? "ordered ok" : "ORDER CHANGED") : "unordered";
+    console.log(
+      `${name.padEnd(22)} ${label} (${outcomes.size} different result(s) in ${runs} runs)`,
+    );
+    if (!ok || outcomes.size > 1) {
+      for (const [outcome, count] of outcomes)
+        console.log(`  ${count}x ${outcome}`);
+    }
+  }
+  if (report.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  EXAMPLES,
+  check,
+};
@@ -3,10 +3,14 @@
 //? let variableName = require("node:name of the module")
 
 // import fs from "node:fs";
+// import { promisify, callbackify, series, parallel } from "./promise-utils.js";
+//? fs.js is an ES module --> import (a require() here throws "require is not defined in ES module scope")
 
 //? different name of modules (lowercase, separated by hyphen) -> fs, http, crypto, os, path, cluster, events etc..
 
-//TODO: (module resolution algorithm)
+//~ module resolution algorithm (how require("./file1") finds the file)
+//? exact path >> path + ".js" >> path + ".json" >> folder/package.json "main" >> folder/index.js
+//? step by step version --> "../../Local Modules/CommonJS/mini-require.js"
 
 //~ fs stands for file system. this module provides utilities to operate on files and folders present in the OS
 
@@ -30,6 +34,7 @@
 // console.log(3);
 
 //? if the file is present at the specified path, then previous data will be over-written by new one
+//? a crash while over-writing leaves a half written file --> "./doc-store.js" (temp file >> fsync >> rename + a journal)
 
 //~ 2) reading a file synchronously
 //? method name --> readFileSync()
@@ -74,6 +79,8 @@ function copyPaste() {
 // fs.copyFileSync("./fs.js", "../../Starter/fs.txt");
 // console.log("done");
 
+//? copyFileSync() copies only one file, to copy/sync a whole folder --> syncDirSync("src", "dest") in "./sync-dir.js"
+
 //~ 5) deleting a file synchronously
 //? method name --> unlinkSync()
 //& format --> fs.unlinkSync("path")
@@ -98,7 +105,13 @@ function copyPaste() {
 // fs.renameSync("./new.java", "../Local Modules/old.html");
 
 //~ open()
-//TODO:
+//? method name --> openSync()
+//& format --> fs.openSync("path", "flags") --> returns a file descriptor (number)
+// let fd = fs.openSync("./demo.txt", "r");
+// fs.closeSync(fd);
+
+//? every operation above (in all 4 styles) is exported from "./file-ops.js"
+//? createFileOps(createVolume()) --> the same operations on in-memory files ("./memory-fs.js"), nothing touches the disk
 
 //! ================== using fs asynchronously (callbacks) ========================================
 
@@ -164,6 +177,8 @@ function copyPaste() {
 // fs.appendFile("./demo.txt", "this is added data 2", () => {
 //   console.log("file updated 2\n");
 // });
+//? these 3 can land in any order --> createWriter().append() in "./write-queue.js" keeps the order of the calls
+//? (one queue per file + a lock file, so other processes appending to the same file wait too)
 
 //! ===============================
 
@@ -191,8 +206,22 @@ function copyPaste() {
 //   });
 // });
 
-//TODO:
+//? the same chain without nesting --> "./promise-utils.js" (callbackify + series of promisified fs functions, imported at the top)
+// const writeFile = promisify(fs.writeFile);
+// const appendFile = promisify(fs.appendFile);
+// callbackify(() =>
+//   series([
+//     () => writeFile("./demo.txt", "new data").then(() => console.log("file created\n")),
+//     () => appendFile("./demo.txt", "this is added data 1").then(() => console.log("file updated 1\n")),
+//     () => appendFile("./demo.txt", "this is added data 2").then(() => console.log("file updated 2\n")),
+//   ]),
+// )((err) => {
+//   if (err) console.log("error while updating a file");
+// });
+
 //~ 4) deleting, renaming, create a folder, removing a folder, copying a file
+//? fs.unlink(), fs.rename(), fs.mkdir(), fs.rmdir(), fs.copyFile() --> same format, error first callback at last
+//? callback.remove(), callback.rename(), callback.mkdir(), callback.rmdir(), callback.copy() in "./file-ops.js"
 
 //! ================== using fs asynchronously (promise: then/catch) ========================================
 
@@ -235,8 +264,9 @@ import fsP from "node:fs/promises";
 //     console.log("error while reading");
 //   });
 
-//TODO:
 //~ 3) updating, deleting files; creating, deleting, reaming folders
+//? fsP.appendFile(), fsP.unlink(), fsP.mkdir(), fsP.rmdir(), fsP.rename() --> all of them return a promise
+//? promise.append(), promise.remove(), ... (then/catch) and asyncAwait.append(), ... in "./file-ops.js"
 
 //! =======================================
 // let write = fsP.writeFile("./app.js", "this is writeFile");
@@ -279,6 +309,18 @@ import fsP from "node:fs/promises";
 //     console.log(err);
 //   });
 
+//? without nesting: series() starts a task when the previous one finished, parallel() limits how many run at once
+//? series and parallel are imported at the top (with fs)
+// series([
+//   () => fsP.writeFile("./app.js", "this is writeFile"),
+//   () => fsP.appendFile("./app.js", "this is appendFile"),
+//   () => fsP.appendFile("./app.js", "this is appendFile 2"),
+// ])
+//   .then(() => console.log("file created, appended, appended 2"))
+//   .catch((err) => console.log(err));
+// parallel([() => fsP.readFile("./fs.js"), () => fsP.readFile("./streams.js")], { concurrency: 1 }).then((files) => console.log(files.length));
+//? node fs-chains.js --> runs every chain of this file many times: the unordered ones change their order
+
 //! ================== using fs asynchronously (promise: async/await) ========================================
 async function fsOP() {
   await fsP.writeFile("./server.js", "this is server");
@@ -290,6 +332,8 @@ async function fsOP() {
 }
 
 fsOP();
+//? retry(() => fsP.readFile(...), { retries: 3 }), timeout((signal) => fsP.readFile(..., { signal }), 1000)
+//? and allSettled(tasks) (report of a batch) are in "./promise-utils.js" too
 //? fs --> sync >> callbacks >> then/catch >> async-await
 
 //! libUV -> to handle all the async I/O operation(file read, database call, nw call)
@@ -301,6 +345,8 @@ fsOP();
 //! call stack - async op (delegate)
 //! system kernel (hardware - software)
 //? libUV (4 threads)
+//? node threadpool-waves.js --> 8 tasks on 4 threads finish in 2 waves (UV_THREADPOOL_SIZE changes the number)
 
 //? concurrency and parallelism
 //! main, 4 --> os level threads --> 20 threads
+//? libUV threads are only for I/O, CPU work (loops) needs worker_threads --> ../worker_threads/worker-pool.js
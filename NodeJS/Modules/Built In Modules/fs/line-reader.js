@@ -0,0 +1,250 @@
+//! line reader --> whole lines instead of chunks of highWaterMark bytes
+//? createReadStream("./index.html", { highWaterMark: 5 }) (streams.js) gives "<!doc", "type " ... lines and
+//? multibyte characters ("é" is 2 bytes in utf-8) are split between chunks, here they are joined again
+
+//~ usage
+//? for await (const line of readLines("./index.html")) console.log(line);
+//? await lastLines("./app.log", 10)                    --> last 10 lines, the file is read backwards from the end
+//? for await (const line of follow("./app.log", { signal })) console.log(line);   --> tail -f
+//? node line-reader.js ./app.log -n 20 -f
+
+//~ follow mode
+//? new lines (appendFile, createWriteStream with flags "a" ...) are given as soon as they are written
+//? truncated file (size smaller than before) --> reading starts again from the beginning
+//? rotated file (renamed, a new file with the same name) --> rest of the old file, then the new file from the beginning
+//? the loop ends (without an error) when the signal aborts
+
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const path = require("node:path");
+const { StringDecoder } = require("node:string_decoder");
+
+const NEWLINE = 0x0a;
+
+//? "a\r\n" and "a\n" --> "a"
+const trimEnd = (line) => (line.endsWith("\r") ? line.slice(0, -1) : line);
+
+//~ chunks of text --> whole lines, the incomplete last line waits for the next chunk
+function createLineSplitter(encoding = "utf-8") {
+  let decoder = new StringDecoder(encoding);
+  let rest = "";
+  return {
+    push(chunk) {
+      const text =
+        rest + (typeof chunk === "string" ? chunk : decoder.write(chunk));
+      const lines = text.split("\n");
+      rest = lines.pop();
+      return lines.map(trimEnd);
+    },
+    //? end of the file: the last line (without "\n") is a line too
+    end() {
+      const text = rest + decoder.end();
+      rest = "";
+      return text === "" ? [] : [trimEnd(text)];
+    },
+    reset() {
+      decoder = new StringDecoder(encoding);
+      rest = "";
+    },
+  };
+}
+
+//! ====================== readLines ======================
+//? options -> highWaterMark, start, end, encoding (same as createReadStream)
+async function* readLines(file, { encoding = "utf-8", ...options } = {}) {
+  const splitter = createLineSplitter(encoding);
+  for await (const chunk of fs.createReadStream(file, options)) {
+    yield* splitter.push(chunk);
+  }
+  yield* splitter.end();
+}
+
+//! ====================== lastLines ======================
+//? reads chunkSize bytes at a time from the end until n newlines were found
+//? searching for the byte 0x0a is safe in utf-8: it is never a part of a multibyte character
+async function lastLines(
+  file,
+  n,
+  { chunkSize = 64 * 1024, encoding = "utf-8" } = {},
+) {
+  if (n <= 0) return [];
+  const handle = await fsP.open(file, "r");
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return [];
+    const chunks = [];
+    let position = size;
+    let newlines = 0;
+    let skipLast = null; //? a "\n" at the very end of the file does not start a new line
+    while (position > 0 && newlines <= n) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      if (skipLast === null) skipLast = chunk[length - 1] === NEWLINE;
+      for (const byte of chunk) if (byte === NEWLINE) newlines++;
+      chunks.unshift(chunk);
+      if (skipLast && newlines - 1 > n) break;
+    }
+    let text = Buffer.concat(chunks).toString(encoding);
+    if (skipLast) text = text.slice(0, -1);
+    return text.split("\n").slice(-n).map(trimEnd);
+  } finally {
+    await handle.close();
+  }
+}
+
+//! ====================== follow (tail -f) ======================
+//? wait() resolves on the next notify(), a notify() without a waiting wait() is remembered
+function createWaker() {
+  let pending = false;
+  let resolve = null;
+  return {
+    notify() {
+      if (resolve) {
+        const done = resolve;
+        resolve = null;
+        done();
+      } else pending = true;
+    },
+    wait() {
+      if (pending) {
+        pending = false;
+        return Promise.resolve();
+      }
+      return new Promise((done) => (resolve = done));
+    },
+  };
+}
+
+//? options -> fromStart (false: only lines written after follow() started), interval (check every n ms even
+//? without a watch event, fs.watch misses changes on some file systems), signal, encoding,
+//? onReset(reason) -> called with "truncated" / "rotated"
+async function* follow(file, options = {}) {
+  const {
+    fromStart = false,
+    interval = 500,
+    signal,
+    encoding = "utf-8",
+    onReset = () => {},
+  } = options;
+  const base = path.basename(file);
+  const splitter = createLineSplitter(encoding);
+  const waker = createWaker();
+  const buffer = Buffer.alloc(64 * 1024);
+  let handle = null;
+  let ino = null;
+  let position = 0;
+  let firstOpen = true;
+
+  //? the folder is watched (not the file): after a rotation the file is a new one
+  const watcher = fs.watch(path.dirname(path.resolve(file)), (event, name) => {
+    if (!name || name.toString() === base) waker.notify();
+  });
+  watcher.on("error", () => {}); //? the interval keeps working without the watcher
+  const timer = setInterval(waker.notify, interval);
+  signal?.addEventListener("abort", waker.notify, { once: true });
+
+  async function readNew() {
+    const lines = [];
+    for (;;) {
+      const { bytesRead } = await handle.read(
+        buffer,
+        0,
+        buffer.length,
+        position,
+      );
+      if (bytesRead === 0) return lines;
+      position += bytesRead;
+      lines.push(...splitter.push(buffer.subarray(0, bytesRead)));
+    }
+  }
+
+  try {
+    while (!signal?.aborted) {
+      if (!handle) {
+        try {
+          handle = await fsP.open(file, "r");
+          const stat = await handle.stat();
+          ino = stat.ino;
+          position = firstOpen && !fromStart ? stat.size : 0;
+          firstOpen = false;
+          splitter.reset();
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+          firstOpen = false; //? a file created later is read from its beginning
+          await waker.wait(); //? not there (yet, or during a rotation)
+          continue;
+        }
+      }
+
+      const { size } = await handle.stat();
+      if (size < position) {
+        position = 0;
+        splitter.reset();
+        onReset("truncated");
+      }
+
+      yield* await readNew();
+
+      let current = null;
+      try {
+        current = await fsP.stat(file);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      if (!current || current.ino !== ino) {
+        //? everything of the old file was read above, its last line may not have a "\n"
+        yield* splitter.end();
+        await handle.close();
+        handle = null;
+        onReset("rotated");
+        continue;
+      }
+
+      await waker.wait();
+    }
+  } finally {
+    watcher.close();
+    clearInterval(timer);
+    signal?.removeEventListener("abort", waker.notify);
+    await handle?.close();
+  }
+}
+
+//! ====================== CLI ======================
+//? node line-reader.js <file> [-n 10] [-f]
+async function main(argv) {
+  const file = argv.find(
+    (arg, i) => !arg.startsWith("-") && argv[i - 1] !== "-n",
+  );
+  const nIndex = argv.indexOf("-n");
+  const n = nIndex === -1 ? 10 : Number(argv[nIndex + 1]);
+  if (!file || !(n >= 0)) {
+    console.log("usage: node line-reader.js <file> [-n lines] [-f]");
+    process.exitCode = 1;
+    return;
+  }
+  for (const line of await lastLines(file, n)) console.log(line);
+  if (argv.includes("-f")) {
+    const controller = new AbortController();
+    process.once("SIGINT", () => controller.abort());
+    for await (const line of follow(file, { signal: controller.signal })) {
+      console.log(line);
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createLineSplitter,
+  readLines,
+  lastLines,
+  follow,
+};
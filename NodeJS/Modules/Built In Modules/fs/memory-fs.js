@@ -0,0 +1,632 @@
+//! memory fs --> a file system that only lives in memory, shaped like require("node:fs")
+//? the examples of fs.js and streams.js create demo.txt, fs.txt, server.js, app.js ... in the real folder
+//? with a volume the same calls work on files that disappear with the process (nothing to clean up)
+
+//~ usage
+//? const vol = createVolume({ "/demo.txt": "hello", "/src": null });   --> string/Buffer = file, null = folder
+//? vol.writeFileSync("./demo.txt", "new data");                         --> sync
+//? vol.appendFile("./demo.txt", " 1", (err) => {});                     --> callbacks
+//? await vol.promises.readFile("./demo.txt", "utf-8");                  --> promises (vol.promises = fs.promises)
+//? vol.createReadStream("./demo.txt", { highWaterMark: 5 })             --> chunks of 5 bytes like a real ReadStream
+//? vol.toJSON() --> { "/demo.txt": "new data 1", "/src": null }
+//? vol.constants --> fs.constants (COPYFILE_EXCL, F_OK, R_OK ...)
+
+//~ injection --> code that gets the fs as a parameter instead of a require() can be given a volume
+//? const { sync, promise } = createFileOps(vol);       (file-ops.js)
+//? function saveReport(fs = require("node:fs")) { fs.writeFileSync(...) }  --> saveReport(createVolume())
+
+//~ covered
+//? writeFile, readFile, appendFile, copyFile, unlink, mkdir, rmdir, rename, stat, lstat, readdir, open, close, exists
+//? in the 3 styles (sync / callback / promises), createReadStream, createWriteStream
+//? errors are the ones of node: same code (ENOENT, EEXIST, ENOTEMPTY, ENOTDIR, EISDIR), errno, syscall, path, message
+//? relative paths start at cwd (default "/"), paths always use "/" (also on windows)
+
+const path = require("node:path").posix;
+const os = require("node:os");
+const util = require("node:util");
+const { Readable, Writable } = require("node:stream");
+const { constants } = require("node:fs");
+
+//! ====================== errors ======================
+//? fsError("ENOENT", "open", "./a.txt") --> "ENOENT: no such file or directory, open './a.txt'" like node
+function fsError(code, syscall, file, dest) {
+  const errno = -os.constants.errno[code];
+  const [, description] = util.getSystemErrorMap().get(errno);
+  const target =
+    file === undefined
+      ? ""
+      : ` '${file}'${dest === undefined ? "" : ` -> '${dest}'`}`;
+  const err = new Error(`${code}: ${description}, ${syscall}${target}`);
+  err.errno = errno;
+  err.code = code;
+  err.syscall = syscall;
+  if (file !== undefined) err.path = file;
+  if (dest !== undefined) err.dest = dest;
+  return err;
+}
+
+function abortError(signal) {
+  const err = new Error("The operation was aborted", { cause: signal.reason });
+  err.name = "AbortError";
+  err.code = "ABORT_ERR";
+  return err;
+}
+
+//! ====================== stats ======================
+class Stats {
+  constructor(node) {
+    this.dev = 1;
+    this.ino = node.ino;
+    this.mode =
+      node.type === "dir"
+        ? constants.S_IFDIR | 0o755
+        : constants.S_IFREG | 0o644;
+    this.nlink = 1;
+    this.uid = process.getuid?.() ?? 0;
+    this.gid = process.getgid?.() ?? 0;
+    this.rdev = 0;
+    this.size = node.type === "dir" ? 4096 : contentOf(node).length;
+    this.blksize = 4096;
+    this.blocks = Math.ceil(this.size / 512);
+    for (const time of ["atime", "mtime", "ctime", "birthtime"]) {
+      this[`${time}Ms`] = node[`${time}Ms`];
+      this[time] = new Date(node[`${time}Ms`]);
+    }
+  }
+
+  isFile() {
+    return (this.mode & constants.S_IFMT) === constants.S_IFREG;
+  }
+
+  isDirectory() {
+    return (this.mode & constants.S_IFMT) === constants.S_IFDIR;
+  }
+
+  isSymbolicLink() {
+    return false;
+  }
+}
+
+//! ====================== nodes (files and folders) ======================
+let nextIno = 1;
+
+function createNode(type) {
+  const now = Date.now();
+  return {
+    type,
+    ino: nextIno++,
+    children: type === "dir" ? new Map() : null,
+    chunks: [], //? a write stream adds chunks, they are joined on the next read
+    atimeMs: now,
+    mtimeMs: now,
+    ctimeMs: now,
+    birthtimeMs: now,
+  };
+}
+
+function contentOf(node) {
+  if (node.chunks.length > 1) node.chunks = [Buffer.concat(node.chunks)];
+  return node.chunks[0] ?? Buffer.alloc(0);
+}
+
+function touch(node) {
+  node.mtimeMs = node.ctimeMs = Date.now();
+}
+
+function setContent(node, buffer) {
+  node.chunks = buffer.length ? [buffer] : [];
+  touch(node);
+}
+
+function addContent(node, buffer) {
+  if (buffer.length) node.chunks.push(buffer);
+  touch(node);
+}
+
+function toBuffer(data, encoding = "utf-8") {
+  if (Buffer.isBuffer(data)) return Buffer.from(data); //? a copy: changing the caller's buffer later does not change the file
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(
+      data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+    );
+  }
+  if (typeof data === "string") return Buffer.from(data, encoding);
+  throw new TypeError(
+    `The "data" argument must be of type string or an instance of Buffer, TypedArray, or DataView. Received ${typeof data}`,
+  );
+}
+
+//? "utf-8" --> { encoding: "utf-8" }, like every fs method that takes options
+const optionsOf = (options, defaults = {}) =>
+  typeof options === "string"
+    ? { ...defaults, encoding: options }
+    : { ...defaults, ...options };
+
+//? the root folder can not be created, removed or opened as a file
+const ROOT_ERRORS = { open: "EISDIR", unlink: "EISDIR", mkdir: "EEXIST" };
+
+//! ====================== volume ======================
+function createVolume(files = {}, { cwd = "/" } = {}) {
+  const root = createNode("dir");
+  const descriptors = new Map(); //? fd --> { node, flags, position }
+  let nextFd = 3;
+
+  //? the path exactly as the caller wrote it is used in error messages (like node)
+  function resolvePath(file) {
+    if (file instanceof URL) file = file.pathname;
+    if (Buffer.isBuffer(file)) file = file.toString();
+    if (typeof file !== "string") {
+      throw new TypeError(
+        `The "path" argument must be of type string. Received ${typeof file}`,
+      );
+    }
+    return path.resolve(cwd, file);
+  }
+
+  //? node of an absolute path or null, a file in the middle of the path is ENOTDIR
+  //? so is a file at the end of "/demo.txt/": resolve() drops the "/", the path as written (shown) still has it
+  function find(absolute, syscall, shown) {
+    let node = root;
+    for (const name of absolute.split("/").filter(Boolean)) {
+      if (node.type !== "dir") throw fsError("ENOTDIR", syscall, shown);
+      node = node.children.get(name);
+      if (!node) return null;
+    }
+    if (node.type !== "dir" && shown.endsWith("/"))
+      throw fsError("ENOTDIR", syscall, shown);
+    return node;
+  }
+
+  function mustFind(file, syscall) {
+    const node = find(resolvePath(file), syscall, String(file));
+    if (!node) throw fsError("ENOENT", syscall, String(file));
+    return node;
+  }
+
+  //? folder that has to contain the path + name of the entry in it
+  //? "demo.txt/" can only be a folder: a file there is ENOTDIR, creating a file there (create) EISDIR, like node
+  function parentOf(file, syscall, dest, create = false) {
+    const absolute = resolvePath(file);
+    if (absolute === "/") {
+      throw fsError(
+        ROOT_ERRORS[syscall] ?? "EBUSY",
+        syscall,
+        String(file),
+        dest,
+      );
+    }
+    const parent = find(path.dirname(absolute), syscall, String(file));
+    if (!parent) throw fsError("ENOENT", syscall, String(file), dest);
+    if (parent.type !== "dir")
+      throw fsError("ENOTDIR", syscall, String(file), dest);
+    const name = path.basename(absolute);
+    const entry = parent.children.get(name);
+    if (String(file).endsWith("/") && entry?.type !== "dir") {
+      if (create) throw fsError("EISDIR", syscall, String(file), dest);
+      if (entry) throw fsError("ENOTDIR", syscall, String(file), dest);
+    }
+    return { parent, name, absolute };
+  }
+
+  //? flags of open(): r, r+, w, w+, wx, a, a+, ax ... --> file node (created/emptied as the flag says)
+  function openNode(file, flags = "r") {
+    const { parent, name } = parentOf(
+      file,
+      "open",
+      undefined,
+      !flags.startsWith("r"),
+    );
+    let node = parent.children.get(name);
+    if (node && flags.includes("x"))
+      throw fsError("EEXIST", "open", String(file));
+    //? a folder can be opened for reading (like node), reading it fails with EISDIR
+    if (node?.type === "dir" && flags !== "r") {
+      throw fsError("EISDIR", "open", String(file));
+    }
+    if (!node) {
+      if (flags.startsWith("r")) throw fsError("ENOENT", "open", String(file));
+      node = createNode("file");
+      parent.children.set(name, node);
+      touch(parent);
+    } else if (flags.startsWith("w")) setContent(node, Buffer.alloc(0));
+    return node;
+  }
+
+  //? vol.constants = fs.constants: vol.copyFileSync(a, b, vol.constants.COPYFILE_EXCL) without require("node:fs")
+  const vol = { constants, promises: {} };
+
+  //~ sync methods --> the base of the callback and promise versions
+  const syncMethods = {
+    writeFile(file, data, options) {
+      const { encoding, flag = "w" } = optionsOf(options);
+      const buffer = toBuffer(data, encoding ?? "utf-8");
+      if (typeof file === "number") return void writeToFd(file, buffer);
+      const node = openNode(file, flag);
+      if (flag.startsWith("a")) addContent(node, buffer);
+      else setContent(node, buffer);
+    },
+
+    readFile(file, options) {
+      const { encoding = null, flag = "r" } = optionsOf(options);
+      const node =
+        typeof file === "number"
+          ? fdEntry(file, "read").node
+          : openNode(file, flag);
+      if (node.type === "dir") throw fsError("EISDIR", "read");
+      node.atimeMs = Date.now();
+      const content = Buffer.from(contentOf(node));
+      return encoding ? content.toString(encoding) : content;
+    },
+
+    appendFile(file, data, options) {
+      const { encoding, flag = "a" } = optionsOf(options);
+      syncMethods.writeFile(file, data, { encoding, flag });
+    },
+
+    //? mode fs.constants.COPYFILE_EXCL --> EEXIST when dest is there
+    copyFile(src, dest, mode = 0) {
+      const source = find(resolvePath(src), "copyfile", String(src));
+      if (!source)
+        throw fsError("ENOENT", "copyfile", String(src), String(dest));
+      if (source.type === "dir")
+        throw fsError("EISDIR", "copyfile", String(src), String(dest));
+      const { parent, name } = parentOf(dest, "copyfile", undefined, true);
+      const existing = parent.children.get(name);
+      if (existing && mode & constants.COPYFILE_EXCL) {
+        throw fsError("EEXIST", "copyfile", String(src), String(dest));
+      }
+      if (existing?.type === "dir")
+        throw fsError("EISDIR", "copyfile", String(src), String(dest));
+      const copy = existing ?? createNode("file");
+      setContent(copy, Buffer.from(contentOf(source)));
+      parent.children.set(name, copy);
+    },
+
+    unlink(file) {
+      const { parent, name } = parentOf(file, "unlink");
+      const node = parent.children.get(name);
+      if (!node) throw fsError("ENOENT", "unlink", String(file));
+      if (node.type === "dir") throw fsError("EISDIR", "unlink", String(file));
+      parent.children.delete(name);
+      touch(parent);
+    },
+
+    //? options -> { recursive } (or the mode as a number), recursive returns the first folder it created
+    mkdir(dir, options) {
+      const { recursive = false } = typeof options === "object" ? options : {};
+      const absolute = resolvePath(dir);
+      if (!recursive) {
+        const { parent, name } = parentOf(dir, "mkdir");
+        if (parent.children.has(name))
+          throw fsError("EEXIST", "mkdir", String(dir));
+        parent.children.set(name, createNode("dir"));
+        touch(parent);
+        return undefined;
+      }
+      let node = root;
+      let current = "/";
+      let first;
+      for (const name of absolute.split("/").filter(Boolean)) {
+        current = path.join(current, name);
+        let next = node.children.get(name);
+        if (!next) {
+          next = createNode("dir");
+          node.children.set(name, next);
+          touch(node);
+          first ??= current;
+        } else if (next.type !== "dir") {
+          throw fsError(
+            current === absolute ? "EEXIST" : "ENOTDIR",
+            "mkdir",
+            String(dir),
+          );
+        }
+        node = next;
+      }
+      //? the first created folder, written like the given path ("./a/b/c" --> "./a")
+      if (first === undefined) return undefined;
+      let result = String(dir);
+      for (
+        let i = path
+          .relative(first, absolute)
+          .split("/")
+          .filter(Boolean).length;
+        i > 0;
+        i--
+      ) {
+        result = path.dirname(result);
+      }
+      return result;
+    },
+
+    //? options -> { recursive } removes the folder with everything in it
+    rmdir(dir, { recursive = false } = {}) {
+      const { parent, name } = parentOf(dir, "rmdir");
+      const node = parent.children.get(name);
+      if (!node) throw fsError("ENOENT", "rmdir", String(dir));
+      if (node.type !== "dir") throw fsError("ENOTDIR", "rmdir", String(dir));
+      if (node.children.size > 0 && !recursive)
+        throw fsError("ENOTEMPTY", "rmdir", String(dir));
+      parent.children.delete(name);
+      touch(parent);
+    },
+
+    //? a file or a folder, also to another folder (a move), an existing file at newPath is replaced
+    rename(oldPath, newPath) {
+      const from = [String(oldPath), String(newPath)];
+      const source = parentOf(oldPath, "rename", from[1]);
+      const node = source.parent.children.get(source.name);
+      if (!node) throw fsError("ENOENT", "rename", ...from);
+      const target = parentOf(newPath, "rename", from[1]);
+      const existing = target.parent.children.get(target.name);
+      if (existing === node) return;
+      if (
+        node.type === "dir" &&
+        (target.absolute + "/").startsWith(source.absolute + "/")
+      ) {
+        throw fsError("EINVAL", "rename", ...from); //? a folder into itself
+      }
+      if (existing?.type === "dir") {
+        if (node.type !== "dir") throw fsError("EISDIR", "rename", ...from);
+        if (existing.children.size > 0)
+          throw fsError("ENOTEMPTY", "rename", ...from);
+      } else if (existing && node.type === "dir") {
+        throw fsError("ENOTDIR", "rename", ...from);
+      }
+      source.parent.children.delete(source.name);
+      target.parent.children.set(target.name, node);
+      touch(source.parent);
+      touch(target.parent);
+    },
+
+    //? options -> { throwIfNoEntry: false } returns undefined instead of ENOENT
+    stat(file, { throwIfNoEntry = true } = {}) {
+      if (typeof file === "number")
+        return new Stats(fdEntry(file, "fstat").node);
+      const node = find(resolvePath(file), "stat", String(file));
+      if (node) return new Stats(node);
+      if (!throwIfNoEntry) return undefined;
+      throw fsError("ENOENT", "stat", String(file));
+    },
+
+    lstat(file, options) {
+      return syncMethods.stat(file, options);
+    },
+
+    //? options -> { withFileTypes } gives { name, isFile(), isDirectory() } instead of names
+    readdir(dir, options) {
+      const { withFileTypes = false } = optionsOf(options);
+      const node = mustFind(dir, "scandir");
+      if (node.type !== "dir") throw fsError("ENOTDIR", "scandir", String(dir));
+      const names = [...node.children.keys()].sort();
+      if (!withFileTypes) return names;
+      return names.map((name) => {
+        const type = node.children.get(name).type;
+        return {
+          name,
+          path: resolvePath(dir),
+          isFile: () => type === "file",
+          isDirectory: () => type === "dir",
+          isSymbolicLink: () => false,
+        };
+      });
+    },
+
+    open(file, flags = "r") {
+      const node = openNode(file, flags);
+      const fd = nextFd++;
+      descriptors.set(fd, { node, flags, position: 0 });
+      return fd;
+    },
+
+    close(fd) {
+      fdEntry(fd, "close");
+      descriptors.delete(fd);
+    },
+  };
+
+  function fdEntry(fd, syscall) {
+    const entry = descriptors.get(fd);
+    if (!entry) throw fsError("EBADF", syscall);
+    return entry;
+  }
+
+  function writeToFd(fd, buffer) {
+    const entry = fdEntry(fd, "write");
+    if (entry.flags.startsWith("r") && !entry.flags.includes("+"))
+      throw fsError("EBADF", "write");
+    addContent(entry.node, buffer);
+  }
+
+  //~ sync / callback / promise versions of every method
+  //? callbacks and promises run after the current code and its microtasks (setImmediate), like real I/O
+  for (const [name, method] of Object.entries(syncMethods)) {
+    vol[`${name}Sync`] = (...args) => method(...args);
+
+    vol[name] = (...args) => {
+      const cb = args.pop();
+      if (typeof cb !== "function") {
+        const err = new TypeError(
+          `The "cb" argument must be of type function. Received ${typeof cb}`,
+        );
+        err.code = "ERR_INVALID_ARG_TYPE";
+        throw err;
+      }
+      setImmediate(() => {
+        let result;
+        try {
+          result = method(...args);
+        } catch (err) {
+          return cb(err);
+        }
+        cb(null, result);
+      });
+    };
+
+    //? { signal } of the options (fsP.writeFile(file, data, { signal })) is checked before the operation
+    vol.promises[name] = (...args) =>
+      new Promise((resolve, reject) => {
+        setImmediate(() => {
+          const signal = args.find(
+            (arg) => arg && typeof arg === "object" && arg.signal,
+          )?.signal;
+          if (signal?.aborted) return reject(abortError(signal));
+          try {
+            resolve(method(...args));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+  }
+
+  vol.existsSync = (file) => {
+    try {
+      return Boolean(find(resolvePath(file), "access", String(file)));
+    } catch {
+      return false;
+    }
+  };
+  //? the old exists(path, cb) gives only a boolean, no error
+  vol.exists = (file, cb) => setImmediate(() => cb(vol.existsSync(file)));
+
+  //? promises.open() gives a small FileHandle (fd, readFile, writeFile, appendFile, stat, close)
+  vol.promises.open = async (file, flags = "r") => {
+    const fd = await new Promise((resolve, reject) =>
+      vol.open(file, flags, (err, result) =>
+        err ? reject(err) : resolve(result),
+      ),
+    );
+    return {
+      fd,
+      readFile: (options) => vol.promises.readFile(fd, options),
+      writeFile: (data, options) => vol.promises.writeFile(fd, data, options),
+      appendFile: (data, options) => vol.promises.writeFile(fd, data, options),
+      stat: () => vol.promises.stat(fd),
+      close: () => vol.promises.close(fd),
+    };
+  };
+
+  //~ streams
+  //? options -> highWaterMark (64KB), encoding, start, end (both included, like fs), flags
+  vol.createReadStream = (file, options) => {
+    const {
+      highWaterMark = 64 * 1024,
+      encoding = null,
+      start = 0,
+      end = Infinity,
+      flags = "r",
+    } = optionsOf(options);
+    let node = null;
+    let position = start;
+    const stream = new Readable({
+      highWaterMark,
+      encoding,
+      construct(callback) {
+        setImmediate(() => {
+          try {
+            node = openNode(file, flags);
+            if (node.type === "dir") throw fsError("EISDIR", "read");
+          } catch (err) {
+            return callback(err);
+          }
+          callback();
+          stream.emit("open", nextFd++);
+          stream.emit("ready");
+        });
+      },
+      //? chunks of highWaterMark bytes, from the content at that moment (appended data is read too)
+      read(size) {
+        const content = contentOf(node);
+        const last = Math.min(end + 1, content.length);
+        if (position >= last) return this.push(null);
+        const chunk = content.subarray(
+          position,
+          Math.min(position + size, last),
+        );
+        position += chunk.length;
+        stream.bytesRead += chunk.length;
+        setImmediate(() => this.push(Buffer.from(chunk))); //? async like a real read, one chunk per read()
+      },
+    });
+    stream.path = file;
+    stream.bytesRead = 0;
+    return stream;
+  };
+
+  //? options -> flags ("w" empties the file, "a" appends), encoding, highWaterMark (16KB)
+  vol.createWriteStream = (file, options) => {
+    const {
+      flags = "w",
+      encoding = "utf-8",
+      highWaterMark = 16 * 1024,
+    } = optionsOf(options);
+    let node = null;
+    const stream = new Writable({
+      highWaterMark,
+      defaultEncoding: encoding,
+      construct(callback) {
+        try {
+          node = openNode(file, flags);
+        } catch (err) {
+          return callback(err);
+        }
+        callback();
+        setImmediate(() => {
+          stream.emit("open", nextFd++);
+          stream.emit("ready");
+        });
+      },
+      write(chunk, chunkEncoding, callback) {
+        addContent(node, Buffer.from(chunk));
+        stream.bytesWritten += chunk.length;
+        setImmediate(callback); //? async like a real write: write() returns false when highWaterMark is full
+      },
+    });
+    stream.path = file;
+    stream.bytesWritten = 0;
+    return stream;
+  };
+
+  //~ snapshot of the volume: { "/path": "text" | Buffer (not utf-8) | null (folder) }
+  vol.toJSON = () => {
+    const result = {};
+    const walk = (node, current) => {
+      for (const [name, child] of [...node.children].sort(([a], [b]) =>
+        a < b ? -1 : 1,
+      )) {
+        const childPath = path.join(current, name);
+        if (child.type === "dir") {
+          result[childPath] = null;
+          walk(child, childPath);
+        } else {
+          const content = contentOf(child);
+          const text = content.toString("utf-8");
+          result[childPath] = Buffer.from(text, "utf-8").equals(content)
+            ? text
+            : Buffer.from(content);
+        }
+      }
+    };
+    walk(root, "/");
+    return result;
+  };
+
+  vol.cwd = () => cwd;
+
+  for (const [file, content] of Object.entries(files)) {
+    if (content === null) syncMethods.mkdir(file, { recursive: true });
+    else {
+      syncMethods.mkdir(path.dirname(resolvePath(file)), { recursive: true });
+      syncMethods.writeFile(file, content);
+    }
+  }
+
+  return vol;
+}
+
+module.exports = {
+  createVolume,
+  fsError,
+  Stats,
+};
@@ -0,0 +1,246 @@
+//! promise utils --> the callback hell and promise hell of fs.js without nesting
+//? fs.writeFile >> fs.appendFile >> fs.appendFile needs 3 levels of callbacks (or of .then()) to run in order
+//? started side by side (fsP.appendFile 3 times) they finish in any order
+//? here every step is a function (a task) and the helper decides when it starts
+
+//~ usage
+//? const writeFile = promisify(fs.writeFile);           --> (file, data) returns a promise instead of taking a callback
+//? const append = callbackify(fsP.appendFile);          --> append(file, data, (err) => {}) for callback code
+//? await series([() => fsP.writeFile(f, "a"), () => fsP.appendFile(f, "b")])     --> one after the other
+//? await parallel(files.map((f) => () => fsP.readFile(f)), { concurrency: 2 })   --> at most 2 at a time
+//? await retry(() => fsP.readFile(f), { retries: 3, minDelay: 100 })             --> 100ms, 200ms, 400ms between tries
+//? await timeout((signal) => fsP.readFile(f, { signal }), 1000)                  --> TimeoutError after 1s
+//? await allSettled(tasks)  --> { fulfilled, rejected, ms, results: [{ index, status, value/reason, ms }] }
+//? node fs-chains.js --> the fs.js examples built with these helpers (and a check that their order never changes)
+//? node --test promise-utils.test.js --> order, concurrency limit, retry, timeout, abort, allSettled and the fs.js chains
+
+//~ tasks and cancellation
+//? a task is a function returning a value or a promise, it gets an AbortSignal as its first argument
+//? (fsP.writeFile, fsP.readFile ... accept { signal }), results are always in the order of the tasks
+//? options.signal --> no new task starts after it aborts, the promise rejects with AbortError
+
+const util = require("node:util");
+
+class AbortError extends Error {
+  constructor(reason) {
+    super("the operation was aborted", { cause: reason });
+    this.name = "AbortError";
+    this.code = "ABORT_ERR";
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`the operation did not finish within ${ms}ms`);
+    this.name = "TimeoutError";
+    this.code = "ETIMEDOUT";
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new AbortError(signal.reason);
+}
+
+//? rejects as soon as the signal aborts (the work behind the promise keeps running if it ignores the signal)
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError(signal.reason));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+//? a task function gets the signal, a promise (or value) is used as it is
+const start = (task, signal) =>
+  Promise.resolve().then(() =>
+    typeof task === "function" ? task(signal) : task,
+  );
+
+//! ====================== callbacks <--> promises ======================
+//? fn(...args, (err, value) => {}) --> (...args) => promise of value
+//? functions with a custom version (fs.exists, setTimeout ...) use it, like util.promisify
+function promisify(fn) {
+  if (typeof fn !== "function") throw new TypeError("fn should be a function");
+  if (fn[util.promisify.custom]) return fn[util.promisify.custom];
+  return function (...args) {
+    return new Promise((resolve, reject) => {
+      fn.call(this, ...args, (err, value) =>
+        err ? reject(err) : resolve(value),
+      );
+    });
+  };
+}
+
+//? async (...args) => value --> (...args, (err, value) => {})
+//? the callback runs outside of the promise: an error thrown inside it is not turned into a rejection
+function callbackify(fn) {
+  if (typeof fn !== "function") throw new TypeError("fn should be a function");
+  return function (...args) {
+    const callback = args.pop();
+    if (typeof callback !== "function") {
+      throw new TypeError("the last argument should be a callback");
+    }
+    start(() => fn.apply(this, args)).then(
+      (value) => process.nextTick(callback, null, value),
+      (err) => {
+        //? reject(null) / reject(undefined) would look like a success to an error first callback
+        const error =
+          err ||
+          Object.assign(new Error("promise was rejected with a falsy value"), {
+            code: "ERR_FALSY_VALUE_REJECTION",
+            reason: err,
+          });
+        process.nextTick(callback, error);
+      },
+    );
+  };
+}
+
+//! ====================== series / parallel ======================
+//? one task at a time, in order, the first error stops the rest
+async function series(tasks, { signal } = {}) {
+  const results = [];
+  for (const task of tasks) {
+    throwIfAborted(signal);
+    results.push(await raceAbort(start(task, signal), signal));
+  }
+  return results;
+}
+
+//? at most concurrency tasks at a time (Infinity --> all at once like Promise.all, 1 --> same as series)
+//? the first error rejects, tasks that did not start yet are not started
+function parallel(tasks, { concurrency = Infinity, signal } = {}) {
+  if (!(concurrency >= 1)) throw new RangeError("concurrency should be >= 1");
+  const list = [...tasks];
+  return raceAbort(
+    new Promise((resolve, reject) => {
+      const results = new Array(list.length);
+      let next = 0;
+      let done = 0;
+      let failed = false;
+      if (list.length === 0) return resolve(results);
+
+      const launch = () => {
+        if (failed || signal?.aborted || next >= list.length) return;
+        const index = next++;
+        start(list[index], signal).then(
+          (value) => {
+            results[index] = value;
+            if (++done === list.length) resolve(results);
+            else launch();
+          },
+          (err) => {
+            failed = true;
+            reject(err);
+          },
+        );
+      };
+      for (let i = 0; i < Math.min(concurrency, list.length); i++) launch();
+    }),
+    signal,
+  );
+}
+
+//? like Promise.allSettled (never rejects, except on abort) + timings: a report of the whole batch
+async function allSettled(tasks, { concurrency = Infinity, signal } = {}) {
+  const begin = performance.now();
+  const ms = (from) => Math.round((performance.now() - from) * 100) / 100;
+  const results = await parallel(
+    [...tasks].map((task, index) => async (taskSignal) => {
+      const from = performance.now();
+      try {
+        const value = await start(task, taskSignal);
+        return { index, status: "fulfilled", value, ms: ms(from) };
+      } catch (reason) {
+        return { index, status: "rejected", reason, ms: ms(from) };
+      }
+    }),
+    { concurrency, signal },
+  );
+  return {
+    fulfilled: results.filter((r) => r.status === "fulfilled").length,
+    rejected: results.filter((r) => r.status === "rejected").length,
+    ms: ms(begin),
+    results,
+  };
+}
+
+//! ====================== delay / retry / timeout ======================
+function delay(ms, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+//? options -> retries (tries after the first one), minDelay, maxDelay, factor (delay * factor after every try),
+//?            jitter (random delay between 0 and the delay, spreads out many clients), shouldRetry(err, attempt),
+//?            onRetry(err, attempt, wait), signal
+//? the error of the last try is the rejection
+async function retry(task, options = {}) {
+  const {
+    retries = 3,
+    minDelay = 100,
+    maxDelay = 5000,
+    factor = 2,
+    jitter = false,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal,
+  } = options;
+  for (let attempt = 1; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await raceAbort(start(task, signal), signal);
+    } catch (err) {
+      if (err instanceof AbortError || attempt > retries) throw err;
+      if (!shouldRetry(err, attempt)) throw err;
+      const backoff = Math.min(maxDelay, minDelay * factor ** (attempt - 1));
+      const wait = jitter ? Math.round(Math.random() * backoff) : backoff;
+      onRetry(err, attempt, wait);
+      await delay(wait, { signal });
+    }
+  }
+}
+
+//? the task gets a signal that aborts after ms: fs operations given that signal are really stopped
+function timeout(task, ms, { signal } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new TimeoutError(ms)), ms);
+  const taskSignal = signal
+    ? AbortSignal.any([signal, controller.signal])
+    : controller.signal;
+  return raceAbort(start(task, taskSignal), taskSignal)
+    .catch((err) => {
+      if (controller.signal.aborted && !signal?.aborted) {
+        throw controller.signal.reason;
+      }
+      throw err;
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  promisify,
+  callbackify,
+  series,
+  parallel,
+  allSettled,
+  delay,
+  retry,
+  timeout,
+  AbortError,
+  TimeoutError,
+};
@@ -0,0 +1,237 @@
+//! promise-utils tests --> node --test promise-utils.test.js
+//? the tasks finish in a different order than they started (random-looking delays), the results must not
+//? the last test runs the fs.js chains of fs-chains.js: the ordered ones must give the same file every run
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const {
+  promisify,
+  callbackify,
+  series,
+  parallel,
+  allSettled,
+  delay,
+  retry,
+  timeout,
+  AbortError,
+  TimeoutError,
+} = require("./promise-utils.js");
+const { check } = require("./fs-chains.js");
+
+const DELAYS = [30, 5, 20, 1, 15, 10];
+
+//? tasks which record when they start and end, the later ones are faster
+function tracked(delays = DELAYS) {
+  const events = [];
+  let running = 0;
+  let maxRunning = 0;
+  const tasks = delays.map((ms, i) => async (signal) => {
+    events.push(`start ${i}`);
+    maxRunning = Math.max(maxRunning, ++running);
+    try {
+      await delay(ms, { signal });
+      return i;
+    } finally {
+      running--;
+      events.push(`end ${i}`);
+    }
+  });
+  return { tasks, events, maxRunning: () => maxRunning };
+}
+
+//~ callbacks <--> promises
+test("promisify(fs.readFile) resolves with the file", async () => {
+  const readFile = promisify(fs.readFile);
+  assert.equal(
+    await readFile(__filename, "utf-8"),
+    fs.readFileSync(__filename, "utf-8"),
+  );
+  await assert.rejects(readFile(path.join(__dirname, "missing.txt")), {
+    code: "ENOENT",
+  });
+});
+
+test("callbackify calls back after the function returned, a falsy rejection is an error", async () => {
+  const double = callbackify(async (n) => n * 2);
+  let returned = false;
+  const value = await new Promise((resolve, reject) => {
+    double(21, (err, result) => (err ? reject(err) : resolve(result)));
+    returned = true;
+  });
+  assert.equal(value, 42);
+  assert.ok(returned);
+
+  const falsy = callbackify(() => Promise.reject(null));
+  const err = await new Promise((resolve) => falsy((error) => resolve(error)));
+  assert.equal(err.code, "ERR_FALSY_VALUE_REJECTION");
+});
+
+//~ series / parallel
+test("series starts a task only after the previous one ended", async () => {
+  const { tasks, events } = tracked();
+  assert.deepEqual(await series(tasks), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual(
+    events,
+    DELAYS.flatMap((_, i) => [`start ${i}`, `end ${i}`]),
+  );
+});
+
+test("parallel keeps at most concurrency tasks running, results in task order", async () => {
+  const { tasks, events, maxRunning } = tracked();
+  assert.deepEqual(
+    await parallel(tasks, { concurrency: 2 }),
+    [0, 1, 2, 3, 4, 5],
+  );
+  assert.equal(maxRunning(), 2);
+  assert.notDeepEqual(
+    events.filter((event) => event.startsWith("end")),
+    DELAYS.map((_, i) => `end ${i}`),
+  ); //? they did finish out of order
+});
+
+test("parallel with concurrency 1 is the same as series, Infinity starts all", async () => {
+  const one = tracked();
+  await parallel(one.tasks, { concurrency: 1 });
+  assert.deepEqual(
+    one.events,
+    DELAYS.flatMap((_, i) => [`start ${i}`, `end ${i}`]),
+  );
+  const all = tracked();
+  await parallel(all.tasks);
+  assert.equal(all.maxRunning(), DELAYS.length);
+  assert.throws(() => parallel([], { concurrency: 0 }), RangeError);
+});
+
+test("the first error rejects parallel and the waiting tasks never start", async () => {
+  const started = [];
+  const tasks = [0, 1, 2, 3].map((i) => async () => {
+    started.push(i);
+    await delay(5);
+    if (i === 0) throw new Error("boom");
+    return i;
+  });
+  await assert.rejects(parallel(tasks, { concurrency: 1 }), /boom/);
+  await delay(30);
+  assert.deepEqual(started, [0]);
+});
+
+//~ abort
+test("an abort stops series and parallel, no new task starts", async () => {
+  for (const run of [
+    (tasks, signal) => series(tasks, { signal }),
+    (tasks, signal) => parallel(tasks, { concurrency: 2, signal }),
+  ]) {
+    const { tasks, events } = tracked([20, 20, 20, 20, 20, 20]);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(run(tasks, controller.signal), AbortError);
+    await delay(50);
+    assert.ok(
+      !events.includes("start 4"),
+      `started after the abort: ${events}`,
+    );
+  }
+});
+
+test("an already aborted signal rejects before any task starts", async () => {
+  const { tasks, events } = tracked();
+  await assert.rejects(
+    series(tasks, { signal: AbortSignal.abort() }),
+    AbortError,
+  );
+  assert.deepEqual(events, []);
+});
+
+//~ allSettled
+test("allSettled reports every task in order, with the failures", async () => {
+  const report = await allSettled(
+    [
+      () => delay(10).then(() => "a"),
+      () => Promise.reject(new Error("b failed")),
+      "c",
+    ],
+    { concurrency: 2 },
+  );
+  assert.equal(report.fulfilled, 2);
+  assert.equal(report.rejected, 1);
+  assert.deepEqual(
+    report.results.map((r) => [r.index, r.status]),
+    [
+      [0, "fulfilled"],
+      [1, "rejected"],
+      [2, "fulfilled"],
+    ],
+  );
+  assert.equal(report.results[1].reason.message, "b failed");
+  assert.ok(report.results[0].ms >= 9);
+});
+
+//~ retry / timeout
+test("retry tries again with growing delays, then gives the value", async () => {
+  let attempts = 0;
+  const waits = [];
+  const value = await retry(
+    async () => {
+      if (++attempts < 3) throw new Error(`try ${attempts}`);
+      return "ok";
+    },
+    {
+      retries: 3,
+      minDelay: 10,
+      onRetry: (err, attempt, wait) => waits.push(wait),
+    },
+  );
+  assert.equal(value, "ok");
+  assert.equal(attempts, 3);
+  assert.deepEqual(waits, [10, 20]);
+});
+
+test("retry rejects with the last error, shouldRetry can stop it early", async () => {
+  let attempts = 0;
+  await assert.rejects(
+    retry(() => Promise.reject(new Error(`try ${++attempts}`)), {
+      retries: 2,
+      minDelay: 1,
+    }),
+    /try 3/,
+  );
+  attempts = 0;
+  await assert.rejects(
+    retry(() => Promise.reject(new Error(`try ${++attempts}`)), {
+      retries: 5,
+      minDelay: 1,
+      shouldRetry: (err) => err.message !== "try 2",
+    }),
+    /try 2/,
+  );
+});
+
+test("timeout rejects with TimeoutError and aborts the signal of the task", async () => {
+  let taskSignal;
+  await assert.rejects(
+    timeout((signal) => {
+      taskSignal = signal;
+      return delay(1000, { signal });
+    }, 20),
+    TimeoutError,
+  );
+  assert.ok(taskSignal.aborted);
+  assert.equal(await timeout(() => delay(5).then(() => "fast"), 500), "fast");
+});
+
+test("timeout stops a real fs read given the signal", async () => {
+  await assert.rejects(
+    timeout((signal) => fs.promises.readFile(__filename, { signal }), 0),
+    TimeoutError,
+  );
+});
+
+//~ fs.js chains
+test("the ordered fs.js chains give the same log and file in every run", async () => {
+  const report = await check({ runs: 10 });
+  for (const example of report.filter((e) => e.ordered)) {
+    assert.ok(example.ok, `${example.name}: ${[...example.outcomes.keys()]}`);
+  }
+});
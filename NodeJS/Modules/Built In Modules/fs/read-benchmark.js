@@ -0,0 +1,287 @@
+//! read benchmark --> readFileSync vs readFile (callback) vs fs/promises readFile vs createReadStream
+//? the examples in streams.js need "./large-file.json", this script generates one of any size
+
+//~ usage
+//? node read-benchmark.js                           -> 50MB file, streams with 16KB, 64KB, 256KB, 1MB chunks
+//? node read-benchmark.js --size 200MB --hwm 16KB,64KB
+//? node read-benchmark.js --file ./large-file.json  -> use an existing file instead of generating one
+//? node read-benchmark.js --json report.json        -> also save the report as JSON ("-" prints JSON instead of the table)
+//? node read-benchmark.js --generate ./large-file.json --size 100MB -> only generate the file
+
+//! every case runs in its own child process, so peak RSS/heap of one case does not leak into the next one
+//? wall -> time taken to read the whole file
+//? peak rss / heap -> highest memory seen by the process (rss includes buffers, heap only JS objects)
+//? blocked -> longest time the event loop could not run anything (timers were late by that much)
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { fork } = require("node:child_process");
+const { performance } = require("node:perf_hooks");
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+//~ "64KB" --> 65536
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(String(value).trim());
+  if (!match)
+    throw new Error(`invalid size "${value}" (examples: 512KB, 50MB, 1GB)`);
+  return Math.round(Number(match[1]) * UNITS[(match[2] || "B").toUpperCase()]);
+}
+
+function formatSize(bytes) {
+  if (bytes >= UNITS.MB) return `${+(bytes / UNITS.MB).toFixed(1)}MB`;
+  if (bytes >= UNITS.KB) return `${+(bytes / UNITS.KB).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
+
+//! ======================== generating the fixture file ========================
+//? a JSON array of records, written with a write stream (waits for "drain" when write() returns false)
+function generateFixture(file, size) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(file);
+    let written = 0;
+    let id = 0;
+
+    out.on("error", reject);
+    out.on("finish", () => resolve(written));
+
+    function record() {
+      id++;
+      return JSON.stringify({
+        id,
+        name: `product ${id}`,
+        price: (id % 1000) + 0.99,
+        tags: ["fs", "streams", "buffer"],
+        description: "lorem ipsum dolor sit amet ".repeat(4),
+      });
+    }
+
+    function write() {
+      while (written < size) {
+        const chunk = (id === 0 ? "[\n" : ",\n") + record();
+        written += Buffer.byteLength(chunk);
+        if (!out.write(chunk)) return out.once("drain", write);
+      }
+      written += 2;
+      out.end("\n]");
+    }
+
+    write();
+  });
+}
+
+//! ======================== cases (run inside the child process) ========================
+const CASES = {
+  sync(file, done) {
+    fs.readFileSync(file, "utf-8");
+    done();
+  },
+  callback(file, done) {
+    fs.readFile(file, "utf-8", (err) => done(err));
+  },
+  promises(file, done) {
+    fs.promises.readFile(file, "utf-8").then(() => done(), done);
+  },
+  stream(file, done, highWaterMark) {
+    const readStream = fs.createReadStream(file, {
+      encoding: "utf-8",
+      highWaterMark,
+    });
+    readStream.on("data", () => {});
+    readStream.on("end", () => done());
+    readStream.on("error", done);
+  },
+};
+
+//? a 1ms interval checks memory and how late it was called (late by X ms --> event loop was blocked for X ms)
+function runCase(name, file, highWaterMark) {
+  return new Promise((resolve, reject) => {
+    let peakHeap = process.memoryUsage().heapUsed;
+    let blockedMs = 0;
+    let lastTick = performance.now();
+    const sampler = setInterval(() => {
+      const now = performance.now();
+      blockedMs = Math.max(blockedMs, now - lastTick - 1);
+      lastTick = now;
+      peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed);
+    }, 1);
+
+    const start = performance.now();
+
+    CASES[name](
+      file,
+      (err) => {
+        const wallMs = performance.now() - start;
+        peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed);
+        //? one more tick, so the sampler also sees the blocking caused by the last part
+        setTimeout(() => {
+          clearInterval(sampler);
+          if (err) return reject(err);
+          resolve({
+            wallMs,
+            peakRss: process.resourceUsage().maxRSS * 1024,
+            peakHeap,
+            blockedMs: Math.max(0, blockedMs),
+          });
+        }, 2);
+      },
+      highWaterMark,
+    );
+  });
+}
+
+function runInChild(name, file, highWaterMark) {
+  return new Promise((resolve, reject) => {
+    const child = fork(
+      __filename,
+      ["--child", name, file, String(highWaterMark || 0)],
+      {
+        stdio: ["ignore", "inherit", "inherit", "ipc"],
+      },
+    );
+    let result = null;
+    child.on("message", (message) => {
+      result = message;
+    });
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (!result)
+        return reject(new Error(`case "${name}" exited with code ${code}`));
+      if (result.error)
+        return reject(new Error(`case "${name}": ${result.error}`));
+      resolve(result);
+    });
+  });
+}
+
+//! ======================== report ========================
+function toTable(report) {
+  const header = [
+    "case",
+    "highWaterMark",
+    "wall (ms)",
+    "peak rss",
+    "peak heap",
+    "blocked (ms)",
+  ];
+  const rows = report.results.map((r) => [
+    r.case,
+    r.highWaterMark ? formatSize(r.highWaterMark) : "-",
+    r.wallMs.toFixed(1),
+    formatSize(r.peakRss),
+    formatSize(r.peakHeap),
+    r.blockedMs.toFixed(1),
+  ]);
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((row) => row[i].length)),
+  );
+  const line = (cells) =>
+    cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ");
+  return [
+    `file: ${report.file} (${formatSize(report.size)}), node ${report.node}`,
+    line(header),
+    widths.map((w) => "-".repeat(w)).join("-|-"),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+async function benchmark({ file, hwms }) {
+  const cases = [
+    { name: "sync" },
+    { name: "callback" },
+    { name: "promises" },
+    ...hwms.map((highWaterMark) => ({ name: "stream", highWaterMark })),
+  ];
+  const results = [];
+  for (const { name, highWaterMark } of cases) {
+    const result = await runInChild(name, file, highWaterMark);
+    results.push({
+      case: name,
+      highWaterMark: highWaterMark || null,
+      ...result,
+    });
+  }
+  return {
+    file,
+    size: fs.statSync(file).size,
+    node: process.version,
+    date: new Date().toISOString(),
+    results,
+  };
+}
+
+function parseArgs(argv) {
+  const args = {
+    size: "50MB",
+    hwm: "16KB,64KB,256KB,1MB",
+    file: null,
+    json: null,
+    generate: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) throw new Error(`unknown option "${argv[i]}"`);
+    args[key] = argv[++i];
+    if (args[key] === undefined)
+      throw new Error(`option "${argv[i - 1]}" needs a value`);
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const size = parseSize(args.size);
+
+  if (args.generate) {
+    const written = await generateFixture(args.generate, size);
+    console.log(`generated ${args.generate} (${formatSize(written)})`);
+    return;
+  }
+
+  let file = args.file;
+  let generated = false;
+  if (!file) {
+    file = path.join(os.tmpdir(), `read-benchmark-${process.pid}.json`);
+    await generateFixture(file, size);
+    generated = true;
+  }
+
+  try {
+    const report = await benchmark({
+      file,
+      hwms: args.hwm.split(",").map(parseSize),
+    });
+    if (args.json === "-") {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(toTable(report));
+      if (args.json)
+        fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    }
+  } finally {
+    if (generated) fs.unlinkSync(file);
+  }
+}
+
+if (require.main === module) {
+  if (process.argv[2] === "--child") {
+    const [, , , name, file, hwm] = process.argv;
+    runCase(name, file, Number(hwm) || undefined)
+      .then((result) => process.send(result))
+      .catch((err) => process.send({ error: err.message }))
+      .finally(() => process.disconnect());
+  } else {
+    main(process.argv.slice(2)).catch((err) => {
+      console.log(err.message);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = {
+  parseSize,
+  generateFixture,
+  benchmark,
+  toTable,
+};
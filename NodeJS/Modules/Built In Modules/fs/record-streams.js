@@ -0,0 +1,468 @@
+//! record streams --> CSV / NDJSON / JSON array parsed record by record (Transform streams)
+//? JSON.parse(fs.readFileSync("./large-file.json")) needs the whole file (and all the objects) in memory at once
+//? here only one record is in memory at a time, a 500MB file needs about as much memory as a 5KB one
+
+//~ usage
+//? const { parseCSV, toNDJSON } = require("./record-streams.js");
+//? runPipeline("./data.csv", "./data.ndjson", [parseCSV, toNDJSON]);      (transform-pipeline.js)
+//? for await (const record of fs.createReadStream("./large-file.json").pipe(parseJSONArray())) {}
+//? node record-streams.js ./large-file.json ./large-file.csv --stats    --> format from the extensions
+//? (300MB large-file.json of read-benchmark.js: peak memory under 100MB, the same as for a 1MB file)
+//? node --test record-streams.test.js --> streams 300MB of generated records per format and checks the memory stays flat
+
+//~ formats
+//? csv    -> first line is the header, "quoted, fields" with "" for a quote and new lines inside quotes
+//? ndjson -> one JSON value per line (.ndjson / .jsonl)
+//? json   -> one top-level array [ {...}, {...} ] (like large-file.json of read-benchmark.js)
+
+//~ bounded memory
+//? maxRecordSize -> a single record bigger than this (default 16MB) is an error instead of filling the memory
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { Transform } = require("node:stream");
+const { StringDecoder } = require("node:string_decoder");
+const { runPipeline } = require("./transform-pipeline.js");
+const { createLineSplitter } = require("./line-reader.js");
+
+const DEFAULT_MAX_RECORD_SIZE = 16 * 1024 * 1024;
+
+class RecordTooLargeError extends RangeError {
+  constructor(format, maxRecordSize) {
+    super(`${format} record is bigger than ${maxRecordSize} characters`);
+    this.name = "RecordTooLargeError";
+    this.code = "ERR_RECORD_TOO_LARGE";
+  }
+}
+
+class RecordParseError extends SyntaxError {
+  constructor(format, record, message) {
+    super(`${format} record ${record}: ${message}`);
+    this.name = "RecordParseError";
+    this.code = "ERR_RECORD_PARSE";
+    this.record = record;
+  }
+}
+
+//? null ends an object mode stream (push(null)), so null records (null in an array, a "null" line) are skipped
+function pushRecord(stream, record) {
+  if (record !== null) stream.push(record);
+}
+
+//? text of a chunk (Buffer or string), multibyte characters split between chunks are kept for the next one
+function textOf(decoder, chunk) {
+  return typeof chunk === "string" ? chunk : decoder.write(chunk);
+}
+
+//! ====================== CSV ======================
+//? options -> delimiter (","), quote ('"'), header (true: records are objects with the header as keys,
+//?            false: records are arrays), maxRecordSize
+function parseCSV(options = {}) {
+  const {
+    delimiter = ",",
+    quote = '"',
+    header = true,
+    maxRecordSize = DEFAULT_MAX_RECORD_SIZE,
+  } = options;
+  const decoder = new StringDecoder("utf-8");
+  let columns = null;
+  let row = [];
+  let field = "";
+  let size = 0;
+  let inQuotes = false;
+  let quoteSeen = false; //? a quote inside quotes: end of the field or the first half of ""
+  let lastWasCR = false;
+  let count = 0;
+
+  function endRow(stream) {
+    row.push(field);
+    field = "";
+    size = 0;
+    const values = row;
+    row = [];
+    if (values.length === 1 && values[0] === "") return; //? empty line
+    count++;
+    if (!header) return stream.push(values);
+    if (!columns) {
+      columns = values;
+      return;
+    }
+    const record = {};
+    columns.forEach((column, i) => (record[column] = values[i] ?? ""));
+    stream.push(record);
+  }
+
+  function consume(stream, text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (++size > maxRecordSize)
+        throw new RecordTooLargeError("csv", maxRecordSize);
+
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === quote) {
+            field += quote; //? "" --> "
+            continue;
+          }
+          inQuotes = false; //? closing quote, ch is handled below as a normal character
+        } else if (ch === quote) {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === "\n") {
+        if (!lastWasCR) endRow(stream);
+        lastWasCR = false;
+        continue;
+      }
+      lastWasCR = ch === "\r";
+      if (ch === "\r") endRow(stream);
+      else if (ch === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (ch === quote && field === "") inQuotes = true;
+      else field += ch;
+    }
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        consume(this, textOf(decoder, chunk));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        consume(this, decoder.end());
+        if (inQuotes && !quoteSeen) {
+          throw new RecordParseError("csv", count + 1, "quote is not closed");
+        }
+        if (field !== "" || row.length > 0) endRow(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+//! ====================== NDJSON ======================
+function parseNDJSON({ maxRecordSize = DEFAULT_MAX_RECORD_SIZE } = {}) {
+  const splitter = createLineSplitter();
+  let lineNumber = 0;
+  let pendingSize = 0;
+
+  function parseLines(stream, lines) {
+    for (const line of lines) {
+      lineNumber++;
+      if (line.trim() === "") continue;
+      try {
+        pushRecord(stream, JSON.parse(line));
+      } catch (err) {
+        throw new RecordParseError(
+          "ndjson",
+          `on line ${lineNumber}`,
+          err.message,
+        );
+      }
+    }
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        const lines = splitter.push(chunk);
+        //? a line without "\n" keeps growing inside the splitter, so its size is counted here
+        pendingSize = lines.length ? chunk.length : pendingSize + chunk.length;
+        if (pendingSize > maxRecordSize) {
+          throw new RecordTooLargeError("ndjson", maxRecordSize);
+        }
+        parseLines(this, lines);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        parseLines(this, splitter.end());
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+//! ====================== JSON array ======================
+//? only the nesting depth and strings are followed: every value at depth 1 is cut out and JSON.parse'd alone
+function parseJSONArray({ maxRecordSize = DEFAULT_MAX_RECORD_SIZE } = {}) {
+  const decoder = new StringDecoder("utf-8");
+  let state = "start"; //? start --> array --> end
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let current = ""; //? text of the value being read (from earlier chunks)
+  let count = 0;
+
+  function emit(stream, text) {
+    const trimmed = text.trim();
+    if (trimmed === "") {
+      throw new RecordParseError(
+        "json",
+        count + 1,
+        "empty value (extra comma?)",
+      );
+    }
+    count++;
+    try {
+      pushRecord(stream, JSON.parse(trimmed));
+    } catch (err) {
+      throw new RecordParseError("json", count, err.message);
+    }
+  }
+
+  function consume(stream, text) {
+    let start = 0; //? where the current value starts in this chunk
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (state === "start") {
+        if (ch === "[") {
+          state = "array";
+          start = i + 1;
+        } else if (!/\s/.test(ch)) {
+          throw new RecordParseError(
+            "json",
+            0,
+            "the file should be a JSON array",
+          );
+        }
+        continue;
+      }
+      if (state === "end") {
+        if (!/\s/.test(ch))
+          throw new RecordParseError("json", count, "data after the array");
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === "{" || ch === "[") depth++;
+      else if (ch === "}" || (ch === "]" && depth > 0)) depth--;
+      else if (depth === 0 && (ch === "," || ch === "]")) {
+        const value = current + text.slice(start, i);
+        current = "";
+        start = i + 1;
+        if (ch === "]") {
+          state = "end";
+          if (value.trim() !== "" || count > 0) emit(stream, value);
+        } else emit(stream, value);
+      }
+    }
+    if (state === "array") {
+      current += text.slice(start);
+      if (current.length > maxRecordSize)
+        throw new RecordTooLargeError("json", maxRecordSize);
+    }
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        consume(this, textOf(decoder, chunk));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        consume(this, decoder.end());
+        if (state !== "end")
+          throw new RecordParseError("json", count, "the array is not closed");
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+//! ====================== writers (records --> text) ======================
+//? a field with the delimiter, a quote or a new line is quoted, objects/arrays are written as JSON
+function csvField(value, delimiter, quote) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text)) {
+    return `${quote}${text.split(quote).join(quote + quote)}${quote}`;
+  }
+  return text;
+}
+
+//? columns -> order of the columns (default: keys of the first record), header -> write the header line
+function toCSV({
+  delimiter = ",",
+  quote = '"',
+  columns = null,
+  header = true,
+} = {}) {
+  let keys = columns;
+  const line = (values) =>
+    `${values.map((value) => csvField(value, delimiter, quote)).join(delimiter)}\n`;
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      if (Array.isArray(record)) return callback(null, line(record));
+      let out = "";
+      if (!keys) {
+        keys = Object.keys(record);
+        if (header) out += line(keys);
+      } else if (header && columns === keys) {
+        out += line(keys);
+        keys = [...keys]; //? header only once
+      }
+      callback(null, out + line(keys.map((key) => record[key])));
+    },
+  });
+}
+
+function toNDJSON() {
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      callback(null, `${JSON.stringify(record)}\n`);
+    },
+  });
+}
+
+function toJSONArray() {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      callback(null, `${first ? "[\n" : ",\n"}${JSON.stringify(record)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? "[]\n" : "\n]\n");
+    },
+  });
+}
+
+const PARSERS = { csv: parseCSV, ndjson: parseNDJSON, json: parseJSONArray };
+const WRITERS = { csv: toCSV, ndjson: toNDJSON, json: toJSONArray };
+
+function formatOf(file) {
+  const ext = path.extname(file).toLowerCase().slice(1);
+  if (ext === "jsonl") return "ndjson";
+  if (ext in PARSERS) return ext;
+  throw new Error(
+    `unknown format of "${file}" (use .csv, .ndjson, .jsonl or .json or --from/--to)`,
+  );
+}
+
+//~ convert("./large-file.json", "./large-file.csv") --> promise of the number of records
+async function convert(
+  src,
+  dest,
+  { from = formatOf(src), to = formatOf(dest), ...options } = {},
+) {
+  let records = 0;
+  const counter = new Transform({
+    objectMode: true,
+    transform(record, encoding, callback) {
+      records++;
+      callback(null, record);
+    },
+  });
+  await runPipeline(src, dest, [
+    PARSERS[from](options),
+    counter,
+    WRITERS[to](options),
+  ]);
+  return records;
+}
+
+//! ====================== CLI ======================
+//? --stats --> number of records and the highest memory use (checked every 100ms)
+async function main(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--from" || arg === "--to" || arg === "--delimiter") {
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg === "--stats") args.stats = true;
+    else if (arg.startsWith("--")) throw new Error(`unknown option "${arg}"`);
+    else args.positional.push(arg);
+  }
+  const [src, dest] = args.positional;
+  if (!src || !dest) {
+    console.log(
+      "usage: node record-streams.js <src> <dest> [--from csv|ndjson|json] [--to csv|ndjson|json] [--delimiter ;] [--stats]",
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const peak = { rss: 0, heap: 0 };
+  const sample = () => {
+    const { rss, heapUsed } = process.memoryUsage();
+    peak.rss = Math.max(peak.rss, rss);
+    peak.heap = Math.max(peak.heap, heapUsed);
+  };
+  const timer = args.stats ? setInterval(sample, 100) : null;
+  const start = Date.now();
+  try {
+    const options = {};
+    if (args.from) options.from = args.from;
+    if (args.to) options.to = args.to;
+    if (args.delimiter) options.delimiter = args.delimiter;
+    const records = await convert(src, dest, options);
+    console.log(`${records} records: ${src} --> ${dest}`);
+    if (args.stats) {
+      sample();
+      const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+      console.log(
+        `input ${mb(fs.statSync(src).size)}, ${Date.now() - start}ms, peak rss ${mb(peak.rss)}, peak heap ${mb(peak.heap)}`,
+      );
+    }
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(`${err.name}: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseCSV,
+  parseNDJSON,
+  parseJSONArray,
+  toCSV,
+  toNDJSON,
+  toJSONArray,
+  convert,
+  RecordTooLargeError,
+  RecordParseError,
+};
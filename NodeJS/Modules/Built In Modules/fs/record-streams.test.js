@@ -0,0 +1,189 @@
+//! record-streams tests --> node --test record-streams.test.js
+//? the memory tests stream 300MB (RECORD_STREAMS_TEST_MB=500 for more) of generated records through every parser,
+//? the records of read-benchmark.js are made while reading (nothing on disk), the memory must stay flat
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable, Writable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const {
+  parseCSV,
+  parseNDJSON,
+  parseJSONArray,
+  toCSV,
+  toNDJSON,
+  toJSONArray,
+  RecordTooLargeError,
+  RecordParseError,
+} = require("./record-streams.js");
+
+const MB = 1024 * 1024;
+const SIZE = Number(process.env.RECORD_STREAMS_TEST_MB || 300) * MB;
+const MAX_GROWTH = 100 * MB; //? the whole input is 300MB, growing less than 100MB means it was never held at once
+
+//? same records as generateFixture() of read-benchmark.js
+function record(id) {
+  return {
+    id,
+    name: `product ${id}`,
+    price: (id % 1000) + 0.99,
+    tags: "fs;streams;buffer",
+    description: "lorem ipsum dolor sit amet ".repeat(4),
+  };
+}
+
+const FORMATS = {
+  json: {
+    start: "[\n",
+    separator: ",\n",
+    end: "\n]",
+    line: (r) => JSON.stringify(r),
+  },
+  ndjson: {
+    start: "",
+    separator: "\n",
+    end: "\n",
+    line: (r) => JSON.stringify(r),
+  },
+  csv: {
+    start: "id,name,price,tags,description\n",
+    separator: "\n",
+    end: "\n",
+    line: (r) =>
+      `${r.id},${r.name},${r.price},"${r.tags}","${r.description.trim()}"`,
+  },
+};
+
+//? size bytes of text in 64KB chunks, made only when the parser asks for more (backpressure)
+function generate(format, size) {
+  const { start, separator, end, line } = FORMATS[format];
+  let id = 0;
+  let written = 0;
+  const stats = { records: 0 };
+  const stream = Readable.from(
+    (function* () {
+      let chunk = start;
+      while (written < size) {
+        chunk += (id === 0 ? "" : separator) + line(record(++id));
+        if (chunk.length >= 64 * 1024) {
+          written += chunk.length;
+          yield chunk;
+          chunk = "";
+        }
+      }
+      stats.records = id;
+      yield chunk + end;
+    })(),
+    { objectMode: false },
+  );
+  return { stream, stats };
+}
+
+//? counts what comes out and keeps the highest RSS seen
+function sink(stats) {
+  stats.bytes = 0;
+  stats.peak = 0;
+  return new Writable({
+    write(chunk, encoding, callback) {
+      stats.bytes += chunk.length;
+      if (++stats.chunks % 16 === 0) {
+        stats.peak = Math.max(stats.peak, process.memoryUsage.rss());
+      }
+      callback();
+    },
+  });
+}
+
+async function convertGenerated(format, size, parse, serialize) {
+  const input = generate(format, size);
+  const output = { chunks: 0 };
+  const before = process.memoryUsage.rss();
+  await pipeline(input.stream, parse(), serialize(), sink(output));
+  return {
+    ...output,
+    records: input.stats.records,
+    growth: output.peak - before,
+  };
+}
+
+const parsers = { json: parseJSONArray, ndjson: parseNDJSON, csv: parseCSV };
+
+//~ memory
+test.before(async () => {
+  //? warm up: the first run loads the code and grows the heap to its working size
+  for (const [format, parse] of Object.entries(parsers)) {
+    await convertGenerated(format, 4 * MB, parse, toNDJSON);
+  }
+});
+
+for (const [format, serialize] of [
+  ["json", toCSV],
+  ["ndjson", toJSONArray],
+  ["csv", toNDJSON],
+]) {
+  test(`${format}: ${SIZE / MB}MB with flat memory`, async () => {
+    const result = await convertGenerated(
+      format,
+      SIZE,
+      parsers[format],
+      serialize,
+    );
+    assert.ok(result.bytes > SIZE / 2, `only ${result.bytes} bytes written`);
+    assert.ok(
+      result.growth < MAX_GROWTH,
+      `memory grew ${(result.growth / MB).toFixed(1)}MB for ${SIZE / MB}MB (${result.records} records)`,
+    );
+  });
+}
+
+//~ records
+async function collect(text, parse, chunkSize = 3) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    chunks.push(text.slice(i, i + chunkSize));
+  }
+  const records = [];
+  await pipeline(Readable.from(chunks), parse, async function* (source) {
+    for await (const value of source) records.push(value);
+  });
+  return records;
+}
+
+test("every format gives the same records, in chunks of 3 characters", async () => {
+  const expected = [1, 2, 3].map(record);
+  for (const [format, parse] of Object.entries(parsers)) {
+    const { start, separator, end, line } = FORMATS[format];
+    const text = start + expected.map(line).join(separator) + end;
+    const records = await collect(text, parse());
+    assert.equal(records.length, 3, format);
+    assert.equal(String(records[2].id), "3", format);
+    assert.equal(records[1].name, "product 2", format);
+  }
+});
+
+test("CSV quotes, escaped quotes and new lines inside quotes", async () => {
+  const records = await collect(
+    'name,text\n"a, b","say ""hi"""\nc,"line 1\nline 2"\n',
+    parseCSV(),
+  );
+  assert.deepEqual(records, [
+    { name: "a, b", text: 'say "hi"' },
+    { name: "c", text: "line 1\nline 2" },
+  ]);
+});
+
+test("a record over maxRecordSize is a RecordTooLargeError", async () => {
+  const big = JSON.stringify([{ text: "x".repeat(1000) }]);
+  await assert.rejects(
+    collect(big, parseJSONArray({ maxRecordSize: 100 }), 64),
+    RecordTooLargeError,
+  );
+});
+
+test("invalid NDJSON is a RecordParseError with the line number", async () => {
+  await assert.rejects(collect('{"a":1}\n{oops}\n', parseNDJSON()), {
+    name: "RecordParseError",
+    message: /line 2/,
+  });
+  assert.ok(RecordParseError.prototype instanceof SyntaxError);
+});
@@ -33,6 +33,8 @@ const fs = require("node:fs");
 //   encoding: "utf-8",
 //   highWaterMark: 100, //? size of buffer (by default 64 KB)
 // });
+//? chunks of 100 bytes cut lines (and multibyte characters) in half --> ./line-reader.js gives whole lines
+//? (readLines, lastLines for "last N lines", follow for tail -f of a log file)
 
 //? this method is creating an event named "data"
 //! createReadStream() will fire an event
@@ -44,15 +46,19 @@ const fs = require("node:fs");
 //   console.log(`${chunk}`);
 // });
 
-//TODO: for events module
+//! events module (node:events)
 //!  -> emit("eventName", data) : we can create an event
 //!  -> on("eventName", ()=>{}) : we can listen to an event
+//? ../events/typed-emitter.js --> declared event names, payload checks, await once(), for await ... of on()
+//? fromStream(readStream) --> the same "data", "end", "close" events as "stream:data", "stream:end" ...
 
 console.log(65536 / 1024);
 //! in case of files default size is 64 KB
 //! in case of videos default size is 16 KB
 
 //! =================== reading a large file using readFileSync, async =================
+//? node read-benchmark.js --generate ./large-file.json --size 100MB --> creates the large file used below
+//? node read-benchmark.js --> compares all the ways of reading (time, memory, event loop blocking)
 
 // setTimeout(() => {
 //   console.time("syncRead");
@@ -79,10 +85,13 @@ console.log(65536 / 1024);
 //   });
 // }, 5000);
 //? efficient way
+//? the chunks cut the objects of large-file.json in half --> ./record-streams.js gives one whole object at a time
+//? node record-streams.js ./large-file.json ./large-file.csv --stats  (also CSV <--> NDJSON, memory stays flat)
 
 //! =========================== writing a file using streams ======================
 //? createWriteStream()
 //? fs.createWriteStream("path/name.ext")
+//? createVolume().createWriteStream() / .createReadStream() of "./memory-fs.js" --> same streams, files only in memory
 
 // let writeStream = fs.createWriteStream("./demo.txt");
 // console.log("writeStream: ", writeStream); //? write stream object, writable stream
@@ -118,6 +127,7 @@ console.log(65536 / 1024);
 
 //? readableStream/src.pipe(writeableStream/dest)
 // readObject.pipe(writeObject);
+//? an http response is a writable stream too: readStream.pipe(res) --> ../http/static-server.js serves Javascript/index.html this way
 
 //! =========================== transform streams ======================
 let readObject = fs.createReadStream("./index.html", {
@@ -137,3 +147,20 @@ readObject.on("data", (chunk) => {
 readObject.on("end", () => {
   console.log("done");
 });
+
+//! =========================== pipeline() with transform stages ======================
+//? write() returns false when the destination buffer is full, the "data" listener above never checks it (no backpressure)
+//? stream.pipeline() pauses the source for us and destroys every stream if one of them fails
+
+// const { runPipeline, upperCase, splitLines, grep } = require("./transform-pipeline.js");
+
+// runPipeline("./fixtures/index.html", "./demo.txt", [upperCase], { highWaterMark: 5 })
+//   .then(() => console.log("done"))
+//   .catch((err) => console.log(err));
+
+// runPipeline("./fixtures/index.html", "./demo.txt", [splitLines, () => grep("meta"), upperCase]);
+
+//? compression, checksum and encryption stages --> ./crypto-stages.js
+// const { gzip, sha256, encrypt } = require("./crypto-stages.js");
+// runPipeline("./fixtures/index.html", "./demo.txt", [gzip, () => encrypt({ password: "secret" })]);
+//? node crypto-stages.js compress+encrypt ./fixtures/index.html ./demo.txt --password secret --verify
@@ -0,0 +1,287 @@
+//! syncDir --> copies a whole folder tree (fs.copyFileSync copies only one file, fs.mkdirSync makes only one folder)
+//? only files which are new or changed are copied
+//? both functions return the list of actions: { action: "mkdir" | "copy" | "delete", path, reason }
+//? path is relative to src/dest
+//? dest should be outside of src (a dest inside src would be copied into itself)
+
+//~ options
+//? compare -> "mtime" (size or modified time is different, default) | "hash" (sha-256 of the contents is different)
+//? deleteExtra -> delete files/folders which are present in dest but not in src (default false)
+//? dryRun -> only report the actions, nothing is written or deleted (default false)
+
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { pipeline } = require("node:stream/promises");
+
+const DEFAULTS = { compare: "mtime", deleteExtra: false, dryRun: false };
+
+function resolveOptions(options) {
+  const opts = { ...DEFAULTS, ...options };
+  if (opts.compare !== "mtime" && opts.compare !== "hash") {
+    throw new TypeError(
+      `compare should be "mtime" or "hash", got "${opts.compare}"`,
+    );
+  }
+  return opts;
+}
+
+function byName(a, b) {
+  return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+}
+
+//? dest inside src --> every run would copy dest into itself again (src/backup/backup/backup ...)
+//? "..backup" is a name inside src, only ".." and "../..." lead outside of it
+function checkDest(src, dest) {
+  const relative = path.relative(path.resolve(src), path.resolve(dest));
+  const outside =
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative);
+  if (!outside) {
+    throw new Error(
+      `"${dest}" is inside "${src}", dest should be outside of src`,
+    );
+  }
+}
+
+//? reason of the delete before a file/folder of src takes the place of another entry of dest
+function replacedBy(kind, destStat) {
+  return destStat.isSymbolicLink()
+    ? `link replaced by ${kind}`
+    : `replaced by ${kind}`;
+}
+
+//? utimes() cannot copy the mtime exactly (less precision than the file system), so 1ms difference is allowed
+function sameStats(srcStat, destStat) {
+  return (
+    srcStat.size === destStat.size &&
+    Math.abs(srcStat.mtimeMs - destStat.mtimeMs) < 1
+  );
+}
+
+//! ================== sync version ========================================
+
+function hashFileSync(file) {
+  const hash = crypto.createHash("sha256");
+  const buffer = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(file, "r");
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+//? ENOTDIR --> a folder of the path is a file in dest (dry run of "replaced by folder"), so it is missing too
+//? links are not followed (lstat): a link in dest to a file or folder outside of dest would be written through,
+//? it is replaced like any other wrong entry. only dest itself (follow) may be a link to a folder
+function statOrNull(file, follow = false) {
+  try {
+    const stat = follow ? fs.statSync : fs.lstatSync;
+    return stat(file, { throwIfNoEntry: false }) ?? null;
+  } catch (err) {
+    if (err.code === "ENOTDIR") return null;
+    throw err;
+  }
+}
+
+function syncDirSync(src, dest, options) {
+  const opts = resolveOptions(options);
+  const actions = [];
+
+  if (!fs.statSync(src).isDirectory()) {
+    throw new Error(`"${src}" is not a folder`);
+  }
+  checkDest(src, dest);
+
+  function remove(relPath, reason) {
+    actions.push({ action: "delete", path: relPath, reason });
+    if (!opts.dryRun) fs.rmSync(path.join(dest, relPath), { recursive: true });
+  }
+
+  function walk(relDir) {
+    const srcDir = path.join(src, relDir);
+    const destDir = path.join(dest, relDir);
+
+    const destDirStat = statOrNull(destDir, relDir === ".");
+    if (destDirStat && !destDirStat.isDirectory())
+      remove(relDir, replacedBy("folder", destDirStat));
+    if (!destDirStat || !destDirStat.isDirectory()) {
+      actions.push({ action: "mkdir", path: relDir, reason: "new" });
+      if (!opts.dryRun) fs.mkdirSync(destDir, { recursive: true });
+    }
+
+    const entries = fs
+      .readdirSync(srcDir, { withFileTypes: true })
+      .sort(byName);
+    const names = new Set();
+
+    for (const entry of entries) {
+      names.add(entry.name); //? before the skip: deleteExtra keeps what a skipped entry has in dest
+      if (!entry.isDirectory() && !entry.isFile()) continue; //? symlinks, sockets etc. are skipped
+      const relPath = path.join(relDir, entry.name);
+
+      if (entry.isDirectory()) {
+        walk(relPath);
+        continue;
+      }
+
+      const srcFile = path.join(src, relPath);
+      const destFile = path.join(dest, relPath);
+      const srcStat = fs.statSync(srcFile);
+      let destStat = statOrNull(destFile);
+
+      if (destStat && !destStat.isFile()) {
+        remove(relPath, replacedBy("file", destStat));
+        destStat = null;
+      }
+
+      let reason = null;
+      if (!destStat) reason = "new";
+      else if (opts.compare === "hash") {
+        if (
+          srcStat.size !== destStat.size ||
+          hashFileSync(srcFile) !== hashFileSync(destFile)
+        ) {
+          reason = "changed";
+        }
+      } else if (!sameStats(srcStat, destStat)) reason = "changed";
+
+      if (!reason) continue;
+      actions.push({ action: "copy", path: relPath, reason });
+      if (!opts.dryRun) {
+        fs.copyFileSync(srcFile, destFile);
+        fs.utimesSync(destFile, srcStat.atime, srcStat.mtime); //? keep mtime same as src for the next run
+      }
+    }
+
+    if (opts.deleteExtra && destDirStat && destDirStat.isDirectory()) {
+      for (const entry of fs
+        .readdirSync(destDir, { withFileTypes: true })
+        .sort(byName)) {
+        if (!names.has(entry.name))
+          remove(path.join(relDir, entry.name), "extra");
+      }
+    }
+  }
+
+  walk(".");
+  return actions;
+}
+
+//! ================== async version (streams) ========================================
+
+async function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest("hex");
+}
+
+async function statOrNullAsync(file, follow = false) {
+  try {
+    return await (follow ? fsP.stat : fsP.lstat)(file);
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "ENOTDIR") return null;
+    throw err;
+  }
+}
+
+async function syncDir(src, dest, options) {
+  const opts = resolveOptions(options);
+  const actions = [];
+
+  if (!(await fsP.stat(src)).isDirectory()) {
+    throw new Error(`"${src}" is not a folder`);
+  }
+  checkDest(src, dest);
+
+  async function remove(relPath, reason) {
+    actions.push({ action: "delete", path: relPath, reason });
+    if (!opts.dryRun)
+      await fsP.rm(path.join(dest, relPath), { recursive: true });
+  }
+
+  async function walk(relDir) {
+    const srcDir = path.join(src, relDir);
+    const destDir = path.join(dest, relDir);
+
+    const destDirStat = await statOrNullAsync(destDir, relDir === ".");
+    if (destDirStat && !destDirStat.isDirectory())
+      await remove(relDir, replacedBy("folder", destDirStat));
+    if (!destDirStat || !destDirStat.isDirectory()) {
+      actions.push({ action: "mkdir", path: relDir, reason: "new" });
+      if (!opts.dryRun) await fsP.mkdir(destDir, { recursive: true });
+    }
+
+    const entries = (await fsP.readdir(srcDir, { withFileTypes: true })).sort(
+      byName,
+    );
+    const names = new Set();
+
+    for (const entry of entries) {
+      names.add(entry.name);
+      if (!entry.isDirectory() && !entry.isFile()) continue;
+      const relPath = path.join(relDir, entry.name);
+
+      if (entry.isDirectory()) {
+        await walk(relPath);
+        continue;
+      }
+
+      const srcFile = path.join(src, relPath);
+      const destFile = path.join(dest, relPath);
+      const srcStat = await fsP.stat(srcFile);
+      let destStat = await statOrNullAsync(destFile);
+
+      if (destStat && !destStat.isFile()) {
+        await remove(relPath, replacedBy("file", destStat));
+        destStat = null;
+      }
+
+      let reason = null;
+      if (!destStat) reason = "new";
+      else if (opts.compare === "hash") {
+        if (
+          srcStat.size !== destStat.size ||
+          (await hashFile(srcFile)) !== (await hashFile(destFile))
+        ) {
+          reason = "changed";
+        }
+      } else if (!sameStats(srcStat, destStat)) reason = "changed";
+
+      if (!reason) continue;
+      actions.push({ action: "copy", path: relPath, reason });
+      if (!opts.dryRun) {
+        await pipeline(
+          fs.createReadStream(srcFile),
+          fs.createWriteStream(destFile),
+        );
+        await fsP.utimes(destFile, srcStat.atime, srcStat.mtime);
+      }
+    }
+
+    if (opts.deleteExtra && destDirStat && destDirStat.isDirectory()) {
+      const destEntries = (
+        await fsP.readdir(destDir, { withFileTypes: true })
+      ).sort(byName);
+      for (const entry of destEntries) {
+        if (!names.has(entry.name))
+          await remove(path.join(relDir, entry.name), "extra");
+      }
+    }
+  }
+
+  await walk(".");
+  return actions;
+}
+
+module.exports = {
+  syncDir,
+  syncDirSync,
+};
@@ -0,0 +1,278 @@
+//! threadpool waves --> shows the 4 libUV threads of fs.js working
+//? N tasks are started at the same time (crypto.pbkdf2 or fs.read, both run on the libUV threadpool)
+//? each task is one threadpool job: fs.readFile is not used, it reads in chunks (many jobs per file)
+//? with 4 threads only 4 tasks run at once, the others wait in a queue --> they finish in "waves" of 4
+//? UV_THREADPOOL_SIZE=8 --> waves of 8 (it has to be set before the process starts, so every run is a child process)
+
+//~ usage
+//? node threadpool-waves.js                            -> 8 pbkdf2 tasks, 4 threads
+//? node threadpool-waves.js --tasks 12 --threads 2,4,8  -> same tasks with 2, 4 and 8 threads
+//? node threadpool-waves.js --kind read --size 20MB    -> one fs.read() of 20MB per task
+//? node threadpool-waves.js --json report.json         -> also save the report as JSON ("-" prints JSON instead of the chart)
+
+//~ reading the chart
+//? "." -> waiting in the queue (no free thread), "#" -> running on a thread
+//? measured: submitted and finished of every task --> the waves come only from the finish times
+//? inferred, NOT measured: the start (inferredStart). the threadpool does not tell when a thread takes a task and a
+//? pbkdf2/read job runs no JS code, so it is taken from the FIFO rule of libUV: when a task finishes, its thread
+//? takes the next waiting task --> the "." part of the chart shows that rule, it does not check it
+//? clean waves need at least as many CPU cores as threads:
+//? 4 threads on 1 core run at the same time, but each one 4 times slower (bigger and slower waves)
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { fork } = require("node:child_process");
+const { performance } = require("node:perf_hooks");
+const { parseSize } = require("./read-benchmark.js");
+
+const CHART_WIDTH = 50;
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+//! ======================== tasks (child process) ========================
+const KINDS = {
+  pbkdf2: ({ iterations }) =>
+    new Promise((resolve, reject) => {
+      crypto.pbkdf2("password", "salt", iterations, 64, "sha512", (err) =>
+        err ? reject(err) : resolve(),
+      );
+    }),
+  //? one fs.read() of the whole file = one job (the buffer is new for every task, they run at the same time)
+  read: ({ fd, size }) =>
+    new Promise((resolve, reject) => {
+      fs.read(fd, Buffer.allocUnsafe(size), 0, size, 0, (err) =>
+        err ? reject(err) : resolve(),
+      );
+    }),
+};
+
+async function runTasks({ kind, tasks, iterations, file }) {
+  const task = KINDS[kind];
+  if (!task)
+    throw new Error(
+      `unknown kind "${kind}" (${Object.keys(KINDS).join(", ")})`,
+    );
+  const threads = Number(process.env.UV_THREADPOOL_SIZE) || 4;
+  const fd = kind === "read" ? fs.openSync(file, "r") : null;
+  const options = {
+    iterations,
+    fd,
+    size: fd === null ? 0 : fs.fstatSync(fd).size,
+  };
+
+  try {
+    //? one task alone: its duration is the time of one task on a thread (no waiting)
+    //? it also starts the threads, so starting them is not measured in the batch
+    let start = performance.now();
+    await task(options);
+    const single = round(performance.now() - start);
+
+    start = performance.now();
+    const now = () => round(performance.now() - start);
+    const results = Array.from({ length: tasks }, (_, i) => ({ id: i + 1 }));
+    let next = 0; //? the next task to get a thread (FIFO)
+    const takeThread = (time) => {
+      if (next < tasks) results[next++].inferredStart = time;
+    };
+
+    await Promise.all(
+      results.map((result) => {
+        result.submitted = now();
+        if (next < threads) takeThread(result.submitted); //? a free thread, no waiting
+        return task(options).then(() => {
+          result.finished = now();
+          takeThread(result.finished);
+        });
+      }),
+    );
+    return { single, results };
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+//! ======================== waves ========================
+//? sorted by finish time, a gap bigger than half a task means the next wave started after this one finished
+function findWaves(results, single) {
+  const sorted = [...results].sort((a, b) => a.finished - b.finished);
+  const waves = [];
+  let previous = null;
+  for (const result of sorted) {
+    if (!previous || result.finished - previous.finished > single / 2) {
+      waves.push({ wave: waves.length + 1, tasks: [], finishedAt: 0 });
+    }
+    const wave = waves[waves.length - 1];
+    wave.tasks.push(result.id);
+    wave.finishedAt = result.finished;
+    result.wave = wave.wave;
+    previous = result;
+  }
+  return waves;
+}
+
+function runInChild(options, threads) {
+  return new Promise((resolve, reject) => {
+    const child = fork(__filename, ["--child", JSON.stringify(options)], {
+      env: { ...process.env, UV_THREADPOOL_SIZE: String(threads) },
+    });
+    child.once("message", (message) => {
+      if (message.error) reject(new Error(message.error));
+      else resolve(message);
+    });
+    //? after a message the promise is already settled, reject() does nothing then
+    child.once("exit", (code) => {
+      reject(
+        new Error(
+          code === 0
+            ? "child process exited without sending the result"
+            : `child process exited with code ${code}`,
+        ),
+      );
+    });
+  });
+}
+
+async function measure({
+  kind = "pbkdf2",
+  tasks = 8,
+  threads = [4],
+  iterations = 100000,
+  file,
+}) {
+  const runs = [];
+  for (const count of threads) {
+    const { single, results } = await runInChild(
+      { kind, tasks, iterations, file },
+      count,
+    );
+    const waves = findWaves(results, single);
+    runs.push({
+      threads: count,
+      single,
+      total: Math.max(...results.map((r) => r.finished)),
+      waves,
+      results,
+    });
+  }
+  return {
+    kind,
+    tasks,
+    ...(kind === "read" ? { file } : { iterations }),
+    cpus: os.cpus().length,
+    node: process.version,
+    measured: ["submitted", "finished", "waves"],
+    inferred: {
+      inferredStart:
+        "finish of the task which freed the thread (libUV takes waiting tasks first in, first out), not measured",
+    },
+    date: new Date().toISOString(),
+    runs,
+  };
+}
+
+//! ======================== chart ========================
+function toChart(report) {
+  const lines = [
+    `${report.tasks} x ${report.kind}, ${report.cpus} CPU core(s), node ${report.node}`,
+    `"." waiting, "#" running --> the start between them is INFERRED (FIFO), finish times and waves are measured`,
+  ];
+  const longest = Math.max(...report.runs.map((run) => run.total));
+  const scale = CHART_WIDTH / longest;
+  for (const run of report.runs) {
+    lines.push(
+      "",
+      `UV_THREADPOOL_SIZE=${run.threads} --> ${run.waves.length} wave(s), ` +
+        `total ${run.total.toFixed(0)}ms, one task alone ${run.single.toFixed(0)}ms`,
+    );
+    const rows = [...run.results].sort((a, b) => a.id - b.id);
+    for (const r of rows) {
+      const waiting =
+        Math.round(r.inferredStart * scale) - Math.round(r.submitted * scale);
+      const running = Math.max(
+        1,
+        Math.round(r.finished * scale) - Math.round(r.inferredStart * scale),
+      );
+      const bar = `${" ".repeat(Math.round(r.submitted * scale))}${".".repeat(waiting)}${"#".repeat(running)}`;
+      lines.push(
+        `task ${String(r.id).padStart(3)} wave ${String(r.wave).padStart(2)} |${bar.padEnd(CHART_WIDTH)}| ` +
+          `${r.finished.toFixed(0).padStart(6)}ms`,
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+//! ======================== CLI ========================
+function parseArgs(argv) {
+  const args = {
+    kind: "pbkdf2",
+    tasks: "8",
+    threads: "4",
+    iterations: "100000",
+    size: "10MB",
+    file: null,
+    json: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) throw new Error(`unknown option "${argv[i]}"`);
+    args[key] = argv[++i];
+    if (args[key] === undefined)
+      throw new Error(`option "${argv[i - 1]}" needs a value`);
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  //? read needs a file: a temporary one of --size is created when --file is not given
+  let file = args.file && path.resolve(args.file);
+  let generated = false;
+  if (args.kind === "read" && !file) {
+    file = path.join(os.tmpdir(), `threadpool-waves-${process.pid}.bin`);
+    fs.writeFileSync(file, Buffer.alloc(parseSize(args.size), 1));
+    generated = true;
+  }
+
+  try {
+    const report = await measure({
+      kind: args.kind,
+      tasks: Number(args.tasks),
+      threads: args.threads.split(",").map(Number),
+      iterations: Number(args.iterations),
+      file,
+    });
+    if (args.json === "-") {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(toChart(report));
+      if (args.json)
+        fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    }
+  } finally {
+    if (generated) fs.unlinkSync(file);
+  }
+}
+
+if (require.main === module) {
+  if (process.argv[2] === "--child") {
+    runTasks(JSON.parse(process.argv[3]))
+      .then((result) => process.send(result))
+      .catch((err) => process.send({ error: err.message }))
+      .finally(() => process.disconnect());
+  } else {
+    main(process.argv.slice(2)).catch((err) => {
+      console.log(err.message);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = {
+  measure,
+  findWaves,
+  toChart,
+};
@@ -0,0 +1,151 @@
+//! transform pipeline --> source file >> transform stages (in order) >> destination file
+//? built on stream.pipeline(), so backpressure and errors are handled for us
+//? (the manual "data" listener in streams.js ignores the return value of write())
+//? node --test transform-pipeline.test.js --> output checked against ./fixtures/index.html
+
+const fs = require("node:fs");
+const { Transform } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { StringDecoder } = require("node:string_decoder");
+
+//~ every stage is a function which returns a new Transform stream (a stream can be used only once)
+
+//? text in --> text out. the decoder keeps multibyte characters that were split between two chunks
+function textStage(fn) {
+  const decoder = new StringDecoder("utf-8");
+  return new Transform({
+    decodeStrings: false,
+    transform(chunk, encoding, callback) {
+      const text = typeof chunk === "string" ? chunk : decoder.write(chunk);
+      callback(null, fn(text));
+    },
+    flush(callback) {
+      callback(null, fn(decoder.end()));
+    },
+  });
+}
+
+//~ 1) uppercase
+function upperCase() {
+  return textStage((text) => text.toUpperCase());
+}
+
+//~ 2) line-split --> text in, one line per chunk out
+//? the line keeps its "\n", so joining the chunks again gives back the same text
+function splitLines() {
+  const decoder = new StringDecoder("utf-8");
+  let rest = "";
+  return new Transform({
+    decodeStrings: false,
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      const text =
+        rest + (typeof chunk === "string" ? chunk : decoder.write(chunk));
+      const lines = text.split(/(?<=\n)/);
+      rest = lines.pop(); //? last piece may be an incomplete line
+      if (rest.endsWith("\n")) {
+        lines.push(rest);
+        rest = "";
+      }
+      for (const line of lines) this.push(line);
+      callback();
+    },
+    flush(callback) {
+      rest += decoder.end();
+      if (rest !== "") this.push(rest);
+      callback();
+    },
+  });
+}
+
+//~ 3) grep-filter --> keeps only the lines matching the pattern (use after splitLines)
+//? pattern -> string or RegExp, invert -> keep the lines which do NOT match
+function grep(pattern, { invert = false } = {}) {
+  //? grep passed without calling it (like upperCase) would search for "undefined"
+  if (typeof pattern !== "string" && !(pattern instanceof RegExp)) {
+    throw new TypeError(
+      'grep needs a pattern: () => grep("meta") or () => grep(/meta/i)',
+    );
+  }
+  const test =
+    pattern instanceof RegExp
+      ? (line) => {
+          pattern.lastIndex = 0;
+          return pattern.test(line);
+        }
+      : (line) => line.includes(pattern);
+  return new Transform({
+    objectMode: true,
+    transform(line, encoding, callback) {
+      if (test(line.replace(/\r?\n$/, "")) !== invert)
+        return callback(null, line);
+      callback();
+    },
+  });
+}
+
+//~ 4) JSON-lines parse --> one object per line (use after splitLines), blank lines are skipped
+function parseJsonLines() {
+  let lineNumber = 0;
+  return new Transform({
+    objectMode: true,
+    transform(line, encoding, callback) {
+      lineNumber++;
+      if (line.trim() === "") return callback();
+      try {
+        callback(null, JSON.parse(line.trim()));
+      } catch (err) {
+        callback(
+          new SyntaxError(`invalid JSON on line ${lineNumber}: ${err.message}`),
+        );
+      }
+    },
+  });
+}
+
+//~ object chunks --> text (lines as they are, everything else as one JSON per line)
+//? added at the end of the pipeline automatically when the last stage gives objects
+function serialize() {
+  return new Transform({
+    writableObjectMode: true,
+    transform(value, encoding, callback) {
+      callback(
+        null,
+        typeof value === "string" ? value : `${JSON.stringify(value)}\n`,
+      );
+    },
+  });
+}
+
+//! runPipeline("src", "dest", [stage1, stage2, ...]) --> promise, resolves when dest is completely written
+//? stages -> Transform streams or functions returning one (upperCase or upperCase())
+//? options.highWaterMark -> chunk size of the read stream
+async function runPipeline(src, dest, stages = [], options = {}) {
+  const transforms = stages.map((stage) =>
+    typeof stage === "function" ? stage() : stage,
+  );
+  for (const stage of transforms) {
+    if (!(stage instanceof Transform)) {
+      throw new TypeError("every stage should be a stream.Transform");
+    }
+  }
+
+  const last = transforms[transforms.length - 1];
+  if (last && last.readableObjectMode) transforms.push(serialize());
+
+  await pipeline(
+    fs.createReadStream(src, { highWaterMark: options.highWaterMark }),
+    ...transforms,
+    fs.createWriteStream(dest),
+    { signal: options.signal },
+  );
+}
+
+module.exports = {
+  runPipeline,
+  upperCase,
+  splitLines,
+  grep,
+  parseJsonLines,
+  serialize,
+};
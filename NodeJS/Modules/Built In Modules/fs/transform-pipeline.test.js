@@ -0,0 +1,101 @@
+//! transform-pipeline tests --> node --test transform-pipeline.test.js
+//? ./fixtures/index.html is like the index.html of the examples, with multibyte characters (é, 日本語, ✓)
+//? a highWaterMark of 5 cuts those characters in half, the output should still be the same
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  runPipeline,
+  upperCase,
+  splitLines,
+  grep,
+  parseJsonLines,
+} = require("./transform-pipeline.js");
+
+const HTML = path.join(__dirname, "fixtures", "index.html");
+const RECORDS = path.join(__dirname, "fixtures", "records.jsonl");
+const html = fs.readFileSync(HTML, "utf-8");
+const lines = html.split(/(?<=\n)/);
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "transform-pipeline-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function run(src, stages, options) {
+  const dest = path.join(dir, "demo.txt");
+  await runPipeline(src, dest, stages, options);
+  return fs.readFileSync(dest, "utf-8");
+}
+
+test("upperCase keeps multibyte characters split between chunks", async () => {
+  assert.equal(
+    await run(HTML, [upperCase], { highWaterMark: 5 }),
+    html.toUpperCase(),
+  );
+});
+
+test("splitLines alone gives back the same text", async () => {
+  assert.equal(await run(HTML, [splitLines], { highWaterMark: 7 }), html);
+});
+
+test("splitLines + grep keeps the matching lines", async () => {
+  const output = await run(HTML, [splitLines, () => grep("meta"), upperCase]);
+  assert.equal(
+    output,
+    lines
+      .filter((line) => line.includes("meta"))
+      .join("")
+      .toUpperCase(),
+  );
+  assert.equal(output.split("\n").length - 1, 3);
+});
+
+test("grep with a RegExp and invert", async () => {
+  const output = await run(HTML, [
+    splitLines,
+    () => grep(/<\/?(html|head|body)\b/g, { invert: true }),
+  ]);
+  assert.equal(
+    output,
+    lines.filter((line) => !/<\/?(html|head|body)\b/.test(line)).join(""),
+  );
+});
+
+test("grep without a pattern is a TypeError", async () => {
+  assert.throws(() => grep(), TypeError);
+  await assert.rejects(run(HTML, [splitLines, grep]), TypeError);
+});
+
+test("parseJsonLines gives one object per line, blank lines skipped", async () => {
+  const output = await run(RECORDS, [splitLines, parseJsonLines], {
+    highWaterMark: 4,
+  });
+  const records = output.trim().split("\n").map(JSON.parse);
+  assert.deepEqual(
+    records.map((r) => r.id),
+    [1, 2, 3],
+  );
+  assert.equal(records[2].title, "Café ☕ mug");
+});
+
+test("invalid JSON rejects with the line number", async () => {
+  await assert.rejects(run(HTML, [splitLines, parseJsonLines]), {
+    name: "SyntaxError",
+    message: /^invalid JSON on line 1:/,
+  });
+});
+
+test("a stage which is not a Transform is refused", async () => {
+  await assert.rejects(run(HTML, [() => ({})]), TypeError);
+});
+
+test("a missing source file rejects with ENOENT", async () => {
+  await assert.rejects(run(path.join(dir, "missing.html"), [upperCase]), {
+    code: "ENOENT",
+  });
+});
@@ -0,0 +1,452 @@
+//! write queue --> writes to the same file always land in the order they were made, also from many processes
+//? fs.writeFile + 2 x fs.appendFile started side by side (fs.js) finish in any order (node fs-chains.js shows it)
+//? inside a process: one queue per file, a write starts when the previous one on that file finished
+//? between processes: a lock file ("app.log.lock") is created before writing and removed after it
+
+//~ usage
+//? const writer = createWriter();
+//? const result = await writer.append("./app.log", "line\n");   --> { file, op, bytes, offset, lockWait, ms }
+//? writer.write("./data.json", "{}");                          --> replaces the file (in the queue like an append)
+//? await writer.flush();    --> every write made so far is done
+//? await writer.close();    --> flush + later writes reject with WriterClosedError
+//? node write-queue.js --check --processes 4 --lines 200   --> 4 processes append to one file, the lines are checked
+//? node --test write-queue.test.js --> lock staleness (live owner, dead owner, age), batches
+
+//~ lock files (advisory: only code using them waits, other programs can still write the file)
+//? "wx" flag --> the lock file is created only if it does not exist, creating it is the "taking" of the lock
+//? it contains { pid, hostname, time }: a lock is stale when that process is dead (same machine)
+//? the age (older than staleMs) only counts when the pid cannot be checked: another machine or a half written lock
+//? the owner touches the lock file every staleMs / 2 while it holds it, so its age stays small
+//? a stale lock is renamed to a unique name before it is removed: only one process can rename it
+//? the writes waiting in the queue when the lock is taken are written with that one lock (maxBatch at most)
+
+//~ exit
+//? process.exit() --> writes that did not start yet are written synchronously in the "exit" event
+//? SIGINT/SIGTERM (ctrl+c) while writes are waiting --> they are written first, then the process stops as usual
+//? a write already running when process.exit() is called can not be waited for
+
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { delay } = require("./promise-utils.js");
+
+class LockTimeoutError extends Error {
+  constructor(file, timeout) {
+    super(`could not lock "${file}" within ${timeout}ms`);
+    this.name = "LockTimeoutError";
+    this.code = "ERR_LOCK_TIMEOUT";
+  }
+}
+
+class WriterClosedError extends Error {
+  constructor() {
+    super("the writer is closed");
+    this.name = "WriterClosedError";
+    this.code = "ERR_WRITER_CLOSED";
+  }
+}
+
+//! ====================== lock files ======================
+const lockPathOf = (file) => `${file}.lock`;
+
+const lockContents = () =>
+  JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    time: Date.now(),
+  });
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0); //? signal 0 --> only checks that the process exists
+    return true;
+  } catch (err) {
+    return err.code === "EPERM"; //? exists, but belongs to another user
+  }
+}
+
+//? text and mtime of the lock file --> stale or not
+//? same machine --> only the pid decides (a live owner keeps its lock, however long it takes)
+//? another machine or an empty/half written lock (its owner is writing it right now) --> only the age decides
+//? own -> a lock of this process counts as stale too (in the "exit" event nothing async will release it)
+function isStale(text, mtimeMs, staleMs, own = false) {
+  let owner = null;
+  try {
+    owner = JSON.parse(text);
+  } catch {}
+  if (Number.isInteger(owner?.pid) && owner.hostname === os.hostname()) {
+    return !isAlive(owner.pid) || (own && owner.pid === process.pid);
+  }
+  return Date.now() - mtimeMs > staleMs;
+}
+
+//? the stale lock is first renamed to a unique name: when two processes find the same stale lock, only one rename
+//? works (the other gets ENOENT). when the renamed file is not the one that was checked (a new lock was made in
+//? between), it is linked back (link fails if yet another lock exists, then that one stays)
+const staleNameOf = (lockPath) =>
+  `${lockPath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.stale`;
+
+//? true when a stale lock was removed (and taking it can be tried again right away)
+async function removeIfStale(lockPath, staleMs) {
+  const staleName = staleNameOf(lockPath);
+  try {
+    const [text, stat] = await Promise.all([
+      fsP.readFile(lockPath, "utf-8"),
+      fsP.stat(lockPath),
+    ]);
+    if (!isStale(text, stat.mtimeMs, staleMs)) return false;
+    await fsP.rename(lockPath, staleName);
+    if ((await fsP.stat(staleName)).ino !== stat.ino) {
+      await fsP.link(staleName, lockPath).catch(() => {});
+    }
+    await fsP.unlink(staleName);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return true; //? released (or renamed by another process) between the steps
+    throw err;
+  }
+}
+
+function removeIfStaleSync(lockPath, staleMs, own) {
+  const staleName = staleNameOf(lockPath);
+  try {
+    const text = fs.readFileSync(lockPath, "utf-8");
+    const stat = fs.statSync(lockPath);
+    if (!isStale(text, stat.mtimeMs, staleMs, own)) return false;
+    fs.renameSync(lockPath, staleName);
+    if (fs.statSync(staleName).ino !== stat.ino) {
+      try {
+        fs.linkSync(staleName, lockPath);
+      } catch {}
+    }
+    fs.unlinkSync(staleName);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return true;
+    throw err;
+  }
+}
+
+//? options -> staleMs (10s), retryMs (wait between tries, 20ms), timeout (give up, 10s)
+//? returns { release(), releaseSync(), waited } once the lock is taken
+//? until it is released the lock file is touched every staleMs / 2 (its age never makes it stale)
+async function acquireLock(file, options = {}) {
+  const { staleMs = 10000, retryMs = 20, timeout = 10000 } = options;
+  const lockPath = lockPathOf(file);
+  const begin = Date.now();
+  for (;;) {
+    try {
+      //? sync on purpose: process.exit() cannot come between creating the lock file and writing its pid
+      fs.writeFileSync(lockPath, lockContents(), { flag: "wx" });
+      const touch = setInterval(() => {
+        const now = new Date();
+        fsP.utimes(lockPath, now, now).catch(() => {});
+      }, staleMs / 2);
+      touch.unref(); //? the timer alone does not keep the process running
+      return {
+        waited: Date.now() - begin,
+        release: () => {
+          clearInterval(touch);
+          return fsP.rm(lockPath, { force: true });
+        },
+        releaseSync: () => {
+          clearInterval(touch);
+          fs.rmSync(lockPath, { force: true });
+        },
+      };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    if (await removeIfStale(lockPath, staleMs)) continue;
+    if (Date.now() - begin > timeout) throw new LockTimeoutError(file, timeout);
+    await delay(retryMs);
+  }
+}
+
+//? only used in the "exit" event, where nothing async runs anymore (Atomics.wait sleeps without a timer)
+//? a lock file of this process here is left by an acquireLock() or a batch which will never finish
+function acquireLockSync(file, options = {}) {
+  const { staleMs = 10000, retryMs = 20, timeout = 10000 } = options;
+  const lockPath = lockPathOf(file);
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  const begin = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, lockContents(), { flag: "wx" });
+      return { releaseSync: () => fs.rmSync(lockPath, { force: true }) };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    if (removeIfStaleSync(lockPath, staleMs, true)) continue;
+    if (Date.now() - begin > timeout) throw new LockTimeoutError(file, timeout);
+    Atomics.wait(sleeper, 0, 0, retryMs);
+  }
+}
+
+//! ====================== writer ======================
+//? options -> lock (false: only the in-process queue, faster when one process owns the file),
+//?            staleMs, retryMs, lockTimeout, flushOnSignals (SIGINT/SIGTERM, default true),
+//?            maxBatch (writes made with one lock, default 100: other processes get the lock in between)
+function createWriter(options = {}) {
+  const {
+    lock = true,
+    staleMs = 10000,
+    retryMs = 20,
+    lockTimeout = 10000,
+    flushOnSignals = true,
+    maxBatch = 100,
+  } = options;
+  const lockOptions = { staleMs, retryMs, timeout: lockTimeout };
+  const queues = new Map(); //? absolute path --> { pending: [], running: false, batch, held: its lock }
+  const idleWaiters = [];
+  let waiting = 0; //? writes not finished yet (in every queue)
+  let closed = false;
+
+  //~ exit handlers are only there while writes are waiting, an idle writer does not change how the process stops
+  //? process.exit() during a batch --> this process already has the lock (waiting for it would take staleMs),
+  //? the writes of the batch not started yet are written with the pending ones (a started one may be half done)
+  function onExit() {
+    for (const [file, queue] of queues) {
+      const rest = [
+        ...(queue.batch ?? []).filter((entry) => !entry.started),
+        ...queue.pending.splice(0),
+      ];
+      if (rest.length === 0) {
+        queue.held?.releaseSync();
+        continue;
+      }
+      const held =
+        queue.held ?? (lock ? acquireLockSync(file, lockOptions) : null);
+      try {
+        for (const entry of rest) {
+          const method =
+            entry.op === "append" ? "appendFileSync" : "writeFileSync";
+          fs[method](file, entry.data);
+        }
+      } finally {
+        held?.releaseSync();
+      }
+    }
+  }
+
+  function onSignal(signal) {
+    flush().finally(() => {
+      removeHandlers();
+      process.kill(process.pid, signal); //? the default action (stop the process) without our listener
+    });
+  }
+
+  function addHandlers() {
+    process.on("exit", onExit);
+    if (flushOnSignals) {
+      process.on("SIGINT", onSignal);
+      process.on("SIGTERM", onSignal);
+    }
+  }
+
+  function removeHandlers() {
+    process.off("exit", onExit);
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+  }
+
+  async function writeEntry(file, entry, lockWait) {
+    const begin = Date.now();
+    let offset = 0;
+    if (entry.op === "append") {
+      try {
+        offset = (await fsP.stat(file)).size;
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      await fsP.appendFile(file, entry.data);
+    } else {
+      await fsP.writeFile(file, entry.data);
+    }
+    return {
+      file,
+      op: entry.op,
+      bytes: Buffer.byteLength(entry.data),
+      offset,
+      lockWait,
+      ms: Date.now() - begin,
+    };
+  }
+
+  //? the writes in the queue (maxBatch at most) are written with one lock, the rest wait for the next round
+  //? never rejects: it runs without await, every error goes to the promise of a write
+  async function drain(file, queue) {
+    queue.running = true;
+    while (queue.pending.length > 0) {
+      let held = queue.held;
+      try {
+        held ??= lock ? await acquireLock(file, lockOptions) : null;
+      } catch (err) {
+        for (const entry of queue.pending.splice(0)) settle(entry, err);
+        break;
+      }
+      queue.held = held;
+      const batch = queue.pending.splice(0, maxBatch);
+      queue.batch = batch;
+      const outcomes = [];
+      for (const entry of batch) {
+        entry.started = true;
+        try {
+          outcomes.push([
+            null,
+            await writeEntry(file, entry, held?.waited ?? 0),
+          ]);
+        } catch (err) {
+          outcomes.push([err]); //? one failed write does not stop the next ones
+        }
+      }
+      //? results are given after the release: when close() resolves no lock file is left behind
+      //? a failed release does not undo the writes: the lock stays ours, the next round (or exit) uses and releases it
+      try {
+        await held?.release();
+        queue.held = null;
+      } catch {}
+      queue.batch = null;
+      batch.forEach((entry, i) => settle(entry, ...outcomes[i]));
+    }
+    queue.running = false;
+  }
+
+  function settle(entry, err, result) {
+    if (err) entry.reject(err);
+    else entry.resolve(result);
+    if (--waiting === 0) {
+      removeHandlers();
+      for (const resolve of idleWaiters.splice(0)) resolve();
+    }
+  }
+
+  function enqueue(op, file, data) {
+    if (closed) return Promise.reject(new WriterClosedError());
+    const absolute = path.resolve(file);
+    let queue = queues.get(absolute);
+    if (!queue) {
+      queue = { pending: [], running: false };
+      queues.set(absolute, queue);
+    }
+    return new Promise((resolve, reject) => {
+      queue.pending.push({ op, data, resolve, reject });
+      if (waiting++ === 0) addHandlers();
+      if (!queue.running) drain(absolute, queue);
+    });
+  }
+
+  function flush() {
+    if (waiting === 0) return Promise.resolve();
+    return new Promise((resolve) => idleWaiters.push(resolve));
+  }
+
+  return {
+    append: (file, data) => enqueue("append", file, data),
+    write: (file, data) => enqueue("write", file, data),
+    flush,
+    close() {
+      closed = true;
+      return flush();
+    },
+    get pending() {
+      return waiting;
+    },
+  };
+}
+
+//! ====================== check (many processes, one file) ======================
+//? every child appends "<child> <n> <padding>\n" lines, then the file is read back:
+//? every line has to be whole and the lines of one child have to be in order
+async function child(file, id, lines) {
+  const writer = createWriter();
+  const padding = "x".repeat(200); //? longer lines make interleaving easier to see without the lock
+  for (let n = 1; n <= lines; n++)
+    writer.append(file, `${id} ${n} ${padding}\n`);
+  await writer.close();
+}
+
+async function check({ processes = 4, lines = 200 } = {}) {
+  const { fork } = require("node:child_process");
+  const dir = await fsP.mkdtemp(path.join(os.tmpdir(), "write-queue-"));
+  const file = path.join(dir, "shared.log");
+  try {
+    await Promise.all(
+      Array.from(
+        { length: processes },
+        (_, id) =>
+          new Promise((resolve, reject) => {
+            const worker = fork(__filename, [
+              "--child",
+              file,
+              String(id),
+              String(lines),
+            ]);
+            worker.once("error", reject);
+            worker.once("exit", (code) =>
+              code === 0
+                ? resolve()
+                : reject(new Error(`child ${id} exited with code ${code}`)),
+            );
+          }),
+      ),
+    );
+    const next = new Array(processes).fill(1);
+    const problems = [];
+    const text = await fsP.readFile(file, "utf-8");
+    text
+      .split("\n")
+      .slice(0, -1)
+      .forEach((line, i) => {
+        const [id, n, padding] = line.split(" ");
+        if (padding?.length !== 200 || next[id] !== Number(n)) {
+          problems.push(`line ${i + 1}: "${line.slice(0, 40)}"`);
+        } else next[id]++;
+      });
+    const written = next.reduce((sum, n) => sum + n - 1, 0);
+    return { processes, lines: processes * lines, written, problems };
+  } finally {
+    await fsP.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function main(argv) {
+  if (argv[0] === "--child") return child(argv[1], argv[2], Number(argv[3]));
+  const option = (name, value) => {
+    const index = argv.indexOf(name);
+    return index === -1 ? value : Number(argv[index + 1]);
+  };
+  if (!argv.includes("--check")) {
+    console.log(
+      "usage: node write-queue.js --check [--processes 4] [--lines 200]",
+    );
+    process.exitCode = 1;
+    return;
+  }
+  const report = await check({
+    processes: option("--processes", 4),
+    lines: option("--lines", 200),
+  });
+  console.log(
+    `${report.processes} processes, ${report.written}/${report.lines} lines in order, ${report.problems.length} problem(s)`,
+  );
+  for (const problem of report.problems.slice(0, 10))
+    console.log(`  ${problem}`);
+  if (report.problems.length > 0 || report.written !== report.lines)
+    process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createWriter,
+  acquireLock,
+  LockTimeoutError,
+  WriterClosedError,
+};
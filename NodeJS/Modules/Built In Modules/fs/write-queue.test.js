@@ -0,0 +1,116 @@
+//! write-queue tests --> node --test write-queue.test.js
+//? the lock files are made in a temp folder, a "dead" owner is a child process which already exited
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const {
+  createWriter,
+  acquireLock,
+  LockTimeoutError,
+} = require("./write-queue.js");
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "write-queue-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let count = 0;
+const fileFor = () => path.join(dir, `file-${++count}.log`);
+
+const deadPid = () => spawnSync(process.execPath, ["-e", ""]).pid;
+
+//~ lock files
+test("a lock older than staleMs is not taken while its owner is alive", async () => {
+  const file = fileFor();
+  const first = await acquireLock(file, { staleMs: 200 });
+  await pause(300);
+  await assert.rejects(
+    acquireLock(file, { staleMs: 200, timeout: 300 }),
+    LockTimeoutError,
+  );
+  await first.release();
+  const second = await acquireLock(file, { staleMs: 200 });
+  await second.release();
+});
+
+test("the owner touches its lock file while it holds it", async () => {
+  const file = fileFor();
+  const held = await acquireLock(file, { staleMs: 100 });
+  const before = fs.statSync(`${file}.lock`).mtimeMs;
+  await pause(200);
+  assert.ok(fs.statSync(`${file}.lock`).mtimeMs > before);
+  await held.release();
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test("the lock of a dead process is taken right away", async () => {
+  const file = fileFor();
+  fs.writeFileSync(
+    `${file}.lock`,
+    JSON.stringify({ pid: deadPid(), hostname: os.hostname(), time: 0 }),
+  );
+  const held = await acquireLock(file, { timeout: 1000 });
+  assert.ok(held.waited < 500, `waited ${held.waited}ms`);
+  assert.equal(JSON.parse(fs.readFileSync(`${file}.lock`)).pid, process.pid);
+  await held.release();
+});
+
+test("a lock of another machine or a half written one is stale only by its age", async () => {
+  for (const text of [
+    JSON.stringify({ pid: process.pid, hostname: "other-host", time: 0 }),
+    "",
+  ]) {
+    const file = fileFor();
+    fs.writeFileSync(`${file}.lock`, text);
+    await assert.rejects(
+      acquireLock(file, { staleMs: 5000, timeout: 100 }),
+      LockTimeoutError,
+    );
+    const old = new Date(Date.now() - 10000);
+    fs.utimesSync(`${file}.lock`, old, old);
+    const held = await acquireLock(file, { staleMs: 5000, timeout: 1000 });
+    await held.release();
+  }
+});
+
+test("two processes finding the same stale lock: only one of them gets it", async () => {
+  const file = fileFor();
+  fs.writeFileSync(
+    `${file}.lock`,
+    JSON.stringify({ pid: deadPid(), hostname: os.hostname(), time: 0 }),
+  );
+  const [a, b] = await Promise.allSettled([
+    acquireLock(file, { timeout: 100 }),
+    acquireLock(file, { timeout: 100 }),
+  ]);
+  assert.deepEqual([a.status, b.status].sort(), ["fulfilled", "rejected"]);
+  const left = fs.readdirSync(dir).filter((name) => name.endsWith(".stale"));
+  assert.deepEqual(left, []);
+  await (a.value ?? b.value).release();
+});
+
+//~ writer
+test("appends land in the order they were made, in batches of maxBatch", async () => {
+  const file = fileFor();
+  const writer = createWriter({ maxBatch: 3 });
+  const results = await Promise.all(
+    Array.from({ length: 10 }, (_, i) => writer.append(file, `${i}\n`)),
+  );
+  await writer.close();
+  assert.equal(
+    fs.readFileSync(file, "utf-8"),
+    Array.from({ length: 10 }, (_, i) => `${i}\n`).join(""),
+  );
+  assert.deepEqual(
+    results.map((result) => result.offset),
+    Array.from({ length: 10 }, (_, i) => i * 2),
+  );
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
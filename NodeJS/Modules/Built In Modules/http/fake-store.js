@@ -0,0 +1,354 @@
+//! fake store --> local copy of https://fakestoreapi.com built with node:http (works offline)
+//? /products, /products/:id, /carts, /carts/:id, /users, /users/:id
+//? data comes from ./fixtures/*.json, changes (POST/PUT/PATCH/DELETE) are saved with the fs module
+
+//~ usage
+//? node fake-store.js                        --> http://localhost:3000/products
+//? node fake-store.js --port 4000 --latency 300 --error-rate 0.2 --reset
+//? const { createFakeStore } = require("./fake-store.js");
+//? const store = await createFakeStore({ reset: true }); store.server.listen(0);
+
+//~ query parameters
+//? ?limit=5             --> only the first 5 records
+//? ?sort=desc           --> sorted by id (asc is default)
+//? ?page=2&limit=5      --> records 6-10 (X-Total-Count header has the total)
+//? ?_delay=500          --> this response waits 500ms
+//? ?_status=503         --> this response fails with status 503
+
+//~ options
+//? dataDir   -> where the data is saved (default: <tmp>/fake-store), fixtures are copied there on first start
+//? reset     -> copy the fixtures again, every change is lost (deterministic start)
+//? latency   -> delay of every response in ms (number or [min, max])
+//? errorRate -> 0 to 1, part of the requests failing with errorStatus (default 500)
+//? seed      -> seed of the random numbers, same seed --> same delays and failures
+
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { asyncAwait: fileOps } = require("../fs/file-ops.js");
+
+const COLLECTIONS = ["products", "carts", "users"];
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+//? small seeded random number generator (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(json),
+    "access-control-allow-origin": "*", //? the browser page (index.html) can call it
+    "access-control-expose-headers": "X-Total-Count",
+    ...headers,
+  });
+  res.end(json);
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("error", reject);
+    req.on("end", () => {
+      if (body === "") return resolve({});
+      try {
+        const data = JSON.parse(body);
+        if (data === null || typeof data !== "object" || Array.isArray(data)) {
+          return reject(new HttpError(400, "body should be a JSON object"));
+        }
+        resolve(data);
+      } catch {
+        reject(new HttpError(400, "body is not valid JSON"));
+      }
+    });
+  });
+}
+
+//! ====================== data (fs) ======================
+async function loadCollections(dataDir, reset) {
+  await fileOps.mkdir(dataDir, { recursive: true });
+  const data = {};
+  for (const name of COLLECTIONS) {
+    const file = path.join(dataDir, `${name}.json`);
+    if (reset) {
+      await fileOps.copy(path.join(FIXTURES_DIR, `${name}.json`), file);
+    }
+    try {
+      data[name] = JSON.parse(await fileOps.read(file));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      await fileOps.copy(path.join(FIXTURES_DIR, `${name}.json`), file);
+      data[name] = JSON.parse(await fileOps.read(file));
+    }
+  }
+  return data;
+}
+
+//? write to a temp file, then rename --> the file is never half written
+//? writes of one collection are chained, so they land in order
+function createSaver(dataDir) {
+  const chains = {};
+  return (name, records) => {
+    const file = path.join(dataDir, `${name}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    const json = `${JSON.stringify(records, null, 2)}\n`;
+    chains[name] = (chains[name] || Promise.resolve())
+      .catch(() => {})
+      .then(() => fileOps.create(temp, json))
+      .then(() => fileOps.rename(temp, file));
+    return chains[name];
+  };
+}
+
+//! ====================== routes ======================
+function listRecords(records, query) {
+  let list = [...records];
+  const sort = query.get("sort") || "asc";
+  if (sort !== "asc" && sort !== "desc") {
+    throw new HttpError(400, 'sort should be "asc" or "desc"');
+  }
+  list.sort((a, b) => (sort === "asc" ? a.id - b.id : b.id - a.id));
+
+  const total = list.length;
+  const limit = query.has("limit") ? Number(query.get("limit")) : null;
+  const page = query.has("page") ? Number(query.get("page")) : 1;
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    throw new HttpError(400, "limit should be a positive integer");
+  }
+  if (!(Number.isInteger(page) && page > 0)) {
+    throw new HttpError(400, "page should be a positive integer");
+  }
+  if (limit !== null) list = list.slice((page - 1) * limit, page * limit);
+  return { list, total };
+}
+
+async function createFakeStore(options = {}) {
+  const {
+    dataDir = path.join(os.tmpdir(), "fake-store"),
+    reset = false,
+    latency = 0,
+    errorRate = 0,
+    errorStatus = 500,
+    seed = 1,
+  } = options;
+
+  const data = await loadCollections(dataDir, reset);
+  const save = createSaver(dataDir);
+  const random = createRandom(seed);
+
+  //? update(records) --> { records: new list, result }, the new list is saved first and used only when saving worked
+  //? (a failed save changes nothing), changes of one collection run one after the other on the last list
+  const changes = {};
+  function change(name, update) {
+    changes[name] = (changes[name] || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        const { records, result } = update(data[name]);
+        await save(name, records);
+        data[name] = records;
+        return result;
+      });
+    return changes[name];
+  }
+
+  function delayFor(query) {
+    if (query.has("_delay")) return Number(query.get("_delay")) || 0;
+    if (Array.isArray(latency)) {
+      const [min, max] = latency;
+      return Math.round(min + random() * (max - min));
+    }
+    return latency;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const query = url.searchParams;
+    const [name, id, extra] = url.pathname.split("/").filter(Boolean);
+
+    await sleep(delayFor(query));
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "access-control-allow-origin": "*",
+        "access-control-allow-methods": "GET, POST, PUT, PATCH, DELETE",
+        "access-control-allow-headers": "content-type",
+      });
+      return res.end();
+    }
+
+    if (query.has("_status")) {
+      const status = Number(query.get("_status"));
+      if (!(status >= 400 && status <= 599)) {
+        throw new HttpError(400, "_status should be between 400 and 599");
+      }
+      throw new HttpError(status, `forced status ${status}`);
+    }
+    if (errorRate > 0 && random() < errorRate) {
+      throw new HttpError(errorStatus, "injected error");
+    }
+
+    if (!COLLECTIONS.includes(name) || extra !== undefined) {
+      throw new HttpError(404, `${url.pathname} not found`);
+    }
+
+    if (id === undefined) {
+      if (req.method === "GET") {
+        const { list, total } = listRecords(data[name], query);
+        return sendJSON(res, 200, list, { "x-total-count": total });
+      }
+      if (req.method === "POST") {
+        const body = await readBody(req);
+        const record = await change(name, (records) => {
+          const id = records.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+          const created = { ...body, id };
+          return { records: [...records, created], result: created };
+        });
+        return sendJSON(res, 201, record);
+      }
+      throw new HttpError(405, `${req.method} is not allowed on /${name}`);
+    }
+
+    //? found again inside every change: an earlier change may have deleted it
+    const indexOf = (records) => {
+      const index = records.findIndex((record) => String(record.id) === id);
+      if (index === -1) throw new HttpError(404, `${name} ${id} not found`);
+      return index;
+    };
+    const index = indexOf(data[name]);
+
+    switch (req.method) {
+      case "GET":
+        return sendJSON(res, 200, data[name][index]);
+      case "PUT":
+      case "PATCH": {
+        const body = await readBody(req);
+        const record = await change(name, (records) => {
+          const at = indexOf(records);
+          const base = req.method === "PATCH" ? records[at] : {};
+          const updated = { ...base, ...body, id: records[at].id };
+          return { records: records.with(at, updated), result: updated };
+        });
+        return sendJSON(res, 200, record);
+      }
+      case "DELETE": {
+        const removed = await change(name, (records) => {
+          const at = indexOf(records);
+          return {
+            records: records.filter((_, i) => i !== at),
+            result: records[at],
+          };
+        });
+        return sendJSON(res, 200, removed);
+      }
+      default:
+        throw new HttpError(
+          405,
+          `${req.method} is not allowed on /${name}/${id}`,
+        );
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (!res.headersSent) sendJSON(res, status, { error: err.message });
+      else res.destroy(err);
+    });
+  });
+
+  return { server, data, dataDir };
+}
+
+//! ====================== CLI ======================
+function parseArgs(argv) {
+  const args = { port: 3000 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    //? "--latency" as the last argument (or followed by another option) has no value
+    const value = () => {
+      const next = argv[++i];
+      if (next === undefined || next.startsWith("--"))
+        throw new Error(`option "${arg}" needs a value`);
+      return next;
+    };
+    const number = (text = value()) => {
+      const n = Number(text);
+      if (text.trim() === "" || Number.isNaN(n))
+        throw new Error(`option "${arg}" needs a number, got "${text}"`);
+      return n;
+    };
+    if (arg === "--reset") args.reset = true;
+    else if (arg === "--port") args.port = number();
+    else if (arg === "--latency") {
+      const [min, max] = value()
+        .split(",")
+        .map((part) => number(part));
+      args.latency = max === undefined ? min : [min, max];
+    } else if (arg === "--error-rate") args.errorRate = number();
+    else if (arg === "--error-status") args.errorStatus = number();
+    else if (arg === "--seed") args.seed = number();
+    else if (arg === "--data-dir") args.dataDir = path.resolve(value());
+    else throw new Error(`unknown option "${arg}"`);
+  }
+  return args;
+}
+
+//? listen() reports a busy port with an "error" event, not a throw --> without a listener the process crashes
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => {
+      reject(
+        err.code === "EADDRINUSE"
+          ? new Error(`port ${port} is already in use (--port <other port>)`)
+          : err,
+      );
+    };
+    server.once("error", onError);
+    server.listen(port, () => {
+      server.off("error", onError);
+      resolve();
+    });
+  });
+}
+
+async function main(argv) {
+  const { port, ...options } = parseArgs(argv);
+  const { server, dataDir } = await createFakeStore(options);
+  await listen(server, port);
+  console.log(`fake store running on http://localhost:${port}/products`);
+  console.log(`data is saved in ${dataDir}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createFakeStore,
+};
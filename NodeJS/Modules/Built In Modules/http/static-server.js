@@ -0,0 +1,377 @@
+//! static server --> serves the files of a folder over http (Javascript/index.html instead of opening it from disk)
+//? every file is sent with createReadStream + pipe (streams.js), a big file is never loaded into memory at once
+
+//~ usage
+//? node static-server.js                          --> http://localhost:8080 serves ../../../../Javascript
+//? node static-server.js ./some-folder --port 5000 --no-listing --no-compress
+//? const { createStaticServer } = require("./static-server.js");
+//? createStaticServer({ root: "./public" }).listen(0);
+//? node --test static-server.test.js --> end to end tests on a local port
+
+//~ what it supports
+//? content-type from the file extension (MIME type)
+//? ETag / Last-Modified --> the browser asks "changed?" (If-None-Match / If-Modified-Since) and gets 304 without a body
+//? Range: bytes=0-99 --> 206 with only those bytes (videos, resuming downloads)
+//? Accept-Encoding: br / gzip --> the stream is piped through a zlib transform stream (compression)
+//? folders without index.html --> list of the files (listing: false --> 404)
+//? "/../../etc/passwd" --> stays inside root (404), a symlink pointing outside of root --> 403
+
+const http = require("node:http");
+const fs = require("node:fs");
+const fsP = require("node:fs/promises");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { pipeline } = require("node:stream");
+
+const DEFAULT_ROOT = path.join(__dirname, "..", "..", "..", "..", "Javascript");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".wasm": "application/wasm",
+};
+
+//? images, videos, zip ... are already compressed, compressing them again only costs CPU
+const COMPRESSIBLE =
+  /^(text\/|application\/(json|javascript|xml|wasm)|image\/svg)/;
+const MIN_COMPRESS_SIZE = 1024;
+
+const ENCODINGS = {
+  br: () => zlib.createBrotliCompress(),
+  gzip: () => zlib.createGzip(),
+};
+
+function mimeType(file) {
+  return (
+    MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream"
+  );
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+function escapeHTML(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        ch
+      ],
+  );
+}
+
+//! ====================== path (security) ======================
+//? "/a%20b/../c.js" --> "<root>/c.js", anything that ends up outside of root is refused
+async function resolvePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    throw new HttpError(400, "malformed URL");
+  }
+  if (decoded.includes("\0")) throw new HttpError(400, "malformed URL");
+
+  const file = path.join(root, path.normalize(decoded));
+  const inside = (target, base) => {
+    const relative = path.relative(base, target);
+    return (
+      relative === "" ||
+      (!relative.startsWith("..") && !path.isAbsolute(relative))
+    );
+  };
+  if (!inside(file, root)) throw new HttpError(403, "forbidden");
+
+  //? a symlink inside root can point outside of it, so the real path is checked too
+  try {
+    const real = await fsP.realpath(file);
+    if (!inside(real, await fsP.realpath(root))) {
+      throw new HttpError(403, "forbidden");
+    }
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(404, `${urlPath} not found`);
+  }
+  return file;
+}
+
+//! ====================== caching ======================
+//? size + modification time --> changes whenever the file changes
+function etagOf(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function isNotModified(req, etag, stat) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    //? the compressed variant has its own ETag ("...-br"), both count as the same file here
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/-(br|gzip)"$/, '"'))
+      .some((tag) => tag === etag || tag === "*");
+  }
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  //? Last-Modified has seconds only, so milliseconds are ignored
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    Math.floor(stat.mtimeMs / 1000) * 1000 <= ifModifiedSince
+  );
+}
+
+//! ====================== range ======================
+//? "bytes=0-99" | "bytes=100-" | "bytes=-100" (last 100 bytes) --> { start, end } (end included)
+//? null --> no (usable) range, the whole file is sent. several ranges ("0-1,5-6") are not supported --> whole file
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+  let start;
+  let end;
+  if (match[1] === "") {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+//? If-Range: the range is only used when the file is still the same version
+//? an ETag is compared the strong way (RFC 7233): a weak one (W/"...") never matches --> whole file
+function rangeApplies(req, etag, stat) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.startsWith("W/")) return false;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  return Math.floor(stat.mtimeMs / 1000) * 1000 <= Date.parse(ifRange);
+}
+
+//! ====================== compression ======================
+//? "gzip, deflate, br;q=0.9" --> "br" or "gzip" (highest q first, br wins a tie), null --> no compression
+function negotiateEncoding(header = "") {
+  const accepted = header
+    .split(",")
+    .map((part) => {
+      const [name, ...params] = part.trim().toLowerCase().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { name, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ name, q }) => q > 0 && name in ENCODINGS);
+  accepted.sort((a, b) => b.q - a.q || (a.name === "br" ? -1 : 1));
+  return accepted[0]?.name || null;
+}
+
+//! ====================== responses ======================
+function sendText(res, status, text, headers = {}) {
+  res.writeHead(status, {
+    "content-type": "text/plain; charset=utf-8",
+    "content-length": Buffer.byteLength(text),
+    ...headers,
+  });
+  res.end(text);
+}
+
+//? the stream is closed on every error, a client which disconnects early does not leave an open file behind
+function sendStream(req, res, streams) {
+  if (req.method === "HEAD") {
+    streams[0].destroy();
+    return res.end();
+  }
+  pipeline(...streams, res, (err) => {
+    if (err && !res.headersSent) sendText(res, 500, "internal server error");
+  });
+}
+
+function sendFile(req, res, file, stat, { compress }) {
+  const type = mimeType(file);
+  const etag = etagOf(stat);
+  const headers = {
+    "content-type": type,
+    "last-modified": stat.mtime.toUTCString(),
+    "accept-ranges": "bytes",
+    "cache-control": "no-cache", //? always ask, the ETag check makes it cheap
+  };
+
+  if (isNotModified(req, etag, stat)) {
+    res.writeHead(304, { ...headers, etag });
+    return res.end();
+  }
+
+  if (req.headers.range && rangeApplies(req, etag, stat)) {
+    const range = parseRange(req.headers.range, stat.size);
+    if (range?.unsatisfiable) {
+      return sendText(res, 416, "range not satisfiable", {
+        "content-range": `bytes */${stat.size}`,
+      });
+    }
+    if (range) {
+      res.writeHead(206, {
+        ...headers,
+        etag,
+        "content-range": `bytes ${range.start}-${range.end}/${stat.size}`,
+        "content-length": range.end - range.start + 1,
+      });
+      return sendStream(req, res, [
+        fs.createReadStream(file, { start: range.start, end: range.end }),
+      ]);
+    }
+  }
+
+  const canCompress =
+    compress && COMPRESSIBLE.test(type) && stat.size >= MIN_COMPRESS_SIZE;
+  const encoding = canCompress
+    ? negotiateEncoding(req.headers["accept-encoding"])
+    : null;
+  if (canCompress) headers.vary = "Accept-Encoding";
+
+  if (encoding) {
+    //? the compressed size is not known before compressing --> no content-length (chunked)
+    res.writeHead(200, {
+      ...headers,
+      etag: etag.replace(/"$/, `-${encoding}"`),
+      "content-encoding": encoding,
+    });
+    return sendStream(req, res, [
+      fs.createReadStream(file),
+      ENCODINGS[encoding](),
+    ]);
+  }
+
+  res.writeHead(200, { ...headers, etag, "content-length": stat.size });
+  sendStream(req, res, [fs.createReadStream(file)]);
+}
+
+async function sendListing(req, res, dir, urlPath) {
+  const entries = await fsP.readdir(dir, { withFileTypes: true });
+  entries.sort(
+    (a, b) => b.isDirectory() - a.isDirectory() || a.name.localeCompare(b.name),
+  );
+  const base = urlPath.endsWith("/") ? urlPath : `${urlPath}/`;
+  const items = entries.map((entry) => {
+    const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+    const href = `${base}${encodeURIComponent(entry.name)}${entry.isDirectory() ? "/" : ""}`;
+    return `<li><a href="${escapeHTML(href)}">${escapeHTML(name)}</a></li>`;
+  });
+  if (base !== "/") items.unshift(`<li><a href="../">../</a></li>`);
+  const title = `Index of ${escapeHTML(decodeURIComponent(base))}`;
+  const html = `<!doctype html>\n<html>\n<head><meta charset="utf-8" /><title>${title}</title></head>\n<body>\n<h1>${title}</h1>\n<ul>\n${items.join("\n")}\n</ul>\n</body>\n</html>\n`;
+  res.writeHead(200, {
+    "content-type": "text/html; charset=utf-8",
+    "content-length": Buffer.byteLength(html),
+  });
+  res.end(req.method === "HEAD" ? undefined : html);
+}
+
+//! ====================== server ======================
+//? options -> root (default: the Javascript folder), listing (true), compress (true), index ("index.html")
+function createStaticServer(options = {}) {
+  const {
+    root = DEFAULT_ROOT,
+    listing = true,
+    compress = true,
+    index = "index.html",
+  } = options;
+  const rootDir = path.resolve(root);
+
+  async function handle(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, `${req.method} is not allowed`);
+    }
+    const urlPath = new URL(req.url, "http://localhost").pathname;
+    let file = await resolvePath(rootDir, urlPath);
+    let stat = await fsP.stat(file);
+
+    if (stat.isDirectory()) {
+      //? "/folder" --> "/folder/", so relative links inside index.html ("./index.js") work
+      if (!urlPath.endsWith("/")) {
+        res.writeHead(301, { location: `${urlPath}/` });
+        return res.end();
+      }
+      try {
+        const indexFile = path.join(file, index);
+        stat = await fsP.stat(indexFile);
+        if (!stat.isFile()) throw new Error("not a file");
+        file = indexFile;
+      } catch {
+        if (!listing) throw new HttpError(404, `${urlPath} not found`);
+        return sendListing(req, res, file, urlPath);
+      }
+    }
+    if (!stat.isFile()) throw new HttpError(404, `${urlPath} not found`);
+    sendFile(req, res, file, stat, { compress });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      const message =
+        err instanceof HttpError ? err.message : "internal server error";
+      if (!res.headersSent) {
+        sendText(
+          res,
+          status,
+          message,
+          status === 405 ? { allow: "GET, HEAD" } : {},
+        );
+      } else res.destroy(err);
+    });
+  });
+}
+
+//! ====================== CLI ======================
+function parseArgs(argv) {
+  const args = { root: DEFAULT_ROOT, port: 8080 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--port") args.port = Number(argv[++i]);
+    else if (arg === "--no-listing") args.listing = false;
+    else if (arg === "--no-compress") args.compress = false;
+    else if (arg.startsWith("--")) throw new Error(`unknown option "${arg}"`);
+    else args.root = path.resolve(arg);
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const { port, ...options } = parseArgs(process.argv.slice(2));
+  createStaticServer(options).listen(port, () => {
+    console.log(`serving ${options.root} on http://localhost:${port}/`);
+  });
+}
+
+module.exports = {
+  createStaticServer,
+  parseRange,
+  negotiateEncoding,
+  MIME_TYPES,
+};
@@ -0,0 +1,218 @@
+//! static-server tests --> node --test static-server.test.js
+//? end to end: the server listens on a free local port, the requests are real http requests (node:http)
+//? the served folder is a temp copy of ../fs/fixtures + a big text file, a sub folder and a symlink to outside
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { createStaticServer } = require("./static-server.js");
+
+const FIXTURES = path.join(__dirname, "..", "fs", "fixtures");
+const BIG = "hello streams\n".repeat(500); //? 7000 bytes, big enough to be compressed
+
+let tmp;
+let root;
+let server;
+let port;
+
+test.before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "static-server-"));
+  root = path.join(tmp, "public");
+  fs.cpSync(FIXTURES, root, { recursive: true });
+  fs.writeFileSync(path.join(root, "big.txt"), BIG);
+  fs.mkdirSync(path.join(root, "folder"));
+  fs.writeFileSync(path.join(root, "folder", "a b.txt"), "a b");
+  fs.writeFileSync(path.join(tmp, "secret.txt"), "secret");
+  fs.symlinkSync(path.join(tmp, "secret.txt"), path.join(root, "link.txt"));
+
+  server = createStaticServer({ root });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+//? raw request: the path is sent as it is ("/../" is not cleaned like fetch() does), the body is not decoded
+function request(urlPath, { method = "GET", headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, path: urlPath, method, headers },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          }),
+        );
+      },
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+const html = fs.readFileSync(path.join(FIXTURES, "index.html"));
+
+//~ files
+test("/ serves index.html with its MIME type and length", async () => {
+  const res = await request("/", { headers: { "accept-encoding": "" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["content-type"], "text/html; charset=utf-8");
+  assert.equal(Number(res.headers["content-length"]), html.length);
+  assert.deepEqual(res.body, html);
+});
+
+test("HEAD gives the headers without a body", async () => {
+  const res = await request("/big.txt", { method: "HEAD" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 0);
+});
+
+test("POST is 405 with an Allow header", async () => {
+  const res = await request("/", { method: "POST" });
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.allow, "GET, HEAD");
+});
+
+//~ caching
+test("If-None-Match with the ETag gives 304", async () => {
+  const first = await request("/index.html");
+  const res = await request("/index.html", {
+    headers: { "if-none-match": first.headers.etag },
+  });
+  assert.equal(res.status, 304);
+  assert.equal(res.body.length, 0);
+});
+
+test("If-Modified-Since with Last-Modified gives 304", async () => {
+  const first = await request("/index.html");
+  const res = await request("/index.html", {
+    headers: { "if-modified-since": first.headers["last-modified"] },
+  });
+  assert.equal(res.status, 304);
+});
+
+//~ ranges
+test("Range gives 206 with only those bytes", async () => {
+  const res = await request("/big.txt", { headers: { range: "bytes=0-4" } });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers["content-range"], `bytes 0-4/${BIG.length}`);
+  assert.equal(res.body.toString(), "hello");
+
+  const last = await request("/big.txt", { headers: { range: "bytes=-7" } });
+  assert.equal(last.body.toString(), "treams\n");
+});
+
+test("a range after the end of the file is 416", async () => {
+  const res = await request("/big.txt", {
+    headers: { range: `bytes=${BIG.length}-` },
+  });
+  assert.equal(res.status, 416);
+  assert.equal(res.headers["content-range"], `bytes */${BIG.length}`);
+});
+
+test("If-Range with a weak ETag sends the whole file", async () => {
+  const first = await request("/big.txt");
+  assert.match(first.headers.etag, /^W\//);
+  const res = await request("/big.txt", {
+    headers: {
+      range: "bytes=0-4",
+      "if-range": first.headers.etag,
+      "accept-encoding": "",
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.toString(), BIG);
+});
+
+test("If-Range with the Last-Modified date keeps the range", async () => {
+  const first = await request("/big.txt");
+  const res = await request("/big.txt", {
+    headers: { range: "bytes=0-4", "if-range": first.headers["last-modified"] },
+  });
+  assert.equal(res.status, 206);
+  assert.equal(res.body.toString(), "hello");
+});
+
+//~ compression
+test("gzip and br are negotiated and decode to the file", async () => {
+  const gzip = await request("/big.txt", {
+    headers: { "accept-encoding": "gzip" },
+  });
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.equal(gzip.headers.vary, "Accept-Encoding");
+  assert.equal(zlib.gunzipSync(gzip.body).toString(), BIG);
+
+  const br = await request("/big.txt", {
+    headers: { "accept-encoding": "gzip;q=0.5, br" },
+  });
+  assert.equal(br.headers["content-encoding"], "br");
+  assert.equal(zlib.brotliDecompressSync(br.body).toString(), BIG);
+});
+
+test("a small file is not compressed", async () => {
+  const res = await request("/folder/a%20b.txt", {
+    headers: { "accept-encoding": "gzip" },
+  });
+  assert.equal(res.headers["content-encoding"], undefined);
+  assert.equal(res.body.toString(), "a b");
+});
+
+//~ folders
+test("a folder without a slash is redirected, then listed", async () => {
+  const redirect = await request("/folder");
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.location, "/folder/");
+  const listing = await request("/folder/");
+  assert.equal(listing.status, 200);
+  assert.match(
+    listing.body.toString(),
+    /href="\/folder\/a%20b\.txt">a b\.txt</,
+  );
+});
+
+test("listing: false gives 404 for a folder", async (t) => {
+  const noListing = createStaticServer({ root, listing: false });
+  await new Promise((resolve) => noListing.listen(0, "127.0.0.1", resolve));
+  t.after(() => noListing.close());
+  const res = await new Promise((resolve) =>
+    http.get(`http://127.0.0.1:${noListing.address().port}/folder/`, (res) => {
+      res.resume();
+      resolve(res);
+    }),
+  );
+  assert.equal(res.statusCode, 404);
+});
+
+//~ security
+test("../ cannot leave the root folder", async () => {
+  for (const urlPath of [
+    "/../secret.txt",
+    "/%2e%2e/secret.txt",
+    "/folder/..%2f..%2fsecret.txt",
+  ]) {
+    const res = await request(urlPath);
+    assert.ok([403, 404].includes(res.status), `${urlPath} --> ${res.status}`);
+    assert.notEqual(res.body.toString(), "secret");
+  }
+});
+
+test("a symlink pointing outside of the root is 403", async () => {
+  const res = await request("/link.txt");
+  assert.equal(res.status, 403);
+});
+
+test("a missing file is 404, a malformed URL 400", async () => {
+  assert.equal((await request("/missing.html")).status, 404);
+  assert.equal((await request("/%E0%A4%A")).status, 400);
+});
@@ -0,0 +1,34 @@
+//! cpu tasks --> the functions the workers of worker-pool.js can run (pool.run("countTo", [1e9]))
+//? every export is a task, it gets the args of pool.run() and its return value goes back to the main thread
+
+const { transfer } = require("./worker-pool.js");
+
+//? the blocking loop of index.js: for (let i = 0; i < 10000000000; i++) {}
+function countTo(n) {
+  let i = 0;
+  for (; i < n; i++) {}
+  return i;
+}
+
+//? Buffer in (moved with { transfer: [buffer] }) --> sum of its bytes
+function sumBytes(buffer) {
+  let sum = 0;
+  for (const byte of buffer) sum += byte;
+  return sum;
+}
+
+//? Buffer out --> moved back to the main thread instead of copied
+function fillBuffer(size, byte) {
+  return transfer(Buffer.alloc(size, byte));
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+module.exports = {
+  countTo,
+  sumBytes,
+  fillBuffer,
+  fail,
+};
@@ -0,0 +1,109 @@
+//! worker pool demo --> the same for loops, once on the main thread and once on the worker pool
+//? a setInterval of 10ms measures how late the timers are while the loops run
+//? main thread --> the timer waits until the loop is done (late by the whole loop)
+//? worker pool --> the timer stays on time, the loops run in parallel on other threads
+
+//~ usage
+//? node worker-pool-demo.js                     --> 4 loops of 300 million
+//? node worker-pool-demo.js --loops 8 --count 1e9
+//? node worker-pool-demo.js --check 50          --> exit code 1 when a timer is more than 50ms late with the pool
+//? node --test worker-pool.test.js              --> the same timer check as a test (+ queue, timeout, abort, close)
+
+const path = require("node:path");
+const { performance } = require("node:perf_hooks");
+const { createPool } = require("./worker-pool.js");
+const { countTo } = require("./cpu-tasks.js");
+
+const INTERVAL = 10;
+
+//~ starts a 10ms interval, stop() --> how late the ticks were
+function measureTimers() {
+  let expected = performance.now() + INTERVAL;
+  const lateness = [];
+  const timer = setInterval(() => {
+    const now = performance.now();
+    lateness.push(Math.max(0, now - expected));
+    expected = now + INTERVAL;
+  }, INTERVAL);
+  return () => {
+    clearInterval(timer);
+    const max = lateness.length ? Math.max(...lateness) : 0;
+    const avg = lateness.length
+      ? lateness.reduce((sum, ms) => sum + ms, 0) / lateness.length
+      : 0;
+    return { ticks: lateness.length, max, avg };
+  };
+}
+
+//? gives the interval the chance to run at least once before and after the work
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function onMainThread(loops, count) {
+  const stop = measureTimers();
+  await pause(INTERVAL * 3);
+  const start = performance.now();
+  for (let i = 0; i < loops; i++) countTo(count);
+  const time = performance.now() - start;
+  await pause(INTERVAL * 3);
+  return { time, timers: stop() };
+}
+
+async function onPool(pool, loops, count) {
+  const stop = measureTimers();
+  await pause(INTERVAL * 3);
+  const start = performance.now();
+  await Promise.all(
+    Array.from({ length: loops }, () => pool.run("countTo", [count])),
+  );
+  const time = performance.now() - start;
+  await pause(INTERVAL * 3);
+  return { time, timers: stop() };
+}
+
+function print(label, { time, timers }) {
+  console.log(
+    `${label.padEnd(12)} loops took ${time.toFixed(0).padStart(6)}ms | ` +
+      `${String(timers.ticks).padStart(4)} timer ticks, ` +
+      `late max ${timers.max.toFixed(1)}ms, avg ${timers.avg.toFixed(1)}ms`,
+  );
+}
+
+async function main(argv) {
+  const option = (name, fallback) => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : Number(argv[index + 1]);
+  };
+  const loops = option("loops", 4);
+  const count = option("count", 3e8);
+  const check = option("check", null);
+
+  const pool = createPool({ tasks: path.join(__dirname, "cpu-tasks.js") });
+  //? the workers start once (a few ms each), not part of the measurement
+  await Promise.all(
+    Array.from({ length: pool.stats.size }, () => pool.run("countTo", [0])),
+  );
+
+  console.log(`${loops} x countTo(${count}), ${pool.stats.size} workers\n`);
+  print("main thread", await onMainThread(loops, count));
+  const result = await onPool(pool, loops, count);
+  print("worker pool", result);
+  await pool.close();
+
+  if (check !== null && result.timers.max > check) {
+    console.log(
+      `\ntimers were ${result.timers.max.toFixed(1)}ms late with the pool (limit ${check}ms)`,
+    );
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  measureTimers,
+};
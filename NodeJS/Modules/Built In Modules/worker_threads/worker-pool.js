@@ -0,0 +1,318 @@
+//! worker pool --> runs CPU heavy functions on worker_threads, the main thread (and its timers) stays free
+//? for (let i = 0; i < 10000000000; i++) {} in index.js blocks everything, because js has 1 main thread
+//? libUV has 4 threads (fs.js) but they are only for I/O, a for loop always runs where it is written
+//? worker_threads --> more js threads, each one with its own event loop and memory
+
+//~ usage
+//? const pool = createPool({ tasks: require.resolve("./cpu-tasks.js"), size: 4 });
+//? const count = await pool.run("countTo", [1e9]);                   --> runs countTo(1e9) of cpu-tasks.js on a worker
+//? await pool.run("countTo", [1e10], { timeout: 1000, signal });     --> stopped after 1s / when signal aborts
+//? await pool.run("sumBytes", [buffer], { transfer: [buffer] });     --> buffer is moved to the worker, not copied
+//? await pool.close();
+
+//~ task module --> a CommonJS file whose exports are the functions (sync or async) the workers can run
+//? return transfer(buffer, [buffer]) from a task to move a result Buffer back instead of copying it
+
+//~ options
+//? size     -> number of workers (default: number of CPU cores)
+//? maxQueue -> tasks waiting for a free worker, run() rejects with QueueFullError when it is full (default Infinity)
+//? timeout  -> default timeout of every task in ms (0 -> no timeout)
+
+const os = require("node:os");
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("node:worker_threads");
+
+class QueueFullError extends Error {
+  constructor(maxQueue) {
+    super(`task queue is full (${maxQueue} waiting tasks)`);
+    this.name = "QueueFullError";
+    this.code = "ERR_QUEUE_FULL";
+  }
+}
+
+class TaskTimeoutError extends Error {
+  constructor(name, timeout) {
+    super(`task "${name}" did not finish within ${timeout}ms`);
+    this.name = "TaskTimeoutError";
+    this.code = "ERR_TASK_TIMEOUT";
+  }
+}
+
+class TaskAbortedError extends Error {
+  constructor(name, reason) {
+    super(`task "${name}" was aborted`, { cause: reason });
+    this.name = "AbortError";
+    this.code = "ABORT_ERR";
+  }
+}
+
+class PoolClosedError extends Error {
+  constructor() {
+    super("the pool is closed");
+    this.name = "PoolClosedError";
+    this.code = "ERR_POOL_CLOSED";
+  }
+}
+
+//~ value + the ArrayBuffers which should be moved (not copied) with it
+class Transfer {
+  constructor(value, list) {
+    this.value = value;
+    this.list = list;
+  }
+}
+
+function transfer(value, list = [value]) {
+  return new Transfer(value, list);
+}
+
+//? Buffer --> its ArrayBuffer, only when the Buffer uses the whole ArrayBuffer
+//? small Buffers (Buffer.from("abc"), allocUnsafe) share one ArrayBuffer (Buffer pool), they are copied instead
+function transferList(list) {
+  return list
+    .map((item) => {
+      if (item instanceof ArrayBuffer) return item;
+      if (ArrayBuffer.isView(item)) {
+        const whole =
+          item.byteOffset === 0 && item.byteLength === item.buffer.byteLength;
+        return whole ? item.buffer : null;
+      }
+      return item; //? MessagePort ...
+    })
+    .filter(Boolean);
+}
+
+//? postMessage turns a Buffer into a Uint8Array, this makes it a Buffer again (same memory, no copy)
+function restoreBuffer(value) {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return value;
+}
+
+//! ====================== worker side ======================
+function runWorker() {
+  const tasks = require(workerData.workerPoolTasks);
+
+  parentPort.on("message", async ({ id, name, args }) => {
+    try {
+      const fn = tasks[name];
+      if (typeof fn !== "function") {
+        throw new TypeError(`"${name}" is not a function of the task module`);
+      }
+      let result = await fn(...args.map(restoreBuffer));
+      let list = [];
+      if (result instanceof Transfer) {
+        list = transferList(result.list);
+        result = result.value;
+      }
+      parentPort.postMessage({ id, ok: true, result }, list);
+    } catch (error) {
+      try {
+        parentPort.postMessage({ id, ok: false, error });
+      } catch {
+        //? the thrown value cannot be sent (it has functions ...), send its text
+        parentPort.postMessage({
+          id,
+          ok: false,
+          error: new Error(String(error)),
+        });
+      }
+    }
+  });
+}
+
+//! ====================== pool (main thread) ======================
+function createPool(options = {}) {
+  const {
+    tasks,
+    size = os.availableParallelism?.() ?? os.cpus().length,
+    maxQueue = Infinity,
+    timeout: defaultTimeout = 0,
+    workerOptions = {},
+  } = options;
+  if (!tasks)
+    throw new TypeError("createPool() needs the path of a task module");
+
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+  let drained = null; //? resolves when the last running task finished (close())
+  let closing = null; //? promise of close()
+
+  function spawn() {
+    const worker = new Worker(__filename, {
+      ...workerOptions,
+      workerData: { workerPoolTasks: tasks },
+    });
+    worker.task = null;
+    worker.on("message", (message) => {
+      const task = worker.task;
+      if (!task || task.id !== message.id) return;
+      finish(worker, task);
+      if (message.ok) task.resolve(restoreBuffer(message.result));
+      else task.reject(message.error);
+    });
+    //? an uncaught error inside the worker (or process.exit in a task) --> the worker is replaced
+    worker.on("error", (err) => {
+      const task = worker.task;
+      replace(worker);
+      task?.reject(err);
+    });
+    worker.on("exit", (code) => {
+      if (!workers.has(worker)) return; //? terminated by the pool itself
+      const task = worker.task;
+      replace(worker);
+      task?.reject(new Error(`worker stopped with exit code ${code}`));
+    });
+    workers.add(worker);
+    return worker;
+  }
+
+  function cleanup(task) {
+    clearTimeout(task.timer);
+    task.signal?.removeEventListener("abort", task.onAbort);
+  }
+
+  function finish(worker, task) {
+    cleanup(task);
+    worker.task = null;
+    if (closed && queue.length === 0) {
+      idle.push(worker);
+      if ([...workers].every((w) => !w.task)) drained?.();
+      return;
+    }
+    next(worker);
+  }
+
+  //? a running for loop cannot be interrupted, the only way to stop it is to terminate the worker
+  function replace(worker) {
+    workers.delete(worker);
+    const index = idle.indexOf(worker);
+    if (index !== -1) idle.splice(index, 1);
+    if (worker.task) cleanup(worker.task);
+    worker.task = null;
+    worker.terminate();
+    if (!closed) next(spawn());
+    else if ([...workers].every((w) => !w.task)) drained?.();
+  }
+
+  function dispatch(worker, task) {
+    worker.task = task;
+    if (task.timeout > 0) {
+      task.timer = setTimeout(() => {
+        replace(worker);
+        task.reject(new TaskTimeoutError(task.name, task.timeout));
+      }, task.timeout);
+    }
+    worker.postMessage(
+      { id: task.id, name: task.name, args: task.args },
+      task.transfer,
+    );
+  }
+
+  function next(worker) {
+    const task = queue.shift();
+    if (task) dispatch(worker, task);
+    else idle.push(worker);
+  }
+
+  //~ run(name, args, { timeout, signal, transfer }) --> promise of the return value of the task
+  function run(name, args = [], runOptions = {}) {
+    const { timeout = defaultTimeout, signal, transfer = [] } = runOptions;
+    return new Promise((resolve, reject) => {
+      if (closed) return reject(new PoolClosedError());
+      if (signal?.aborted)
+        return reject(new TaskAbortedError(name, signal.reason));
+
+      const task = {
+        id: nextId++,
+        name,
+        args,
+        timeout,
+        signal,
+        transfer: transferList(transfer),
+        resolve,
+        reject,
+      };
+
+      task.onAbort = () => {
+        const index = queue.indexOf(task);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          cleanup(task);
+        } else {
+          const worker = [...workers].find((w) => w.task === task);
+          if (worker) replace(worker);
+        }
+        reject(new TaskAbortedError(name, signal.reason));
+      };
+      signal?.addEventListener("abort", task.onAbort, { once: true });
+
+      if (workers.size < size) return dispatch(spawn(), task);
+      if (idle.length > 0) return dispatch(idle.shift(), task);
+      if (queue.length >= maxQueue) {
+        cleanup(task);
+        return reject(new QueueFullError(maxQueue));
+      }
+      queue.push(task);
+    });
+  }
+
+  //~ close() --> waiting tasks are rejected, running tasks finish, then the workers stop
+  //? close({ force: true }) --> running tasks are stopped too
+  //? every call gives the same promise (a second close() would otherwise replace drained of the first one)
+  function close({ force = false } = {}) {
+    closed = true;
+    for (const task of queue.splice(0)) {
+      cleanup(task);
+      task.reject(new PoolClosedError());
+    }
+    if (force) {
+      for (const worker of [...workers]) {
+        const task = worker.task;
+        replace(worker);
+        task?.reject(new PoolClosedError());
+      }
+    }
+    closing ??= (async () => {
+      if ([...workers].some((w) => w.task)) {
+        await new Promise((resolve) => (drained = resolve));
+      }
+      const stopping = [...workers].map((worker) => {
+        workers.delete(worker);
+        return worker.terminate();
+      });
+      idle.length = 0;
+      await Promise.all(stopping);
+    })();
+    return closing;
+  }
+
+  return {
+    run,
+    close,
+    get stats() {
+      const busy = [...workers].filter((w) => w.task).length;
+      return { size, workers: workers.size, busy, queued: queue.length };
+    },
+  };
+}
+
+module.exports = {
+  createPool,
+  transfer,
+  QueueFullError,
+  TaskTimeoutError,
+  TaskAbortedError,
+  PoolClosedError,
+};
+
+//? after module.exports: the task module can require this file for transfer() (circular require)
+if (!isMainThread && workerData?.workerPoolTasks) runWorker();
@@ -0,0 +1,143 @@
+//! worker-pool tests --> node --test worker-pool.test.js
+//? the timer test is the one of worker-pool-demo.js: a 10ms interval must stay on time while the pool counts
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { performance } = require("node:perf_hooks");
+const {
+  createPool,
+  QueueFullError,
+  TaskTimeoutError,
+  TaskAbortedError,
+  PoolClosedError,
+} = require("./worker-pool.js");
+const { countTo } = require("./cpu-tasks.js");
+const { measureTimers } = require("./worker-pool-demo.js");
+
+const TASKS = path.join(__dirname, "cpu-tasks.js");
+const LATE_LIMIT = 50; //? ms, same as "node worker-pool-demo.js --check 50"
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function poolFor(t, options) {
+  const pool = createPool({ tasks: TASKS, size: 2, ...options });
+  t.after(() => pool.close({ force: true }));
+  return pool;
+}
+
+//~ timer latency
+test("timers stay on time while the pool runs the loops", async (t) => {
+  const pool = poolFor(t);
+  await Promise.all([pool.run("countTo", [0]), pool.run("countTo", [0])]);
+
+  const stop = measureTimers();
+  await pause(30);
+  const start = performance.now();
+  const counts = await Promise.all(
+    Array.from({ length: 4 }, () => pool.run("countTo", [1e8])),
+  );
+  const time = performance.now() - start;
+  await pause(30);
+  const timers = stop();
+
+  assert.deepEqual(counts, [1e8, 1e8, 1e8, 1e8]);
+  assert.ok(timers.ticks >= time / 10 / 2, `only ${timers.ticks} ticks`);
+  assert.ok(
+    timers.max < LATE_LIMIT,
+    `timers were ${timers.max.toFixed(1)}ms late`,
+  );
+});
+
+test("the same loop on the main thread makes the timers late", async () => {
+  const stop = measureTimers();
+  await pause(30);
+  const start = performance.now();
+  countTo(1e8);
+  const time = performance.now() - start;
+  await pause(30);
+  const timers = stop();
+  assert.ok(timers.max >= time * 0.8, `late ${timers.max}ms, loop ${time}ms`);
+});
+
+//~ queue, timeout, cancellation
+test("maxQueue rejects with QueueFullError", async (t) => {
+  const pool = poolFor(t, { size: 1, maxQueue: 1 });
+  const running = pool.run("countTo", [1e7]);
+  const queued = pool.run("countTo", [1]);
+  await assert.rejects(pool.run("countTo", [1]), QueueFullError);
+  assert.equal(await running, 1e7);
+  assert.equal(await queued, 1);
+});
+
+test("a task over its timeout is stopped and the worker replaced", async (t) => {
+  const pool = poolFor(t, { size: 1 });
+  await assert.rejects(
+    pool.run("countTo", [1e12], { timeout: 50 }),
+    TaskTimeoutError,
+  );
+  assert.equal(await pool.run("countTo", [5]), 5);
+});
+
+test("an aborted signal stops a running and a queued task", async (t) => {
+  const pool = poolFor(t, { size: 1 });
+  const controller = new AbortController();
+  const running = pool.run("countTo", [1e12], { signal: controller.signal });
+  const queued = pool.run("countTo", [1], { signal: controller.signal });
+  setTimeout(() => controller.abort(), 30);
+  await assert.rejects(running, TaskAbortedError);
+  await assert.rejects(queued, TaskAbortedError);
+  await assert.rejects(
+    pool.run("countTo", [1], { signal: controller.signal }),
+    TaskAbortedError,
+  );
+  assert.equal(pool.stats.queued, 0);
+});
+
+test("errors of a task reject run()", async (t) => {
+  const pool = poolFor(t);
+  await assert.rejects(pool.run("fail", ["boom"]), /boom/);
+});
+
+//~ buffers
+test("transfer moves the buffer to the worker and back", async (t) => {
+  const pool = poolFor(t);
+  const buffer = Buffer.alloc(1024, 2);
+  assert.equal(
+    await pool.run("sumBytes", [buffer], { transfer: [buffer] }),
+    2048,
+  );
+  assert.equal(buffer.length, 0); //? moved, not copied
+  const filled = await pool.run("fillBuffer", [16, 7]);
+  assert.ok(Buffer.isBuffer(filled));
+  assert.deepEqual([...filled], new Array(16).fill(7));
+});
+
+//~ close
+test("close() rejects waiting tasks and lets running ones finish", async () => {
+  const pool = createPool({ tasks: TASKS, size: 1 });
+  const running = pool.run("countTo", [1e7]);
+  const queued = pool.run("countTo", [1]);
+  const closing = pool.close();
+  await assert.rejects(queued, PoolClosedError);
+  assert.equal(await running, 1e7);
+  await closing;
+  assert.equal(pool.stats.workers, 0);
+  await assert.rejects(pool.run("countTo", [1]), PoolClosedError);
+});
+
+test("two close() calls both resolve", async () => {
+  const pool = createPool({ tasks: TASKS, size: 1 });
+  const running = pool.run("countTo", [1e7]);
+  const first = pool.close();
+  const second = pool.close();
+  assert.equal(first, second);
+  await Promise.all([running, first, second]);
+});
+
+test("close({ force: true }) stops the running tasks", async () => {
+  const pool = createPool({ tasks: TASKS, size: 1 });
+  const running = pool.run("countTo", [1e12]);
+  await pause(20);
+  await pool.close({ force: true });
+  await assert.rejects(running, PoolClosedError);
+});
@@ -26,10 +26,10 @@ function printSomething() {
 
 //! syntax to export in commonJS
 //? module.exports = {
-// variableName1,
-// variableName2,
-// variableName3,
-// .....
+//?   variableName1,
+//?   variableName2,
+//?   variableName3,
+//?   .....
 //? }
 
 module.exports = {
@@ -0,0 +1,199 @@
+//! mini require --> a small copy of what node does when we call require()
+//? 1) resolve the path   2) check the cache   3) read the file   4) wrap it in the module wrapper   5) run it with vm
+
+//~ usage
+//? const { miniRequire } = require("./mini-require.js");
+//? miniRequire("./file2.js", __dirname);              --> runs file2.js, which requires file1.js through miniRequire
+//? explainResolve("./file1", __dirname).tried         --> every path checked while resolving
+//? node --test mini-require.test.js --> cache, circular requires and exports vs module.exports with file1.js/file2.js
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { builtinModules } = require("node:module");
+
+//! same parameters as the IIFE in module-wrapper.js
+const WRAPPER = [
+  "(function (exports, require, module, __filename, __dirname) { ",
+  "\n});",
+];
+
+const EXTENSIONS = [".js", ".json"];
+
+class MiniModule {
+  constructor(id, parent) {
+    this.id = id;
+    this.filename = id;
+    this.path = path.dirname(id);
+    this.exports = {};
+    this.parent = parent;
+    this.children = [];
+    this.loaded = false;
+  }
+
+  static cache = Object.create(null);
+
+  //? module.require() --> what "require" is inside the wrapped file
+  require(request) {
+    return loadModule(request, this);
+  }
+}
+
+//! ====================== resolution ======================
+function isFile(file) {
+  return fs.statSync(file, { throwIfNoEntry: false })?.isFile() ?? false;
+}
+
+function isDirectory(file) {
+  return fs.statSync(file, { throwIfNoEntry: false })?.isDirectory() ?? false;
+}
+
+//~ "./file1" --> "./file1", "./file1.js", "./file1.json"
+function tryFile(file, tried) {
+  for (const candidate of [file, ...EXTENSIONS.map((ext) => file + ext)]) {
+    tried.push(candidate);
+    if (isFile(candidate)) return candidate;
+  }
+  return null;
+}
+
+//~ "./folder" --> "main" of "./folder/package.json", then "./folder/index.js"
+function tryDirectory(dir, tried) {
+  if (!isDirectory(dir)) return null;
+
+  const pkgFile = path.join(dir, "package.json");
+  tried.push(pkgFile);
+  if (isFile(pkgFile)) {
+    const { main } = JSON.parse(fs.readFileSync(pkgFile, "utf-8"));
+    if (main) {
+      const mainFile = path.resolve(dir, main);
+      const found = tryFile(mainFile, tried) || tryIndex(mainFile, tried);
+      if (found) return found;
+    }
+  }
+  return tryIndex(dir, tried);
+}
+
+function tryIndex(dir, tried) {
+  return tryFile(path.join(dir, "index"), tried);
+}
+
+//~ "lodash" --> ./node_modules/lodash, ../node_modules/lodash, ... up to the root
+function nodeModulesPaths(fromDir) {
+  const paths = [];
+  let dir = fromDir;
+  while (true) {
+    if (path.basename(dir) !== "node_modules")
+      paths.push(path.join(dir, "node_modules"));
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) return paths;
+    dir = parentDir;
+  }
+}
+
+function isBuiltin(request) {
+  return request.startsWith("node:") || builtinModules.includes(request);
+}
+
+//? returns the absolute file name, or the request itself for built-in modules
+function resolveFilename(request, fromDir, tried = []) {
+  if (isBuiltin(request)) return request;
+
+  if (
+    request.startsWith("./") ||
+    request.startsWith("../") ||
+    path.isAbsolute(request)
+  ) {
+    const file = path.resolve(fromDir, request);
+    const found = tryFile(file, tried) || tryDirectory(file, tried);
+    if (found) return found;
+  } else {
+    for (const dir of nodeModulesPaths(fromDir)) {
+      const file = path.join(dir, request);
+      const found = tryFile(file, tried) || tryDirectory(file, tried);
+      if (found) return found;
+    }
+  }
+
+  const err = new Error(`Cannot find module '${request}' from '${fromDir}'`);
+  err.code = "MODULE_NOT_FOUND";
+  err.tried = tried;
+  throw err;
+}
+
+function explainResolve(request, fromDir = process.cwd()) {
+  const tried = [];
+  const filename = resolveFilename(request, fromDir, tried);
+  return { request, filename, tried };
+}
+
+//! ====================== loading ======================
+function makeRequire(module) {
+  const require = (request) => module.require(request);
+  require.resolve = (request) => resolveFilename(request, module.path);
+  require.cache = MiniModule.cache;
+  require.main = mainModule;
+  return require;
+}
+
+let mainModule;
+
+function loadModule(request, parent, fromDir = parent.path) {
+  const filename = resolveFilename(request, fromDir);
+
+  //? built-in modules are not files, the real require gives them
+  if (isBuiltin(filename)) return require(filename);
+
+  //? cached --> not executed again. for a circular require this is the half filled exports object
+  const cached = MiniModule.cache[filename];
+  if (cached) {
+    if (parent && !parent.children.includes(cached))
+      parent.children.push(cached);
+    return cached.exports;
+  }
+
+  const module = new MiniModule(filename, parent);
+  if (parent) parent.children.push(module);
+  else mainModule ??= module;
+
+  //? the module goes in the cache BEFORE running it, that is how circular requires stop
+  MiniModule.cache[filename] = module;
+
+  try {
+    const source = fs.readFileSync(filename, "utf-8");
+    if (path.extname(filename) === ".json") {
+      module.exports = JSON.parse(source);
+    } else {
+      const wrapped = WRAPPER[0] + source.replace(/^#!.*/, "") + WRAPPER[1];
+      const fn = vm.runInThisContext(wrapped, { filename });
+      fn.call(
+        module.exports,
+        module.exports,
+        makeRequire(module),
+        module,
+        filename,
+        module.path,
+      );
+    }
+  } catch (err) {
+    delete MiniModule.cache[filename]; //? a failed module is not cached, the next require tries again
+    throw err;
+  }
+
+  module.loaded = true;
+  return module.exports;
+}
+
+//~ miniRequire("path", fromDir) --> fromDir is the folder the path is relative to (default: cwd)
+//? the first module loaded this way becomes require.main (like "node file2.js")
+function miniRequire(request, fromDir = process.cwd()) {
+  return loadModule(request, null, fromDir);
+}
+
+module.exports = {
+  WRAPPER,
+  MiniModule,
+  miniRequire,
+  resolveFilename,
+  explainResolve,
+};
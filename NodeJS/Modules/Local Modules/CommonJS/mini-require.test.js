@@ -0,0 +1,143 @@
+//! mini-require tests --> node --test mini-require.test.js
+//? file2.js + file1.js of this folder are loaded with miniRequire, the cycle and exports examples are temp files
+//? MiniModule.cache is emptied before every test, so every test loads the files again
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  MiniModule,
+  miniRequire,
+  explainResolve,
+} = require("./mini-require.js");
+
+const FILE1 = path.join(__dirname, "file1.js");
+const FILE2 = path.join(__dirname, "file2.js");
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "mini-require-"));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  for (const key of Object.keys(MiniModule.cache)) delete MiniModule.cache[key];
+});
+
+function write(files) {
+  for (const [name, code] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), code);
+  }
+}
+
+//~ file1.js + file2.js
+test("file2.js runs and gets greet, user, printSomething of file1.js", (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  miniRequire("./file2.js", __dirname);
+  assert.deepEqual(
+    log.mock.calls.map((call) => call.arguments),
+    [["hello world"], ["something"], [{ name: "varun", age: "34", id: 123 }]],
+  );
+
+  const file2 = MiniModule.cache[FILE2];
+  assert.ok(file2.loaded);
+  assert.deepEqual(
+    file2.children.map((child) => child.id),
+    [FILE1],
+  );
+  assert.equal(MiniModule.cache[FILE1].parent, file2);
+});
+
+//~ cache
+test("a second require gives the cached exports without running the file again", () => {
+  const first = miniRequire("./file1", __dirname);
+  const second = miniRequire("./file1.js", __dirname);
+  assert.equal(first, second);
+  assert.deepEqual(Object.keys(first), ["greet", "user", "printSomething"]);
+
+  //? the cache of miniRequire is its own: node's require() runs file1.js once more
+  assert.notEqual(require("./file1.js"), first);
+
+  delete MiniModule.cache[FILE1];
+  assert.notEqual(miniRequire("./file1", __dirname), first);
+});
+
+test("a file which throws is not cached", () => {
+  write({ "throws.js": 'throw new Error("boom");' });
+  assert.throws(() => miniRequire("./throws.js", dir), /boom/);
+  assert.equal(MiniModule.cache[path.join(dir, "throws.js")], undefined);
+});
+
+//~ cycles
+test("a circular require gets the half filled exports of the first file", () => {
+  write({
+    "a.js": `exports.done = false;
+const b = require("./b.js");
+exports.bSawADone = b.aDone;
+exports.done = true;`,
+    "b.js": `const a = require("./a.js");
+exports.aDone = a.done;
+exports.done = true;`,
+  });
+  const a = miniRequire("./a.js", dir);
+  assert.deepEqual(a, { done: true, bSawADone: false });
+  assert.deepEqual(MiniModule.cache[path.join(dir, "b.js")].exports, {
+    aDone: false,
+    done: true,
+  });
+});
+
+//~ exports vs module.exports
+test("exports.x adds to module.exports, exports = {...} is lost", () => {
+  write({
+    "add.js": "exports.a = 1;\nexports.b = 2;",
+    "replace-exports.js": "exports = { a: 1 };",
+    "replace-module.js": "module.exports = { c: 3 };\nexports.d = 4;",
+    "this.js": "this.e = 5;", //? this of the wrapper is module.exports
+  });
+  assert.deepEqual(miniRequire("./add.js", dir), { a: 1, b: 2 });
+  assert.deepEqual(miniRequire("./replace-exports.js", dir), {});
+  assert.deepEqual(miniRequire("./replace-module.js", dir), { c: 3 });
+  assert.deepEqual(miniRequire("./this.js", dir), { e: 5 });
+});
+
+test("__filename, __dirname and JSON files", () => {
+  write({
+    "where.js": "module.exports = { __filename, __dirname };",
+    "data.json": '{ "name": "varun" }',
+  });
+  assert.deepEqual(miniRequire("./where", dir), {
+    __filename: path.join(dir, "where.js"),
+    __dirname: dir,
+  });
+  assert.deepEqual(miniRequire("./data", dir), { name: "varun" });
+});
+
+//~ resolution
+test("explainResolve lists the paths tried until one exists: exact, then .js", () => {
+  const { filename, tried } = explainResolve("./file1", __dirname);
+  assert.equal(filename, FILE1);
+  assert.deepEqual(tried, [path.join(__dirname, "file1"), FILE1]);
+});
+
+test("a folder resolves to package.json main, then index.js", () => {
+  fs.mkdirSync(path.join(dir, "pkg"));
+  fs.mkdirSync(path.join(dir, "plain"));
+  write({
+    "pkg/package.json": '{ "main": "lib.js" }',
+    "pkg/lib.js": 'module.exports = "lib";',
+    "plain/index.js": 'module.exports = "index";',
+  });
+  assert.equal(miniRequire("./pkg", dir), "lib");
+  assert.equal(miniRequire("./plain", dir), "index");
+});
+
+test("a missing module is MODULE_NOT_FOUND, built-in modules come from node", () => {
+  assert.throws(() => miniRequire("./missing", dir), {
+    code: "MODULE_NOT_FOUND",
+  });
+  assert.equal(miniRequire("node:path", dir), path);
+  assert.equal(miniRequire("path", dir), path);
+});
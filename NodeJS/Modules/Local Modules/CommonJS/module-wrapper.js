@@ -8,6 +8,8 @@ console.log("hi");
 
 //? parameters(passed during declaration) and arguments(invoking)
 
+//? a working version of this wrapper (read the file >> wrap it >> run it with vm) --> mini-require.js
+
 // console.log(module);
 // console.log(require);
 
@@ -11,6 +11,7 @@ greet();
 //? default exports are imported normally
 
 //~ in ESM, while importing using extension is required
+//? how this import is resolved and linked --> node --experimental-vm-modules, then loadGraph("./f1.js") from "./mini-import.js"
 
 console.log(import.meta.filename);
 console.log(import.meta.dirname);
@@ -0,0 +1,236 @@
+//! mini import --> loads an ESM graph from disk with vm.SourceTextModule (resolve >> link >> evaluate)
+//? vm.SourceTextModule is experimental, run with: node --experimental-vm-modules file.js
+
+//~ usage
+//? import { loadGraph } from "./mini-import.js";
+//? let graph = await loadGraph("./f1.js", import.meta.dirname);
+//? console.log(graph.report());      --> every module with its imports, and the cycles
+//? let f1 = await graph.evaluate();  --> runs the graph, returns the namespace (exports) of f1.js
+
+//! ESM rules that are checked (same as node)
+//? 1) relative imports need the extension: "./f2" X   "./f2.js" ✓
+//? 2) a folder cannot be imported: "./utils" X   "./utils/index.js" ✓
+//? 3) import.meta.url / filename / dirname are set for every module
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { builtinModules } from "node:module";
+import { pathToFileURL } from "node:url";
+
+export class EsmResolveError extends Error {
+  constructor(code, message, specifier, referrer) {
+    super(message);
+    this.name = "EsmResolveError";
+    this.code = code;
+    this.specifier = specifier;
+    this.referrer = referrer;
+  }
+}
+
+function isBuiltin(specifier) {
+  return specifier.startsWith("node:") || builtinModules.includes(specifier);
+}
+
+function stat(file) {
+  return fs.statSync(file, { throwIfNoEntry: false });
+}
+
+//! ====================== resolution ======================
+//? referrer -> file which has the import statement
+export function resolve(specifier, referrer) {
+  if (isBuiltin(specifier))
+    return specifier.startsWith("node:") ? specifier : `node:${specifier}`;
+
+  if (
+    !specifier.startsWith("./") &&
+    !specifier.startsWith("../") &&
+    !specifier.startsWith("/")
+  ) {
+    throw new EsmResolveError(
+      "ERR_MODULE_NOT_FOUND",
+      `Cannot find package '${specifier}' imported from ${referrer} (mini-import only loads relative paths)`,
+      specifier,
+      referrer,
+    );
+  }
+
+  const file = path.resolve(path.dirname(referrer), specifier);
+  const info = stat(file);
+
+  if (info && info.isFile()) return file;
+
+  if (info && info.isDirectory()) {
+    throw new EsmResolveError(
+      "ERR_UNSUPPORTED_DIR_IMPORT",
+      `Directory import '${specifier}' is not supported resolving ES modules imported from ${referrer}`,
+      specifier,
+      referrer,
+    );
+  }
+
+  //? CommonJS would have found these, ESM does not try them
+  const hint = [".js", ".mjs", ".json"].find((ext) =>
+    stat(file + ext)?.isFile(),
+  );
+  throw new EsmResolveError(
+    "ERR_MODULE_NOT_FOUND",
+    `Cannot find module '${file}' imported from ${referrer}` +
+      (hint
+        ? `. Did you mean to import "${specifier}${hint}"? (extensions are required in ESM)`
+        : ""),
+    specifier,
+    referrer,
+  );
+}
+
+//! ====================== graph ======================
+function requireVmModules() {
+  if (typeof vm.SourceTextModule !== "function") {
+    throw new Error(
+      "vm.SourceTextModule is not available, run node with --experimental-vm-modules",
+    );
+  }
+}
+
+//? built-in modules are wrapped in a SyntheticModule (default export + every property as named export)
+async function builtinModule(specifier) {
+  const mod = await import(specifier);
+  const names = Object.keys(mod);
+  return new vm.SyntheticModule(
+    names,
+    function () {
+      for (const name of names) this.setExport(name, mod[name]);
+    },
+    { identifier: specifier },
+  );
+}
+
+function sourceModule(file) {
+  const source = fs.readFileSync(file, "utf-8");
+  if (path.extname(file) === ".json") {
+    //? import data from "./data.json" with { type: "json" } --> only a default export
+    const data = JSON.parse(source);
+    return new vm.SyntheticModule(
+      ["default"],
+      function () {
+        this.setExport("default", data);
+      },
+      { identifier: file },
+    );
+  }
+  return new vm.SourceTextModule(source, {
+    identifier: file,
+    initializeImportMeta(meta) {
+      meta.url = pathToFileURL(file).href;
+      meta.filename = file;
+      meta.dirname = path.dirname(file);
+    },
+  });
+}
+
+//~ finds every cycle (a --> b --> a) in { file: [imported files] }
+function findCycles(edges) {
+  const cycles = [];
+  const state = new Map(); //? 1 -> on the current path, 2 -> done
+  const stack = [];
+
+  function visit(node) {
+    state.set(node, 1);
+    stack.push(node);
+    for (const dep of edges[node] || []) {
+      if (state.get(dep) === 1)
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      else if (!state.has(dep)) visit(dep);
+    }
+    stack.pop();
+    state.set(node, 2);
+  }
+
+  for (const node of Object.keys(edges)) if (!state.has(node)) visit(node);
+  return cycles;
+}
+
+//~ loadGraph("./f1.js", fromDir) --> reads and links the whole graph, nothing is executed yet
+export async function loadGraph(entry, fromDir = process.cwd()) {
+  requireVmModules();
+
+  const entryFile = path.resolve(fromDir, entry);
+  if (!stat(entryFile)?.isFile()) {
+    throw new EsmResolveError(
+      "ERR_MODULE_NOT_FOUND",
+      `Cannot find module '${entryFile}'`,
+      entry,
+      null,
+    );
+  }
+
+  const modules = new Map(); //? resolved path --> vm module
+  const edges = {}; //? resolved path --> [resolved paths it imports]
+  const queue = [entryFile];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (modules.has(file)) continue;
+
+    const mod = isBuiltin(file)
+      ? await builtinModule(file)
+      : sourceModule(file);
+    modules.set(file, mod);
+    edges[file] = [];
+
+    for (const specifier of mod.dependencySpecifiers || []) {
+      const dep = resolve(specifier, file);
+      edges[file].push(dep);
+      queue.push(dep);
+    }
+  }
+
+  const entryModule = modules.get(entryFile);
+  await entryModule.link((specifier, referencingModule) =>
+    modules.get(resolve(specifier, referencingModule.identifier)),
+  );
+
+  return {
+    entry: entryFile,
+    modules,
+    edges,
+    cycles: findCycles(edges),
+
+    async evaluate() {
+      await entryModule.evaluate();
+      return entryModule.namespace;
+    },
+
+    //? text version of the graph, paths are relative to fromDir
+    report() {
+      const rel = (file) =>
+        isBuiltin(file) ? file : path.relative(fromDir, file) || file;
+      const lines = ["modules:"];
+      for (const [file, deps] of Object.entries(edges)) {
+        if (isBuiltin(file)) {
+          lines.push(`  ${file} (built-in)`);
+          continue;
+        }
+        //? getOwnPropertyNames reads only the names, the values do not exist before evaluate()
+        const exported = Object.getOwnPropertyNames(
+          modules.get(file).namespace,
+        );
+        lines.push(
+          `  ${rel(file)} (exports: ${exported.join(", ") || "none"})`,
+        );
+        for (const dep of deps) lines.push(`    --> ${rel(dep)}`);
+      }
+      lines.push(this.cycles.length === 0 ? "cycles: none" : "cycles:");
+      for (const cycle of this.cycles)
+        lines.push(`  ${cycle.map(rel).join(" --> ")}`);
+      return lines.join("\n");
+    },
+  };
+}
+
+//~ miniImport("./f1.js", fromDir) --> loadGraph() + evaluate()
+export async function miniImport(entry, fromDir = process.cwd()) {
+  const graph = await loadGraph(entry, fromDir);
+  return graph.evaluate();
+}
@@ -0,0 +1,779 @@
+//! CommonJS <--> ESM converter for the local module examples (CommonJS/file1.js + file2.js <--> ESM/f1.js + f2.js)
+//? only top level statements are converted, the rest of the code is kept as it is
+//? anything which cannot be converted safely is left untouched and flagged with a "//TODO: (cjs-esm)" comment
+
+//~ usage
+//? node cjs-esm-convert.js --to esm ./CommonJS/file1.js            --> prints the ESM version
+//? node cjs-esm-convert.js --to cjs ./ESM/f2.js ./CommonJS/f2.js   --> writes the CommonJS version
+//? const { toESM, toCJS } = require("./cjs-esm-convert.js");
+//? toESM(source, { filename }) --> { code, warnings: [{ line, message }] }
+
+//! CommonJS --> ESM
+//? const x = require("./a")          --> import x from "./a.js"  (import * as x, when a.js exports an object)
+//? const { a, b: c } = require("./a") --> import { a, b as c } from "./a.js"
+//? module.exports = { a, b }          --> export { a, b }
+//? module.exports = a                 --> export default a
+//? exports.a = value                  --> export const a = value
+//? __dirname / __filename             --> import.meta.dirname / import.meta.filename
+//? flagged --> require() with a variable or inside a function, exports = ..., require.main, require.resolve
+
+//! ESM --> CommonJS
+//? import x from "./a.js"          --> const x = require("./a.js")
+//? import { a, b as c } from "./a.js" --> const { a, b: c } = require("./a.js")
+//? export let / function / class   --> declared as usual + added to module.exports at the end
+//? export default x (with named exports) --> module.exports = { ..., default: x }
+//? flagged --> import(), top level await, export ... from, other import.meta properties
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { builtinModules } = require("node:module");
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+//! ====================== scanner ======================
+//~ regex literal or division: "/" starts a regex when the token before it cannot end a value
+//? a / b, f() / 2, arr[0] / 2 --> division; s.replace(/'/g, ""), x = /a/, return /a/ --> regex
+const REGEX_AFTER_KEYWORD =
+  /\b(return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/;
+
+function regexAllowed(masked) {
+  let end = masked.length;
+  while (end > 0 && /\s/.test(masked[end - 1])) end--;
+  const before = masked.slice(Math.max(0, end - 12), end); //? longest keyword + 2 characters
+  if (before === "") return true;
+  if (REGEX_AFTER_KEYWORD.test(before)) return true;
+  return !/[\w$)\]}"'`]$/.test(before);
+}
+
+//? index after the closing "/" and the flags, -1 when the line ends before it (then it was a division)
+function regexEnd(source, i) {
+  let inClass = false;
+  for (let j = i + 1; j < source.length; j++) {
+    const ch = source[j];
+    if (ch === "\n") return -1;
+    if (ch === "\\") j++;
+    else if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      j++;
+      while (j < source.length && /[a-z]/i.test(source[j])) j++;
+      return j;
+    }
+  }
+  return -1;
+}
+
+//~ comments and the contents of strings and regex literals are replaced by spaces (quotes, "/" and new lines are kept)
+//? so "require" inside a comment or a string is never converted, and the positions stay the same
+function mask(source) {
+  let out = "";
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+    if (ch === "/" && next === "/") {
+      while (i < source.length && source[i] !== "\n") {
+        out += " ";
+        i++;
+      }
+    } else if (ch === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      for (; i < stop; i++) out += source[i] === "\n" ? "\n" : " ";
+    } else if (ch === "/" && regexAllowed(out) && regexEnd(source, i) !== -1) {
+      const end = regexEnd(source, i);
+      out += `/${" ".repeat(end - i - 2)}/`;
+      i = end;
+    } else if (ch === '"' || ch === "'" || ch === "`") {
+      out += ch;
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === "\\") {
+          out += " ";
+          i++;
+        }
+        if (ch !== "`" && source[i] === "\n") break; //? unterminated string
+        out += source[i] === "\n" ? "\n" : " ";
+        i++;
+      }
+      if (i < source.length) out += source[i];
+      i++;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+const CONTINUES_LINE = /[=+\-*/%&|^!?:,.(\[{<>]$/;
+const CONTINUES_NEXT = /^[.?:+\-*/%&|^,=)\]}<>]/;
+
+//~ top level statements --> [{ start, end }] (end is exclusive, surrounding blank space not included)
+//? a statement ends at ";" or at a new line, when nothing says the line continues
+function topLevelStatements(masked) {
+  const statements = [];
+  let depth = 0;
+  let start = -1;
+
+  const close = (end) => {
+    if (start !== -1) statements.push({ start, end });
+    start = -1;
+  };
+
+  for (let i = 0; i < masked.length; i++) {
+    const ch = masked[i];
+    if (start === -1) {
+      if (/\s/.test(ch)) continue;
+      start = i;
+    }
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+    else if (ch === ";" && depth === 0) close(i + 1);
+    else if (ch === "\n" && depth === 0) {
+      const before = masked.slice(start, i).trimEnd();
+      const after = masked.slice(i + 1).trimStart();
+      if (!CONTINUES_LINE.test(before) && !CONTINUES_NEXT.test(after)) {
+        close(start + before.length);
+      }
+    }
+  }
+  close(masked.trimEnd().length);
+  return statements.filter((s) => masked.slice(s.start, s.end).trim() !== "");
+}
+
+//~ position of the "(" ")" "[" "]" "{" "}" depth for every character (0 -> top level)
+function depths(masked) {
+  const result = new Array(masked.length);
+  let depth = 0;
+  for (let i = 0; i < masked.length; i++) {
+    if (")]}".includes(masked[i])) depth = Math.max(0, depth - 1);
+    result[i] = depth;
+    if ("([{".includes(masked[i])) depth++;
+  }
+  return result;
+}
+
+//? splits "a, b: c, d" on commas which are not inside brackets
+function splitTopLevel(text, separator = ",") {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if ("([{".includes(ch)) depth++;
+    if (")]}".includes(ch)) depth--;
+    if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else current += ch;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function lineOf(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+//~ collects the edits and applies them from the end, so earlier positions do not move
+function createEditor(source) {
+  const edits = [];
+  const warnings = [];
+  const flagged = new Set();
+
+  return {
+    replace(start, end, text) {
+      edits.push({ start, end, text });
+    },
+    //? adds a //TODO line above the line of "index"
+    flag(index, message) {
+      const lineStart = source.lastIndexOf("\n", index - 1) + 1;
+      const indent = /^[ \t]*/.exec(source.slice(lineStart))[0];
+      const key = `${lineStart}:${message}`;
+      if (flagged.has(key)) return;
+      flagged.add(key);
+      warnings.push({ line: lineOf(source, index), message });
+      edits.push({
+        start: lineStart,
+        end: lineStart,
+        text: `${indent}//TODO: (cjs-esm) ${message}\n`,
+      });
+    },
+    apply(suffix = "") {
+      edits.sort((a, b) => b.start - a.start || b.end - a.end);
+      let code = source;
+      for (const { start, end, text } of edits) {
+        code = code.slice(0, start) + text + code.slice(end);
+      }
+      warnings.sort((a, b) => a.line - b.line);
+      return { code: code.trimEnd() + suffix + "\n", warnings };
+    },
+  };
+}
+
+//! ====================== helpers for paths ======================
+function isBuiltin(specifier) {
+  return specifier.startsWith("node:") || builtinModules.includes(specifier);
+}
+
+function isRelative(specifier) {
+  return specifier.startsWith("./") || specifier.startsWith("../");
+}
+
+function fileExists(file) {
+  return fs.statSync(file, { throwIfNoEntry: false })?.isFile() ?? false;
+}
+
+//~ the file a relative specifier points to, if it can be found (same order as require())
+function locate(specifier, filename) {
+  if (!filename || !isRelative(specifier)) return null;
+  const base = path.resolve(path.dirname(filename), specifier);
+  const candidates = [
+    base,
+    `${base}.js`,
+    `${base}.json`,
+    path.join(base, "index.js"),
+  ];
+  return candidates.find(fileExists) || null;
+}
+
+function readIfExists(file) {
+  return file ? fs.readFileSync(file, "utf-8") : null;
+}
+
+//~ "./file1" --> "./file1.js" (ESM needs the full path)
+function withExtension(specifier, filename, editor, index) {
+  if (!isRelative(specifier)) return specifier;
+  if ([".js", ".mjs", ".cjs", ".json"].includes(path.extname(specifier))) {
+    return specifier;
+  }
+  const found = locate(specifier, filename);
+  if (found) {
+    const relative = path
+      .relative(path.dirname(filename), found)
+      .split(path.sep)
+      .join("/");
+    return relative.startsWith(".") ? relative : `./${relative}`;
+  }
+  if (filename)
+    editor.flag(index, `"${specifier}" was not found, ".js" was added`);
+  return `${specifier}.js`;
+}
+
+//! ====================== CommonJS --> ESM ======================
+const REQUIRE_CALL = String.raw`require\s*\(\s*(?<quote>["'])[^"'\n]*\k<quote>\s*\)`;
+
+//~ does this CommonJS source assign an object literal to module.exports?
+function exportsObject(source) {
+  const masked = mask(source);
+  return topLevelStatements(masked).some((s) =>
+    /^module\.exports\s*=\s*\{[\s\S]*\}\s*;?$/.test(
+      masked.slice(s.start, s.end),
+    ),
+  );
+}
+
+function specifierAt(source, masked, from) {
+  const quote = masked.slice(from).search(/["']/) + from;
+  const end = masked.indexOf(masked[quote], quote + 1);
+  return source.slice(quote + 1, end);
+}
+
+function toESM(source, { filename } = {}) {
+  const masked = mask(source);
+  const editor = createEditor(source);
+  const handled = new Set(); //? positions of require/module.exports which are converted
+
+  for (const { start, end } of topLevelStatements(masked)) {
+    const text = masked.slice(start, end);
+    let match;
+
+    //~ const x = require("x")  /  const { a, b: c } = require("x")  /  require("x")
+    if (
+      (match = new RegExp(
+        String.raw`^(?:(?:const|let|var)\s+([\s\S]+?)\s*=\s*)?${REQUIRE_CALL}\s*;?$`,
+        "d",
+      ).exec(text))
+    ) {
+      const requireAt = start + text.search(/\brequire\b/);
+      handled.add(requireAt);
+      const rawSpecifier = specifierAt(source, masked, requireAt);
+      const specifier = withExtension(rawSpecifier, filename, editor, start);
+      const attributes = specifier.endsWith(".json")
+        ? ` with { type: "json" }`
+        : "";
+      if (attributes)
+        editor.flag(start, "JSON import needs import attributes (node 20.10+)");
+      const binding =
+        match[1] &&
+        source.slice(start + match.indices[1][0], start + match.indices[1][1]);
+
+      if (!binding) {
+        editor.replace(start, end, `import "${specifier}";`);
+      } else if (IDENTIFIER.test(binding)) {
+        const target = readIfExists(locate(rawSpecifier, filename));
+        const namespace = target !== null && exportsObject(target);
+        const clause = namespace ? `* as ${binding}` : binding;
+        editor.replace(
+          start,
+          end,
+          `import ${clause} from "${specifier}"${attributes};`,
+        );
+      } else if (/^\{[\s\S]*\}$/.test(binding)) {
+        const names = [];
+        let ok = true;
+        for (const part of splitTopLevel(binding.slice(1, -1))) {
+          const [key, local = key] = part.split(":").map((p) => p.trim());
+          if (!IDENTIFIER.test(key) || !IDENTIFIER.test(local)) ok = false;
+          names.push(key === local ? key : `${key} as ${local}`);
+        }
+        if (ok) {
+          editor.replace(
+            start,
+            end,
+            `import { ${names.join(", ")} } from "${specifier}"${attributes};`,
+          );
+        } else {
+          editor.flag(
+            start,
+            "nested destructuring or default values cannot be an import",
+          );
+        }
+      } else {
+        editor.flag(start, "this require() cannot be converted to an import");
+      }
+      continue;
+    }
+
+    //~ module.exports = ...
+    if ((match = /^module\.exports\s*=\s*([\s\S]*?)\s*;?$/d.exec(text))) {
+      handled.add(start);
+      const value = source.slice(
+        start + match.indices[1][0],
+        start + match.indices[1][1],
+      );
+
+      if (/\brequire\b/.test(match[1])) {
+        editor.flag(
+          start,
+          "module.exports = require(...) (re-export) is not converted",
+        );
+      } else if (/^\{[\s\S]*\}$/.test(match[1])) {
+        const names = [];
+        let ok = true;
+        for (const part of splitTopLevel(value.slice(1, -1))) {
+          const [key, local = key] = part.split(":").map((p) => p.trim());
+          if (!IDENTIFIER.test(key) || !IDENTIFIER.test(local)) ok = false;
+          names.push(key === local ? key : `${local} as ${key}`);
+        }
+        if (ok)
+          editor.replace(start, end, `export {\n  ${names.join(",\n  ")},\n};`);
+        else
+          editor.flag(
+            start,
+            "only { name } or { name: variable } can become named exports",
+          );
+      } else {
+        editor.replace(start, end, `export default ${value};`);
+      }
+      continue;
+    }
+
+    //~ exports.a = value  /  module.exports.a = value
+    if (
+      (match =
+        /^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=\s*([\s\S]*?)\s*;?$/d.exec(
+          text,
+        ))
+    ) {
+      handled.add(start);
+      const [, name] = match;
+      const value = source.slice(
+        start + match.indices[2][0],
+        start + match.indices[2][1],
+      );
+      editor.replace(
+        start,
+        end,
+        value === name
+          ? `export { ${name} };`
+          : `export const ${name} = ${value};`,
+      );
+      continue;
+    }
+
+    if (/^exports\s*=[^=]/.test(text)) {
+      handled.add(start);
+      editor.flag(
+        start,
+        "exports = ... does not export anything in CommonJS, use module.exports",
+      );
+    }
+  }
+
+  //~ everything left: require() with a variable / inside functions, module.exports inside functions, __dirname
+  for (const match of masked.matchAll(
+    /(?<![.\w$])(require|module\.exports|exports|__dirname|__filename)\b/g,
+  )) {
+    const index = match.index;
+    if (handled.has(index)) continue;
+    const word = match[1];
+    if (isParameter(masked, index) || isDeclaration(masked, index, word)) {
+      if (word.startsWith("__"))
+        editor.flag(index, `${word} is declared here, it is not converted`);
+      continue;
+    }
+    if (word === "__dirname")
+      editor.replace(index, index + word.length, "import.meta.dirname");
+    else if (word === "__filename")
+      editor.replace(index, index + word.length, "import.meta.filename");
+    else if (word === "require") {
+      if (!isHandledStatement(masked, index, handled)) {
+        editor.flag(
+          index,
+          "dynamic/nested require() (use import() or createRequire)",
+        );
+      }
+    } else if (!isHandledStatement(masked, index, handled)) {
+      editor.flag(index, `${word} used outside a top level assignment`);
+    }
+  }
+
+  return editor.apply();
+}
+
+function matchingClose(masked, open) {
+  let depth = 0;
+  for (let i = open; i < masked.length; i++) {
+    if ("([{".includes(masked[i])) depth++;
+    else if (")]}".includes(masked[i]) && --depth === 0) return i;
+  }
+  return masked.length;
+}
+
+//~ is the word at "index" a parameter --> (exports, require) => {}  /  function (__dirname) {}
+function isParameter(masked, index) {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    if (")]}".includes(masked[i])) depth++;
+    else if ("([{".includes(masked[i]) && depth-- === 0) {
+      if (masked[i] !== "(") return false;
+      if (/\b(if|while|for|switch|with)\s*$/.test(masked.slice(0, i)))
+        return false;
+      return /^\s*(=>|\{)/.test(masked.slice(matchingClose(masked, i) + 1));
+    }
+  }
+  return false;
+}
+
+//~ is the word at "index" declared here --> const require = ...  /  require(request) { (a method)
+function isDeclaration(masked, index, word) {
+  if (/\b(const|let|var|function|class)\s+$/.test(masked.slice(0, index)))
+    return true;
+  const after = masked.slice(index + word.length);
+  if (!/^\s*\(/.test(after)) return false;
+  const open = index + word.length + after.indexOf("(");
+  return /^\s*\{/.test(masked.slice(matchingClose(masked, open) + 1));
+}
+
+//? true when the word at "index" belongs to a statement which was already converted
+function isHandledStatement(masked, index, handled) {
+  for (const { start, end } of topLevelStatements(masked)) {
+    if (index >= start && index < end) {
+      for (const position of handled)
+        if (position >= start && position < end) return true;
+      return false;
+    }
+  }
+  return false;
+}
+
+//! ====================== ESM --> CommonJS ======================
+//~ { hasDefault, named } of an ESM source
+function exportShape(source) {
+  const masked = mask(source);
+  const shape = { hasDefault: false, named: false };
+  for (const { start, end } of topLevelStatements(masked)) {
+    const text = masked.slice(start, end);
+    if (
+      /^export\s+default\b/.test(text) ||
+      /^export\s*\{[^}]*\bas\s+default\b/.test(text)
+    ) {
+      shape.hasDefault = true;
+    } else if (/^export\b/.test(text)) shape.named = true;
+  }
+  return shape;
+}
+
+//~ names declared by "let a = 1, b = 2" (null when it has destructuring)
+function declaredNames(declarations) {
+  const names = [];
+  for (const part of splitTopLevel(declarations)) {
+    const name = /^([A-Za-z_$][\w$]*)/.exec(part);
+    if (!name) return null;
+    names.push(name[1]);
+  }
+  return names;
+}
+
+function toCJS(source, { filename } = {}) {
+  const masked = mask(source);
+  const editor = createEditor(source);
+  const depthOf = depths(masked);
+  const named = []; //? [exportedName, localName]
+  let defaultExport = null;
+
+  for (const { start, end } of topLevelStatements(masked)) {
+    const text = masked.slice(start, end);
+    const at = (regexMatch, group) =>
+      source.slice(
+        start + regexMatch.indices[group][0],
+        start + regexMatch.indices[group][1],
+      );
+    let match;
+
+    //~ import "x"
+    if ((match = /^import\s*(["'])[^"'\n]*\1\s*;?$/.exec(text))) {
+      editor.replace(
+        start,
+        end,
+        `require("${specifierAt(source, masked, start)}");`,
+      );
+      continue;
+    }
+
+    //~ import clause from "x"
+    if (
+      (match =
+        /^import\s+([\s\S]+?)\s+from\s*(["'])[^"'\n]*\2\s*(?:(?:with|assert)\s*\{[^}]*\})?\s*;?$/d.exec(
+          text,
+        ))
+    ) {
+      const clause = at(match, 1).trim();
+      const specifier = specifierAt(
+        source,
+        masked,
+        start + text.lastIndexOf("from"),
+      );
+      const required = `require("${specifier}")`;
+      const target = readIfExists(locate(specifier, filename));
+      const shape = target !== null ? exportShape(target) : null;
+      //? default import of a module which also has named exports --> module.exports.default
+      const defaultIsProperty = shape ? shape.hasDefault && shape.named : false;
+
+      const clauseMatch =
+        /^(?:([A-Za-z_$][\w$]*)\s*,?\s*)?(?:\*\s*as\s+([A-Za-z_$][\w$]*)|\{([\s\S]*)\})?$/.exec(
+          clause,
+        );
+      if (!clauseMatch) {
+        editor.flag(start, "this import clause cannot be converted");
+        continue;
+      }
+      const [, def, ns, braces] = clauseMatch;
+      const lines = [];
+
+      const parts = braces === undefined ? [] : splitTopLevel(braces);
+      const pairs = parts.map((part) => {
+        const [imported, local = imported] = part
+          .split(/\s+as\s+/)
+          .map((p) => p.trim());
+        return imported === local ? imported : `${imported}: ${local}`;
+      });
+
+      if (ns) {
+        lines.push(`const ${ns} = ${required};`);
+        if (def)
+          lines.push(
+            `const ${def} = ${ns}${defaultIsProperty ? ".default" : ""};`,
+          );
+      } else if (def && pairs.length > 0) {
+        if (defaultIsProperty) {
+          lines.push(
+            `const { default: ${def}, ${pairs.join(", ")} } = ${required};`,
+          );
+        } else {
+          lines.push(`const ${def} = ${required};`);
+          lines.push(`const { ${pairs.join(", ")} } = ${def};`);
+        }
+      } else if (def) {
+        lines.push(
+          `const ${def} = ${required}${defaultIsProperty ? ".default" : ""};`,
+        );
+      } else {
+        lines.push(`const { ${pairs.join(", ")} } = ${required};`);
+      }
+      editor.replace(start, end, lines.join("\n"));
+      continue;
+    }
+
+    //~ export { a, b as c }  (export ... from is flagged)
+    if (/^export\s*(\*|\{[^}]*\})\s*from\b/.test(text)) {
+      editor.flag(start, "re-exports (export ... from) are not converted");
+      continue;
+    }
+    if ((match = /^export\s*\{([\s\S]*)\}\s*;?$/d.exec(text))) {
+      for (const part of splitTopLevel(at(match, 1))) {
+        const [local, exported = local] = part
+          .split(/\s+as\s+/)
+          .map((p) => p.trim());
+        if (exported === "default") defaultExport = local;
+        else named.push([exported, local]);
+      }
+      editor.replace(start, end + (source[end] === "\n" ? 1 : 0), "");
+      continue;
+    }
+
+    //~ export default ...
+    if ((match = /^export\s+default\s+/.exec(text))) {
+      const rest = text.slice(match[0].length);
+      const declaration =
+        /^(?:async\s+)?(?:function\s*\*?|class)\s*([A-Za-z_$][\w$]*)?/.exec(
+          rest,
+        );
+      if (declaration && declaration[1]) {
+        defaultExport = declaration[1];
+        editor.replace(start, start + match[0].length, "");
+      } else if (IDENTIFIER.test(rest.replace(/;$/, "").trim())) {
+        defaultExport = rest.replace(/;$/, "").trim();
+        editor.replace(start, end + (source[end] === "\n" ? 1 : 0), "");
+      } else {
+        defaultExport = "_default";
+        editor.replace(start, start + match[0].length, "const _default = ");
+      }
+      continue;
+    }
+
+    //~ export let / const / var / function / class
+    if ((match = /^export\s+(const|let|var)\s+/.exec(text))) {
+      const names = declaredNames(
+        text.slice(match[0].length).replace(/;$/, ""),
+      );
+      if (!names) {
+        editor.flag(start, "exported destructuring is not converted");
+        continue;
+      }
+      for (const name of names) named.push([name, name]);
+      editor.replace(start, start + "export ".length, "");
+      continue;
+    }
+    if (
+      (match =
+        /^export\s+(?:async\s+)?(?:function\s*\*?|class)\s*([A-Za-z_$][\w$]*)/.exec(
+          text,
+        ))
+    ) {
+      named.push([match[1], match[1]]);
+      editor.replace(start, start + "export ".length, "");
+      continue;
+    }
+
+    //~ top level await does not exist in CommonJS
+    const awaitAt = text.search(/\bawait\b/);
+    if (awaitAt !== -1 && depthOf[start + awaitAt] === 0) {
+      editor.flag(start, "top level await does not work in CommonJS");
+    }
+  }
+
+  //~ import.meta and import()
+  for (const match of masked.matchAll(
+    /\bimport\s*(\.\s*meta\s*\.\s*([A-Za-z_$][\w$]*)|\()/g,
+  )) {
+    const index = match.index;
+    const end = index + match[0].length;
+    if (match[2] === "dirname") editor.replace(index, end, "__dirname");
+    else if (match[2] === "filename") editor.replace(index, end, "__filename");
+    else if (match[2] === "url") {
+      editor.replace(
+        index,
+        end,
+        `require("node:url").pathToFileURL(__filename).href`,
+      );
+    } else if (match[2])
+      editor.flag(index, `import.meta.${match[2]} has no CommonJS version`);
+    else
+      editor.flag(
+        index,
+        "dynamic import() is kept, check that the imported module still works",
+      );
+  }
+
+  //~ module.exports at the end
+  let suffix = "";
+  if (named.length > 0 || defaultExport) {
+    const entries = named.map(([exported, local]) =>
+      exported === local ? local : `${exported}: ${local}`,
+    );
+    if (named.length === 0) {
+      suffix = `\n\nmodule.exports = ${defaultExport};`;
+    } else {
+      if (defaultExport) {
+        entries.push(`default: ${defaultExport}`);
+        editor.flag(
+          0,
+          "default + named exports --> module.exports.default, importers need require(...).default",
+        );
+      }
+      suffix = `\n\nmodule.exports = {\n  ${entries.join(",\n  ")},\n};`;
+    }
+  }
+
+  return editor.apply(suffix);
+}
+
+//~ live import/export statements (outside comments and strings) --> ESM, import() alone is not one
+//? project-repl.js (which module loader) and example-runner.js (.mjs or .cjs script) use the same check
+function hasModuleSyntax(source) {
+  return /(^|[\n;])\s*(import\s*[\w$*{"']|export\s)/.test(mask(source));
+}
+
+//! ====================== CLI ======================
+function detect(source) {
+  const masked = mask(source);
+  return topLevelStatements(masked).some((s) =>
+    /^(import|export)\b/.test(masked.slice(s.start, s.end)),
+  )
+    ? "esm"
+    : "cjs";
+}
+
+function main(argv) {
+  const args = [...argv];
+  let to = null;
+  const toIndex = args.indexOf("--to");
+  if (toIndex !== -1) {
+    to = args[toIndex + 1];
+    args.splice(toIndex, 2);
+  }
+  const [input, output] = args;
+  if (!input || (to && to !== "esm" && to !== "cjs")) {
+    console.log(
+      "usage: node cjs-esm-convert.js [--to esm|cjs] input.js [output.js]",
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const filename = path.resolve(input);
+  const source = fs.readFileSync(filename, "utf-8");
+  const target = to || (detect(source) === "esm" ? "cjs" : "esm");
+  const { code, warnings } =
+    target === "esm"
+      ? toESM(source, { filename })
+      : toCJS(source, { filename });
+
+  if (output) fs.writeFileSync(output, code);
+  else process.stdout.write(code);
+
+  for (const { line, message } of warnings) {
+    console.error(`${input}:${line} ${message}`);
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = {
+  toESM,
+  toCJS,
+  mask,
+  hasModuleSyntax,
+};
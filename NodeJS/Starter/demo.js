@@ -1,6 +1,7 @@
 //! REPL --> (Read, Evaluate, Print and loop) it is a shell/interface through which we can type javascript commands
 //? to enter this shell open cmd and type "node" and press enter
 //? press "ctrl + c" or ".exit" to exit
+//? node project-repl.js --> same REPL with the local modules loaded + .load-module, .reload, .fs, .time (".help" lists them)
 
 console.log("hi");
 
@@ -12,3 +13,5 @@ greet();
 
 //! to execute any js file, type node filename.js (extension is not mandatory)
 //? the file path should be correctly opened in terminal while executing it
+//? node watch-run.js demo.js --> runs it again after every save (and shows what changed in the output)
+//? node example-runner.js --> runs every commented out example of index.js, fs.js, streams.js, file1.js and compares the output
@@ -0,0 +1,603 @@
+//! example runner --> runs every commented out example block and compares its output with the last run
+//? the examples of index.js, fs.js, streams.js, file1.js are "// " comments, only one of them is live at a time
+//? here every block runs alone (uncommented, in a temp folder) without changing the files
+
+//~ usage
+//? node example-runner.js                   --> runs the blocks of the 4 files, compares with example-snapshots.json
+//? node example-runner.js --update          --> saves the new results as the snapshots
+//? node example-runner.js --list            --> only prints the blocks that were found
+//? node example-runner.js ../Modules/Built\ In\ Modules/fs/streams.js --filter "transform"
+//? options: --timeout ms (default 8000), --network (run blocks using fetch/http too, skipped by default)
+
+//~ blocks
+//? "//! ====== title ======" and "//~ title" lines start a section, its "// code" lines are the block
+//? a note ("//?", "//!", "//&", "// ?") after code lines ends the block, the next code lines are a new block
+//? live code of the file is not run, only its imports, requires, functions and literal values are put before
+//? every block (the blocks use fs, fsP, greet ... of the file), commented imports and requires too
+//? block key --> "title #n" (n-th block of that section), so adding lines above a block does not change it
+//? fixtures --> a block which fails alone runs again after the earlier blocks of the same "//! ====== title ======"
+//?              section which ran ok and created or changed files (not the ones deleting files), in the same temp
+//?              folder ("open()" reads the demo.txt of "1) creating a file"), that run is kept when it is ok
+//? the temp folder starts with a copy of the folder of the source file, its sub folders too ("./fixtures/index.html")
+
+//~ expected failures
+//? a block which is NOT OK fails the run (exit code 1), also with --update, unless EXPECTED_FAILURES lists it
+//? with the reason: fragments using variables of another block or of live code, paths which are only examples
+//? a listed block which runs ok fails the run too --> remove it from the list
+
+//~ snapshot of a block
+//? status   -> ok / error (exit code != 0) / timeout (still running after --timeout) / skipped (network, SKIPPED_BLOCKS)
+//?             error and timeout are flagged in the output ("NOT OK"), see expected failures above
+//? main     -> console output until the end of the block code (synchronous part)
+//? async    -> console output after it (timers, callbacks, promises), in the order it was written
+//? error    -> first "XError: message" line of stderr
+//? asyncOrder -> "varies" when the runs of --update logged the same async lines in a different order
+//?               (fs.js writeFile + appendFile side by side), then the lines are compared sorted
+//? fixtures -> keys of the blocks which ran first (only when the block needs them)
+//? files    -> files created, changed or deleted in the temp folder: the content of small text files, only the size
+//?             of binary ones (encrypted output is new every run), { copyOf } for a copy of a file of the source
+//?             folder (fs.txt = fs.js, whose content changes with every edit of fs.js)
+//? times ("12.5ms") and the temp folder path are replaced, they change on every run
+//? so is the text of a file of the source folder ("<content of fs.js>"), it changes with every edit of the file
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { spawn } = require("node:child_process");
+const { pathToFileURL } = require("node:url");
+const {
+  mask,
+  hasModuleSyntax,
+} = require("../Modules/Local Modules/cjs-esm-convert.js");
+
+const ROOT = path.resolve(__dirname, "../..");
+const SNAPSHOT_FILE = path.join(__dirname, "example-snapshots.json");
+const DEFAULT_FILES = [
+  "Javascript/index.js",
+  "NodeJS/Modules/Built In Modules/fs/fs.js",
+  "NodeJS/Modules/Built In Modules/fs/streams.js",
+  "NodeJS/Modules/Local Modules/CommonJS/file1.js",
+].map((file) => path.join(ROOT, file));
+
+const MAIN_DONE = "\u0000example-runner:main-done\u0000";
+const MAX_FIXTURE_SIZE = 1024 * 1024; //? large-file.json (hundreds of MB) is not copied
+const SKIPPED_FOLDERS = new Set(["node_modules", ".git"]);
+const MAX_CONTENT = 300; //? characters of a created file kept in the snapshot
+const MIN_REPLACED = 100; //? shorter files of the source folder are kept in the output as they are
+const UPDATE_RUNS = 5; //? --update runs a block with 2+ async lines up to 5 times to see if their order varies
+
+//? file (relative to the repo) --> block key --> why it is not run
+//? a 10^10 loop takes 5s or a minute depending on the machine: it would be ok or a timeout, not the same every run
+const SKIPPED_BLOCKS = {
+  "Javascript/index.js": {
+    "top of the file #1": "the for loop counts to 10^10 on purpose (blocking)",
+    "top of the file #3": "the same 10^10 loop, inside a timer",
+  },
+};
+
+//? file (relative to the repo) --> block key --> why it fails
+const EXPECTED_FAILURES = {
+  "NodeJS/Modules/Built In Modules/fs/fs.js": {
+    "2) reading a file synchronously #2":
+      "continues #1 below a note: content is declared in #1",
+    "4) copying a file synchronously #1":
+      '"../../Starter" is not a folder next to Modules (it is NodeJS/Starter)',
+    "8) renaming a file/folder (we can move the file also) #1":
+      '"./new.java" and "../Local Modules" are example paths, neither exists',
+  },
+  "NodeJS/Modules/Built In Modules/fs/streams.js": {
+    "reading a file using streams #1":
+      "createReadStream is not imported (only fs is) and there is no ./index.html next to streams.js",
+    "reading a file using streams #2": "readStream is declared in #1",
+    "reading a large file using readFileSync, async #1":
+      "large-file.json is generated (node read-benchmark.js --generate ./large-file.json --size 100MB)",
+    "duplex streams #1":
+      "there is no ./index.html next to streams.js (the copy for the examples is ./fixtures/index.html)",
+    "pipe() --> this method connects source to destination (readable Stream to writeable stream) #1":
+      "readObject and writeObject are created by the live code below it, which is not run",
+  },
+};
+
+//! ====================== finding the blocks ======================
+const MARKER = /^\/\/(! =+|~)/;
+const NOTE = /^\/\/\s*[!?&~]/;
+const CODE = /^\/\/( |$)/;
+
+const titleOf = (line) =>
+  line
+    .replace(/^\/\/[!~]/, "")
+    .replace(/=+/g, "")
+    .trim();
+
+//? source --> [{ key, title, section, start, end, code }] (start/end are line numbers)
+//? section --> title of the last "//! ====== title ======" line (the "//~ title" lines are inside it)
+function findBlocks(source) {
+  const blocks = [];
+  const counts = new Map();
+  let title = "top of the file";
+  let section = title;
+  let current = null;
+
+  const close = () => {
+    if (!current) return;
+    while (current.lines.at(-1) === "") current.lines.pop();
+    if (current.lines.some((line) => line.trim() !== "")) {
+      const n = (counts.get(title) ?? 0) + 1;
+      counts.set(title, n);
+      blocks.push({
+        key: `${title} #${n}`,
+        title,
+        section,
+        start: current.start,
+        end: current.start + current.lines.length - 1,
+        code: current.lines.join("\n"),
+      });
+    }
+    current = null;
+  };
+
+  source.split("\n").forEach((raw, i) => {
+    const line = raw.trimEnd();
+    if (MARKER.test(line)) {
+      close();
+      title = titleOf(line) || title;
+      if (line.startsWith("//!") && titleOf(line)) section = title;
+    } else if (NOTE.test(line)) {
+      if (current?.lines.some((code) => code.trim() !== "")) close();
+    } else if (CODE.test(line)) {
+      current ??= { start: i + 1, lines: [] };
+      current.lines.push(line.replace(/^\/\/ ?/, ""));
+    } else if (line.trim() === "") {
+      current?.lines.push("");
+    } else close(); //? live code
+  });
+  close();
+  return blocks;
+}
+
+//! ====================== prelude (live declarations of the file) ======================
+//? imports, requires, function declarations and variables with a literal value ({ }, [ ], "", 1 ...)
+//? live calls (fsOP(), createReadStream(...)) are left out: they would run before every block
+const DECLARATION = [
+  /^import\s/,
+  /^(const|let|var)\s+[^=]+=\s*(.*\brequire\s*\(|await\s+import\s*\()/,
+  /^(async\s+)?function\s*\*?\s*[\w$]+\s*\(/,
+  /^(const|let|var)\s+[\w$]+\s*=\s*([{["'`\d-]|true\b|false\b|null\b)/,
+];
+
+//? commented imports/requires count too: "// import fs from "node:fs"" at the top of fs.js is the
+//? setup of every block below it, it is only commented out to keep the file quiet
+function findPrelude(source) {
+  const commented = source
+    .split("\n")
+    .map((line) => (CODE.test(line) ? line.replace(/^\/\/ ?/, "") : ""))
+    .join("\n");
+  const items = [
+    ...declarationsOf(source, DECLARATION),
+    ...declarationsOf(commented, DECLARATION.slice(0, 2)),
+  ];
+  //? the same name twice (const { series } = require(...) in 2 blocks) would be a SyntaxError
+  const seen = new Set();
+  return items.filter((item) => {
+    if (item.names.some((name) => seen.has(name))) return false;
+    item.names.forEach((name) => seen.add(name));
+    return true;
+  });
+}
+
+function declarationsOf(source, patterns) {
+  const raw = source.split("\n");
+  const masked = mask(source).split("\n");
+  const items = [];
+  for (let i = 0; i < raw.length; i++) {
+    if (!patterns.some((pattern) => pattern.test(masked[i]))) continue;
+    //? the declaration ends when every ( [ { of it is closed again
+    let depth = 0;
+    let end = i;
+    for (; end < raw.length; end++) {
+      for (const ch of masked[end]) {
+        if ("([{".includes(ch)) depth++;
+        else if (")]}".includes(ch)) depth--;
+      }
+      if (depth <= 0) break;
+    }
+    const code = raw.slice(i, end + 1).join("\n");
+    items.push({ code, names: declaredNames(masked[i]) });
+    i = end;
+  }
+  return items;
+}
+
+//? names a declaration line creates: import a, { b as c } from ... / const { d, e } = ... / function f()
+function declaredNames(line) {
+  const part =
+    line.match(/^import\s+(.*?)\s+from\s/)?.[1] ??
+    line.match(/^(?:const|let|var)\s+([^=]+)=/)?.[1] ??
+    line.match(/function\s*\*?\s*([\w$]+)/)?.[1] ??
+    "";
+  return part
+    .replace(/[\w$]+\s+as\s+/g, "")
+    .split(/[^\w$]+/)
+    .filter((name) => name && !["import", "from", "as"].includes(name));
+}
+
+//? a block that declares the same name itself (const fs = require("node:fs") inside it) gets no second one
+function declares(code, name) {
+  const masked = mask(code);
+  const escaped = name.replace(/\$/g, "\\$");
+  return [
+    new RegExp(`\\b(let|const|var|function|class)\\s+${escaped}\\b`),
+    new RegExp(`\\b(let|const|var)\\s*\\{[^}]*\\b${escaped}\\b`),
+    new RegExp(`\\bimport\\s+(${escaped}\\b|\\{[^}]*\\b${escaped}\\b)`),
+  ].some((pattern) => pattern.test(masked));
+}
+
+//? "./http-client.js" is relative to the source file, the block runs in a temp folder
+function absoluteSpecifiers(code, dir, esm) {
+  return code.replace(
+    /(\brequire\s*\(\s*|\bfrom\s*|\bimport\s*\(\s*|\bimport\s+)(["'])(\.\.?\/[^"']*)\2/g,
+    (match, before, quote, specifier) => {
+      const absolute = path.resolve(dir, specifier);
+      const target = esm ? pathToFileURL(absolute).href : absolute;
+      return `${before}${JSON.stringify(target)}`;
+    },
+  );
+}
+
+function buildScript(block, prelude, dir, esm) {
+  const lines = prelude
+    .filter((item) => !item.names.some((name) => declares(block.code, name)))
+    .map((item) => item.code);
+  const script = [
+    ...lines,
+    block.code,
+    `;process.stdout.write(${JSON.stringify(`${MAIN_DONE}\n`)});`,
+  ].join("\n");
+  return absoluteSpecifiers(script, dir, esm);
+}
+
+//! ====================== running a block ======================
+const hash = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+//? relative path --> sha256 (folders --> null), every file and folder below dir
+function listFiles(dir, base = dir, result = {}) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    const relative = path.relative(base, full).split(path.sep).join("/");
+    if (entry.isDirectory()) {
+      result[`${relative}/`] = null;
+      listFiles(full, base, result);
+    } else result[relative] = hash(fs.readFileSync(full));
+  }
+  return result;
+}
+
+//? copies --> relative path --> sha256 of the files copied from the source folder
+function describeFile(file, copies) {
+  const content = fs.readFileSync(file);
+  const digest = hash(content);
+  const copyOf = Object.keys(copies).find((name) => copies[name] === digest);
+  if (copyOf) return { copyOf };
+  const text = content.toString("utf-8");
+  if (!Buffer.from(text, "utf-8").equals(content)) {
+    return { size: content.length, binary: true };
+  }
+  return {
+    size: content.length,
+    content:
+      text.length > MAX_CONTENT ? `${text.slice(0, MAX_CONTENT)}...` : text,
+  };
+}
+
+//? text of the copied files --> "<content of name>", longest first (a short file can be a part of a long one)
+function contentReplacements(cwd, copies) {
+  const replacements = [];
+  for (const name of Object.keys(copies)) {
+    if (copies[name] === null) continue;
+    const content = fs.readFileSync(path.resolve(cwd, name));
+    const text = content.toString("utf-8");
+    if (text.length >= MIN_REPLACED && Buffer.from(text).equals(content)) {
+      replacements.push([text, `<content of ${name}>`]);
+    }
+  }
+  return replacements.sort((a, b) => b[0].length - a[0].length);
+}
+
+function normalize(text, replacements) {
+  let result = text;
+  for (const [from, to] of replacements) result = result.split(from).join(to);
+  return result.replace(/\b\d+(\.\d+)?(ms|s)\b/g, "<time>");
+}
+
+function runScript(script, cwd, timeout) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script], {
+      cwd,
+      env: { ...process.env, NODE_NO_WARNINGS: "1" },
+    });
+    let out = "";
+    let err = "";
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeout);
+    child.stdout.on("data", (chunk) => (out += chunk));
+    child.stderr.on("data", (chunk) => (err += chunk));
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ stdout: out, stderr: err, code, timedOut });
+    });
+  });
+}
+
+//? one block --> its snapshot (see the top of the file)
+//? options.fixtures --> blocks run before it in the same folder, their output is not kept
+async function runBlock(file, block, options = {}) {
+  const { timeout = 8000, network = false, fixtures = [] } = options;
+  if (!network && /\bfetch\s*\(|https?:\/\//.test(block.code)) {
+    return {
+      status: "skipped",
+      reason: "uses the network (--network runs it)",
+    };
+  }
+  const source = fs.readFileSync(file, "utf-8");
+  const dir = path.dirname(file);
+  const esm = hasModuleSyntax(source);
+  const tmp = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "example-runner-")),
+  );
+  //? examples reach "../../Starter/..." --> run two folders deep so those paths stay inside tmp
+  const cwd = path.join(tmp, "up", "up", "example");
+  const script = path.join(cwd, esm ? "example.mjs" : "example.cjs");
+  try {
+    fs.cpSync(dir, cwd, {
+      recursive: true,
+      filter: (src) => {
+        const stat = fs.statSync(src);
+        if (stat.isDirectory()) return !SKIPPED_FOLDERS.has(path.basename(src));
+        return stat.isFile() && stat.size <= MAX_FIXTURE_SIZE;
+      },
+    });
+    const copies = listFiles(cwd);
+    const contents = contentReplacements(cwd, copies);
+    const prelude = findPrelude(source);
+    for (const fixture of fixtures) {
+      fs.writeFileSync(script, buildScript(fixture, prelude, dir, esm));
+      await runScript(script, cwd, timeout);
+    }
+    fs.rmSync(script, { force: true });
+    const before = listFiles(tmp, cwd);
+    fs.writeFileSync(script, buildScript(block, prelude, dir, esm));
+
+    const { stdout, stderr, code, timedOut } = await runScript(
+      script,
+      cwd,
+      timeout,
+    );
+
+    const after = listFiles(tmp, cwd);
+    delete after[path.basename(script)];
+    const files = {};
+    for (const [name, digest] of Object.entries(after)) {
+      if (!(name in before)) {
+        files[name] =
+          digest === null
+            ? "created folder"
+            : { created: describeFile(path.resolve(cwd, name), copies) };
+      } else if (before[name] !== digest) {
+        files[name] = {
+          changed: describeFile(path.resolve(cwd, name), copies),
+        };
+      }
+    }
+    for (const name of Object.keys(before)) {
+      if (!(name in after)) files[name] = "deleted";
+    }
+
+    const replacements = [
+      ...contents,
+      [pathToFileURL(cwd).href, "<cwd>"],
+      [cwd, "<cwd>"],
+      [pathToFileURL(tmp).href, "<tmp>"],
+      [tmp, "<tmp>"],
+    ];
+    const [main, rest] = normalize(stdout, replacements).split(
+      `${MAIN_DONE}\n`,
+    );
+    //? rejected promises print "[Error: message] {" instead of "Error: message"
+    const error = normalize(stderr, replacements).match(
+      /^\[?([\w.]*(Error|Exception)\b.*?)\]?( \{)?$/m,
+    )?.[1];
+    const snapshot = {
+      status: timedOut ? "timeout" : code === 0 ? "ok" : "error",
+      main: main.split("\n").slice(0, -1),
+      async: rest === undefined ? [] : rest.split("\n").slice(0, -1),
+    };
+    if (error) snapshot.error = error;
+    if (Object.keys(files).length > 0) snapshot.files = files;
+    return snapshot;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+//? a block which fails alone may read the files of the fixtures, then the run after them is the snapshot
+async function runWithFixtures(file, block, fixtures, options) {
+  const alone = await runBlock(file, block, options);
+  if (alone.status !== "error" || fixtures.length === 0) return alone;
+  const after = await runBlock(file, block, { ...options, fixtures });
+  if (after.status !== "ok") return alone;
+  return { ...after, fixtures: fixtures.map((fixture) => fixture.key) };
+}
+
+//! ====================== snapshots ======================
+function readSnapshots() {
+  try {
+    return JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+//? the async lines of an unordered block, sorted so that any order gives the same snapshot
+function unordered(snapshot) {
+  return {
+    ...snapshot,
+    async: [...snapshot.async].sort(),
+    asyncOrder: "varies",
+  };
+}
+
+//? only the order of the async lines is different
+function sameExceptOrder(a, b) {
+  return compare(unordered(a), unordered(b)).length === 0;
+}
+
+//? first differences between two snapshots, one line each
+function compare(expected, actual) {
+  if (expected.asyncOrder === "varies") actual = unordered(actual);
+  const differences = [];
+  for (const field of new Set([
+    ...Object.keys(expected),
+    ...Object.keys(actual),
+  ])) {
+    const a = JSON.stringify(expected[field]);
+    const b = JSON.stringify(actual[field]);
+    if (a !== b) {
+      differences.push(
+        `${field}: ${a ?? "(none)"} --> ${b ?? "(none)"}`.slice(0, 300),
+      );
+    }
+  }
+  return differences;
+}
+
+//! ====================== CLI ======================
+function parseArgs(argv) {
+  const args = {
+    files: [],
+    update: false,
+    list: false,
+    network: false,
+    timeout: 8000,
+    filter: "",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update") args.update = true;
+    else if (arg === "--list") args.list = true;
+    else if (arg === "--network") args.network = true;
+    else if (arg === "--timeout") args.timeout = Number(argv[++i]);
+    else if (arg === "--filter") args.filter = argv[++i] ?? "";
+    else if (arg.startsWith("--")) throw new Error(`unknown option "${arg}"`);
+    else args.files.push(path.resolve(arg));
+  }
+  if (!(args.timeout > 0))
+    throw new Error("--timeout should be a number of ms");
+  if (args.files.length === 0) args.files = DEFAULT_FILES;
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const snapshots = readSnapshots();
+  const counts = { same: 0, changed: 0, new: 0, expected: 0 };
+  const unexpected = [];
+
+  for (const file of args.files) {
+    const relative = path.relative(ROOT, file).split(path.sep).join("/");
+    const blocks = findBlocks(fs.readFileSync(file, "utf-8")).filter((block) =>
+      block.key.includes(args.filter),
+    );
+    console.log(`\n${relative} (${blocks.length} block(s))`);
+    const previous = snapshots[relative] ?? {};
+    //? --update of a whole file drops the snapshots of blocks which are gone (or got another key)
+    if (args.update && !args.list && !args.filter) snapshots[relative] = {};
+    let fixtures = [];
+    for (const block of blocks) {
+      const label = `  lines ${block.start}-${block.end} ${block.key}`;
+      if (args.list) {
+        console.log(label);
+        continue;
+      }
+      if (fixtures[0]?.section !== block.section) fixtures = [];
+      const expected = previous[block.key];
+      const skip = SKIPPED_BLOCKS[relative]?.[block.key];
+      let actual = skip
+        ? { status: "skipped", reason: skip }
+        : await runWithFixtures(file, block, fixtures, args);
+      if (args.update && expected?.asyncOrder === "varies") {
+        actual = unordered(actual);
+      } else if (args.update && actual.async?.length > 1) {
+        for (let run = 1; run < UPDATE_RUNS; run++) {
+          const again = await runWithFixtures(file, block, fixtures, args);
+          if (compare(actual, again).length === 0) continue;
+          if (sameExceptOrder(actual, again)) actual = unordered(actual);
+          break;
+        }
+      }
+      let result = "new";
+      if (expected) {
+        const differences = compare(expected, actual);
+        result = differences.length === 0 ? "same" : "changed";
+        if (!args.update)
+          differences.forEach((line) => console.log(`      ${line}`));
+      }
+      counts[result]++;
+      let status = actual.status;
+      const reason = EXPECTED_FAILURES[relative]?.[block.key];
+      if (status === "error" || status === "timeout") {
+        status = `NOT OK ${status} (${actual.error ?? `still running after ${args.timeout}ms`})`;
+        if (reason) {
+          counts.expected++;
+          status += `, expected: ${reason}`;
+        } else {
+          unexpected.push(`${relative} ${block.key}`);
+        }
+      } else if (reason && status === "ok") {
+        unexpected.push(
+          `${relative} ${block.key} (listed as expected to fail)`,
+        );
+      }
+      console.log(`${label} --> ${status}, ${result}`);
+      const deletes = Object.values(actual.files ?? {}).includes("deleted");
+      if (actual.status === "ok" && actual.files && !deletes)
+        fixtures = [...fixtures, block];
+      if (args.update) (snapshots[relative] ??= {})[block.key] = actual;
+    }
+  }
+
+  if (args.list) return;
+  console.log(
+    `\n${counts.same} same, ${counts.changed} changed, ${counts.new} new, ` +
+      `${counts.expected} expected to fail`,
+  );
+  if (unexpected.length > 0) {
+    console.log(
+      `${unexpected.length} block(s) NOT OK and not in EXPECTED_FAILURES (or listed and ok), fix the block or its fixtures:`,
+    );
+    unexpected.forEach((line) => console.log(`  ${line}`));
+    process.exitCode = 1;
+  }
+  if (args.update) {
+    fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(snapshots, null, 2)}\n`);
+    console.log(`snapshots saved in ${path.relative(ROOT, SNAPSHOT_FILE)}`);
+  } else if (counts.changed > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  findBlocks,
+  findPrelude,
+  runBlock,
+};
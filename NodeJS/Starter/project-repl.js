@@ -0,0 +1,308 @@
+//! project REPL --> the same REPL as "node" (demo.js), but the local modules are already loaded
+//? greet, user, printSomething (CommonJS/file1.js) and sum, arr (ESM/f2.js) can be used right away
+//? file1 and f2 are the whole modules: f2.default() is the default export (greet) of f2.js
+
+//~ usage
+//? node project-repl.js
+//? > greet()                                 --> hello world
+//? > await import("node:fs/promises")        --> top-level await works (same as the "node" REPL)
+//? > .load-module ../Modules/Local\ Modules/CommonJS/file2.js   --> or "../Modules/Local Modules/CommonJS/file2.js"
+//? > .reload                                 --> after editing file1.js / f2.js / a loaded module
+//? > .fs ls ../Modules                       --> .fs cat <file>, .fs write <file> <text>
+//? > .time sum(1, 2)                         --> result and the time it took
+//? history is saved in ~/.project_repl_history (PROJECT_REPL_HISTORY=<file> to change it)
+
+const repl = require("node:repl");
+const vm = require("node:vm");
+const os = require("node:os");
+const fsP = require("node:fs/promises");
+const path = require("node:path");
+const util = require("node:util");
+const { pathToFileURL } = require("node:url");
+const { performance } = require("node:perf_hooks");
+const {
+  asyncAwait: fileOps,
+  FileOpError,
+} = require("../Modules/Built In Modules/fs/file-ops.js");
+const { collectDependencies } = require("./watch-run.js");
+const {
+  hasModuleSyntax,
+} = require("../Modules/Local Modules/cjs-esm-convert.js");
+
+const LOCAL_MODULES = path.join(__dirname, "..", "Modules", "Local Modules");
+const PRELOAD = [
+  path.join(LOCAL_MODULES, "CommonJS", "file1.js"),
+  path.join(LOCAL_MODULES, "ESM", "f2.js"),
+];
+
+const HISTORY_FILE =
+  process.env.PROJECT_REPL_HISTORY ||
+  path.join(os.homedir(), ".project_repl_history");
+
+//? "../CommonJS/file-1.js" --> "file_1"
+function variableName(file) {
+  const name = path
+    .basename(file)
+    .replace(/\.[^.]*$/, "")
+    .replace(/[^\w$]/g, "_");
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+//! ====================== loading ======================
+//? import/export statements (outside comments and strings) --> ESM, otherwise CommonJS
+//? ESM modules cannot be removed from the cache: every reload imports a new copy with "?reload=n"
+//? (the files the ESM module imports are not reloaded, only the module itself)
+let reloadCount = 0;
+
+async function isESM(file) {
+  if (file.endsWith(".mjs")) return true;
+  if (!file.endsWith(".js")) return false;
+  return hasModuleSyntax(await fileOps.read(file));
+}
+
+async function loadModule(file, { fresh = false } = {}) {
+  if (await isESM(file)) {
+    const url = pathToFileURL(file);
+    if (fresh) url.search = `reload=${++reloadCount}`;
+    return { type: "module", exports: await import(url.href) };
+  }
+  if (fresh) {
+    for (const dep of collectDependencies(file)) delete require.cache[dep];
+  }
+  return { type: "commonjs", exports: require(file) };
+}
+
+//? named exports become variables of the REPL, the whole module is available as <file name>
+//? a name which already exists (from another module) is not overwritten
+function exposeModule(context, file, { type, exports }, owners) {
+  const name = variableName(file);
+  context[name] = exports;
+  const exposed = [name];
+  const skipped = [];
+  const isObject = exports !== null && typeof exports === "object";
+  for (const key of isObject ? Object.keys(exports) : []) {
+    if (key === "default" || key === "__esModule") continue;
+    const owner = owners.get(key);
+    if (owner && owner !== file) {
+      skipped.push(key);
+      continue;
+    }
+    owners.set(key, file);
+    context[key] = exports[key];
+    exposed.push(key);
+  }
+  return { name, type, exposed, skipped };
+}
+
+function describeLoad(file, { name, type, exposed, skipped }) {
+  const lines = [
+    `${path.relative(process.cwd(), file)} (${type}) --> ${exposed.join(", ")}`,
+  ];
+  if (skipped.length) {
+    lines.push(`  already defined, use ${name}.<name>: ${skipped.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+//! ====================== commands ======================
+//? the first path of args --> [path, rest], written as in a shell: Local\ Modules, "Local Modules" or 'Local Modules'
+function splitPath(args) {
+  const match = args.match(
+    /^\s*(?:"([^"]*)"|'([^']*)'|((?:\\.|\S)+))\s?([\s\S]*)$/,
+  );
+  if (!match) return ["", ""];
+  const [, double, single, bare, rest] = match;
+  return [double ?? single ?? bare.replace(/\\(.)/g, "$1"), rest];
+}
+
+//? .fs write <file> <text> --> the text is everything after the file name (spaces included)
+async function fsCommand(args, output) {
+  const [, sub, rest] = args.match(/^\s*(\S*)\s*([\s\S]*)$/);
+  const [target, text] = splitPath(rest);
+  const file = path.resolve(target || ".");
+  switch (sub) {
+    case "ls": {
+      let entries;
+      try {
+        entries = await fsP.readdir(file, { withFileTypes: true });
+      } catch (err) {
+        throw new FileOpError("ls", file, err);
+      }
+      for (const entry of entries) {
+        output.write(`${entry.isDirectory() ? "d" : "-"} ${entry.name}\n`);
+      }
+      return;
+    }
+    case "cat":
+      output.write(`${await fileOps.read(file)}\n`);
+      return;
+    case "write":
+      if (!target) break;
+      await fileOps.create(file, `${text}\n`);
+      output.write(
+        `${Buffer.byteLength(`${text}\n`)} bytes written to ${target}\n`,
+      );
+      return;
+  }
+  output.write(
+    "usage: .fs ls [dir] | .fs cat <file> | .fs write <file> <text>\n",
+  );
+}
+
+//~ .time <expr> --> the expression runs like "await (expr)", promises are awaited and included in the time
+async function timeCommand(expr, context, output) {
+  const script = new vm.Script(`(async () => (${expr}))()`, {
+    filename: "REPL.time",
+  });
+  const start = performance.now();
+  const result = await script.runInContext(context);
+  const ms = performance.now() - start;
+  output.write(`${util.inspect(result, { colors: output.isTTY, depth: 2 })}\n`);
+  output.write(`time: ${ms.toFixed(3)}ms\n`);
+}
+
+//? the input is paused while an async command runs: the lines after it (piped or typed ahead) wait for it,
+//? otherwise they would run first and the output of the command would come after their prompts
+//? pause() alone is not enough: piped input comes in one chunk and readline already split all of its lines
+//? --> the "line" listeners of the REPL are wrapped, a line which comes while a command runs waits in a queue
+function pausable(server) {
+  const listeners = server.listeners("line");
+  server.removeAllListeners("line");
+  const queue = [];
+  let running = false;
+  const handle = (line) =>
+    listeners.forEach((listener) => listener.call(server, line));
+  server.on("line", (line) => (running ? queue.push(line) : handle(line)));
+
+  return function runPaused(task) {
+    running = true;
+    server.pause();
+    return Promise.resolve()
+      .then(task)
+      .catch((err) => server.output.write(`${err.name}: ${err.message}\n`))
+      .finally(() => {
+        running = false;
+        server.resume();
+        server.displayPrompt();
+        //? a queued line can be a command again, then the rest waits for that one
+        while (queue.length > 0 && !running) handle(queue.shift());
+      });
+  };
+}
+
+function defineCommands(server, modules, owners, runPaused) {
+  //? a command runs async, the next line is read and the prompt comes back after it finished
+  const command = (fn) =>
+    function (args) {
+      this.clearBufferedCommand();
+      runPaused(() => fn.call(this, args));
+    };
+
+  server.defineCommand("load-module", {
+    help: "Load a CommonJS/ESM file, its exports become variables (.load-module <path>)",
+    action: command(async function (args) {
+      const [target] = splitPath(args);
+      if (!target) throw new Error("usage: .load-module <path>");
+      const file = path.resolve(target);
+      const result = exposeModule(
+        this.context,
+        file,
+        await loadModule(file),
+        owners,
+      );
+      modules.add(file);
+      this.output.write(`${describeLoad(file, result)}\n`);
+    }),
+  });
+
+  server.defineCommand("reload", {
+    help: "Load every loaded module again (after editing it)",
+    action: command(async function () {
+      for (const [key, owner] of owners) {
+        if (modules.has(owner)) owners.delete(key);
+      }
+      for (const file of modules) {
+        const result = exposeModule(
+          this.context,
+          file,
+          await loadModule(file, { fresh: true }),
+          owners,
+        );
+        this.output.write(`${describeLoad(file, result)}\n`);
+      }
+    }),
+  });
+
+  server.defineCommand("fs", {
+    help: "Files: .fs ls [dir] | .fs cat <file> | .fs write <file> <text>",
+    action: command(function (args) {
+      return fsCommand(args, this.output);
+    }),
+  });
+
+  server.defineCommand("time", {
+    help: "Run an expression and print how long it took (.time <expr>)",
+    action: command(function (expr) {
+      if (!expr.trim()) throw new Error("usage: .time <expr>");
+      return timeCommand(expr, this.context, this.output);
+    }),
+  });
+}
+
+//! ====================== start ======================
+//? options -> anything of repl.start() (input, output, prompt ...) + historyFile, preload
+async function startRepl(options = {}) {
+  const {
+    historyFile = HISTORY_FILE,
+    preload = PRELOAD,
+    ...replOptions
+  } = options;
+  const modules = new Set(preload);
+  const owners = new Map(); //? variable name --> file it came from
+
+  //? loaded before repl.start(): piped input is evaluated right away and would run before greet, sum ... exist
+  const preloaded = [];
+  for (const file of modules) preloaded.push([file, await loadModule(file)]);
+
+  const server = repl.start({ prompt: "project> ", ...replOptions });
+  const runPaused = pausable(server);
+  defineCommands(server, modules, owners, runPaused);
+
+  const expose = (file, loaded) => {
+    const result = exposeModule(server.context, file, loaded, owners);
+    server.output.write(`${describeLoad(file, result)}\n`);
+  };
+  const loadAll = async () => {
+    for (const file of modules) expose(file, await loadModule(file));
+  };
+  preloaded.forEach(([file, loaded]) => expose(file, loaded));
+
+  //? .clear resets the context, the modules are loaded again
+  server.on("reset", () => {
+    owners.clear();
+    runPaused(loadAll);
+  });
+
+  if (historyFile) {
+    await new Promise((resolve) =>
+      server.setupHistory(historyFile, (err) => {
+        if (err) server.output.write(`history is not saved: ${err.message}\n`);
+        resolve();
+      }),
+    );
+  }
+  server.displayPrompt();
+  return server;
+}
+
+if (require.main === module) {
+  startRepl().catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  startRepl,
+  loadModule,
+};
@@ -0,0 +1,355 @@
+//! watch-run --> "node filename.js" again and again, but automatic
+//? runs the script, watches it (and every file it imports) with fs.watch and runs it again after a change
+//? after every run, the console output is compared with the previous run (only the changed lines are printed)
+
+//~ usage
+//? node watch-run.js demo.js
+//? node watch-run.js ../Modules/Local\ Modules/CommonJS/file2.js     --> file1.js is watched too (require)
+//? node watch-run.js --debounce 300 --ignore "*.log" script.js arg1 arg2
+//? node watch-run.js --all ../Modules/Built\ In\ Modules/fs/fs.js      --> every file of the folder is watched
+//? ctrl + c --> stop
+
+//~ options
+//? --debounce ms -> changes within this time (after the last one) cause only one restart (default 100)
+//? --ignore name -> files which never cause a restart, "*" is a wildcard (demo.txt, fs.txt are always ignored)
+//? --all         -> watch every file in the folder of the script, not only the imported ones
+//? --no-diff     -> do not compare the output of the runs
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { mask } = require("../Modules/Local Modules/cjs-esm-convert.js");
+const {
+  resolveFilename,
+} = require("../Modules/Local Modules/CommonJS/mini-require.js");
+
+//? files the examples write themselves (fs.js, streams.js ...), a change there is not a change of the code
+const DEFAULT_IGNORE = ["demo.txt", "fs.txt", "node_modules", ".git", "*.tmp"];
+
+//! ====================== dependencies ======================
+//? require("./x"), import x from "./x", import "./x", import("./x"), export { x } from "./x"
+//? comments and strings are masked first, so commented out code (there is a lot of it) is not a dependency
+const IMPORT_PATTERNS = [
+  /\brequire\s*\(\s*(["'])/g,
+  /\bimport\s*\(\s*(["'])/g,
+  /\bimport\s*(?:[\w$*{},\s]+?\s*from\s*)?(["'])/g,
+  /\bexport\s*(?:\*|\{[^}]*\})(?:\s*as\s+[\w$]+)?\s*from\s*(["'])/g,
+];
+
+function specifiersOf(source) {
+  const masked = mask(source);
+  const specifiers = new Set();
+  for (const pattern of IMPORT_PATTERNS) {
+    for (const match of masked.matchAll(pattern)) {
+      //? the quote is kept by mask(), the text between the quotes is read from the original source
+      const start = match.index + match[0].length;
+      const end = masked.indexOf(match[1], start);
+      if (end !== -1) specifiers.add(source.slice(start, end));
+    }
+  }
+  return [...specifiers];
+}
+
+const isLocal = (specifier) =>
+  specifier.startsWith("./") ||
+  specifier.startsWith("../") ||
+  path.isAbsolute(specifier);
+
+//~ every local file the script needs (the script itself included)
+//? packages and built in modules (fs, node:path ...) are not watched
+function collectDependencies(entry, { onMissing } = {}) {
+  const files = new Set();
+  const pending = [path.resolve(entry)];
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (files.has(file)) continue;
+    files.add(file);
+    if (!/\.[cm]?js$/.test(file)) continue; //? .json ...
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf-8");
+    } catch {
+      continue; //? deleted in the meantime, it is watched anyway
+    }
+    for (const specifier of specifiersOf(source).filter(isLocal)) {
+      try {
+        pending.push(resolveFilename(specifier, path.dirname(file)));
+      } catch {
+        onMissing?.(specifier, file);
+      }
+    }
+  }
+  return files;
+}
+
+//! ====================== output diff ======================
+//? line by line diff (longest common subsequence): "  " same, "- " only in the previous run, "+ " only in this run
+function diffLines(before, after) {
+  const a = before;
+  const b = after;
+  //? table[i][j] = length of the LCS of a[i..] and b[j..]
+  const table = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: " ", line: a[i++] });
+      j++;
+    } else if (
+      i < a.length &&
+      (j === b.length || table[i + 1][j] >= table[i][j + 1])
+    ) {
+      diff.push({ type: "-", line: a[i++] });
+    } else {
+      diff.push({ type: "+", line: b[j++] });
+    }
+  }
+  return diff;
+}
+
+const MAX_DIFF_LINES = 2000; //? the table is lines * lines, bigger outputs are only compared as a whole
+
+function formatDiff(before, after) {
+  if (before.join("\n") === after.join("\n"))
+    return "output is the same as the previous run";
+  if (before.length > MAX_DIFF_LINES || after.length > MAX_DIFF_LINES) {
+    return `output changed (${before.length} --> ${after.length} lines, too long to compare line by line)`;
+  }
+  return diffLines(before, after)
+    .filter((entry) => entry.type !== " ")
+    .map((entry) => `${entry.type} ${entry.line}`)
+    .join("\n");
+}
+
+//! ====================== watcher ======================
+//? "*.log" --> /^.*\.log$/
+function toMatcher(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function isIgnored(file, matchers) {
+  const parts = file.split(path.sep);
+  return matchers.some((matcher) => parts.some((part) => matcher.test(part)));
+}
+
+//? fs.watch is set on the folders (not on the files): editors often save by replacing the file,
+//? and a watcher on the old file would stop working after that
+function watchRun(script, options = {}) {
+  const {
+    args = [],
+    debounce = 100,
+    ignore = [],
+    all = false,
+    diff = true,
+    log = (message) => console.log(`[watch-run] ${message}`),
+  } = options;
+
+  const entry = path.resolve(script);
+  const matchers = [...DEFAULT_IGNORE, ...ignore].map(toMatcher);
+  const watchers = new Map(); //? folder --> fs.FSWatcher
+  let files = new Set();
+  let child = null;
+  let previousOutput = null;
+  let timer = null;
+  let changed = new Set();
+  let closed = false;
+  let restarting = null; //? promise of the restart in progress
+  let restartAgain = false; //? a change came while restarting
+
+  function shouldRestart(file) {
+    if (isIgnored(file, matchers)) return false;
+    return all ? path.dirname(file) === path.dirname(entry) : files.has(file);
+  }
+
+  function onChange(dir, filename) {
+    if (!filename) return;
+    const file = path.join(dir, filename.toString());
+    if (!shouldRestart(file)) return;
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const list = [...changed].map((f) => path.relative(process.cwd(), f));
+      changed = new Set();
+      log(`changed: ${list.join(", ")}`);
+      restart();
+    }, debounce);
+  }
+
+  //~ the imports can change with every edit, so the watched folders are updated before every run
+  function updateWatchers() {
+    files = collectDependencies(entry, {
+      onMissing: (specifier, from) =>
+        log(
+          `cannot resolve "${specifier}" in ${path.relative(process.cwd(), from)}`,
+        ),
+    });
+    const dirs = new Set([...files].map((file) => path.dirname(file)));
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, (event, filename) =>
+          onChange(dir, filename),
+        );
+        watcher.on("error", () => {
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch (err) {
+        log(`cannot watch ${dir}: ${err.message}`);
+      }
+    }
+  }
+
+  function start() {
+    updateWatchers();
+    log(
+      `running ${path.relative(process.cwd(), entry)} (watching ${files.size} file(s))`,
+    );
+    const output = [];
+    let partial = { stdout: "", stderr: "" };
+    //? the output is shown as usual and collected line by line for the diff
+    const collect = (name, target) => (chunk) => {
+      target.write(chunk);
+      const lines = (partial[name] + chunk).split("\n");
+      partial[name] = lines.pop();
+      output.push(...lines);
+    };
+
+    const proc = spawn(process.execPath, [entry, ...args], {
+      cwd: path.dirname(entry), //? "./demo.txt" in the script means next to the script
+      stdio: ["inherit", "pipe", "pipe"],
+    });
+    child = proc;
+    proc.stdout
+      .setEncoding("utf-8")
+      .on("data", collect("stdout", process.stdout));
+    proc.stderr
+      .setEncoding("utf-8")
+      .on("data", collect("stderr", process.stderr));
+    proc.on("error", (err) => log(`could not start: ${err.message}`));
+    proc.on("close", (code, signal) => {
+      if (child === proc) child = null;
+      if (partial.stdout) output.push(partial.stdout);
+      if (partial.stderr) output.push(partial.stderr);
+      if (signal) {
+        log(`stopped (${signal})`);
+      } else {
+        log(`exited with code ${code}, waiting for changes...`);
+      }
+      if (diff && !signal) {
+        if (previousOutput)
+          log(
+            `diff with the previous run:\n${formatDiff(previousOutput, output)}`,
+          );
+        previousOutput = output;
+      }
+      proc.emit("finished");
+    });
+  }
+
+  //? SIGTERM first, SIGKILL when the script does not stop within 2 seconds (servers, setInterval ...)
+  function stop() {
+    return new Promise((resolve) => {
+      const proc = child;
+      if (!proc) return resolve();
+      const force = setTimeout(() => proc.kill("SIGKILL"), 2000);
+      proc.once("finished", () => {
+        clearTimeout(force);
+        resolve();
+      });
+      proc.kill("SIGTERM");
+    });
+  }
+
+  //? one restart at a time: changes during a restart (stop() can wait 2 seconds) give one more run after it
+  function restart() {
+    if (restarting) {
+      restartAgain = true;
+      return restarting;
+    }
+    restarting = (async () => {
+      do {
+        restartAgain = false;
+        await stop();
+        if (!closed) start();
+      } while (restartAgain && !closed);
+      restarting = null;
+    })();
+    return restarting;
+  }
+
+  async function close() {
+    closed = true;
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    await stop();
+  }
+
+  start();
+  return {
+    restart,
+    close,
+    get files() {
+      return [...files];
+    },
+  };
+}
+
+//! ====================== CLI ======================
+function parseArgs(argv) {
+  const options = { ignore: [] };
+  let i = 0;
+  for (; i < argv.length && argv[i].startsWith("--"); i++) {
+    const arg = argv[i];
+    if (arg === "--debounce") options.debounce = Number(argv[++i]);
+    else if (arg === "--ignore") options.ignore.push(argv[++i]);
+    else if (arg === "--all") options.all = true;
+    else if (arg === "--no-diff") options.diff = false;
+    else throw new Error(`unknown option "${arg}"`);
+  }
+  //? everything after the script goes to the script
+  return { script: argv[i], args: argv.slice(i + 1), options };
+}
+
+if (require.main === module) {
+  const { script, args, options } = parseArgs(process.argv.slice(2));
+  if (!script) {
+    console.log(
+      "usage: node watch-run.js [--debounce ms] [--ignore name] [--all] [--no-diff] script.js [args]",
+    );
+    process.exit(1);
+  }
+  const runner = watchRun(script, { ...options, args });
+  process.once("SIGINT", () => runner.close().then(() => process.exit(0)));
+}
+
+module.exports = {
+  watchRun,
+  collectDependencies,
+  specifiersOf,
+  diffLines,
+};